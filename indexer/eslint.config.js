@@ -0,0 +1,21 @@
+// eslint.config.js
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+  {
+    ignores: ['node_modules/', 'logs/']
+  },
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: globals.node
+    },
+    rules: {
+      // Destructuring leaves fields out by naming them, catch bindings are often unused
+      'no-unused-vars': ['error', { ignoreRestSiblings: true, caughtErrors: 'none' }]
+    }
+  }
+];
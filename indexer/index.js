@@ -2,6 +2,7 @@
 require('dotenv').config();
 const app = require('./src/api');
 const { runMigrations } = require('./src/db/migrations');
+const blockchainService = require('./src/services/blockchain');
 
 const PORT = process.env.PORT || 3000;
 
@@ -12,6 +13,13 @@ async function start() {
     await runMigrations();
     console.log('Migrations completed successfully');
     
+    // Providers back the indexer status endpoint, the API still serves indexed data without them
+    try {
+      blockchainService.initialize();
+    } catch (error) {
+      console.error('Blockchain service unavailable, indexer status will be limited:', error.message);
+    }
+    
     // Then start the server
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
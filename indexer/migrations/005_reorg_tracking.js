@@ -0,0 +1,60 @@
+// migrations/005_reorg_tracking.js
+const db = require('../src/db');
+
+async function up() {
+  // Block hashes of recently indexed blocks, used to detect chain reorgs
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS indexed_blocks (
+      chain VARCHAR(50) NOT NULL,
+      block_number BIGINT NOT NULL,
+      block_hash VARCHAR(66) NOT NULL,
+      parent_hash VARCHAR(66),
+      created_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (chain, block_number)
+    );
+  `);
+
+  // Record the block every indexed row was derived from so it can be rolled back
+  await db.query(`
+    ALTER TABLE campaigns
+    ADD COLUMN IF NOT EXISTS block_number BIGINT,
+    ADD COLUMN IF NOT EXISTS ended_block_number BIGINT;
+  `);
+
+  await db.query(`
+    ALTER TABLE donations
+    ADD COLUMN IF NOT EXISTS block_number BIGINT;
+  `);
+
+  await db.query(`
+    ALTER TABLE transactions
+    ADD COLUMN IF NOT EXISTS block_number BIGINT;
+  `);
+
+  await db.query(`
+    ALTER TABLE withdrawals
+    ADD COLUMN IF NOT EXISTS block_number BIGINT,
+    ADD COLUMN IF NOT EXISTS processed_block_number BIGINT;
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_donations_chain_block ON donations(chain, block_number);
+    CREATE INDEX IF NOT EXISTS idx_transactions_chain_block ON transactions(chain, block_number);
+  `);
+
+  console.log('Reorg tracking migration completed');
+}
+
+async function down() {
+  await db.query('DROP INDEX IF EXISTS idx_transactions_chain_block');
+  await db.query('DROP INDEX IF EXISTS idx_donations_chain_block');
+  await db.query('ALTER TABLE withdrawals DROP COLUMN IF EXISTS processed_block_number, DROP COLUMN IF EXISTS block_number');
+  await db.query('ALTER TABLE transactions DROP COLUMN IF EXISTS block_number');
+  await db.query('ALTER TABLE donations DROP COLUMN IF EXISTS block_number');
+  await db.query('ALTER TABLE campaigns DROP COLUMN IF EXISTS ended_block_number, DROP COLUMN IF EXISTS block_number');
+  await db.query('DROP TABLE IF EXISTS indexed_blocks');
+
+  console.log('Reorg tracking rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+// migrations/006_remote_donations.js
+const db = require('../src/db');
+
+async function up() {
+  // Donations made through FunditRemote on the non-main chains
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS remote_donations (
+      id SERIAL PRIMARY KEY,
+      chain VARCHAR(50) NOT NULL,
+      donation_id VARCHAR(255) NOT NULL,
+      campaign_id VARCHAR(255) NOT NULL,
+      donor VARCHAR(255) NOT NULL,
+      amount DECIMAL(24, 8) NOT NULL,
+      relay_status VARCHAR(20) DEFAULT 'pending' NOT NULL,
+      dst_eid INTEGER,
+      timestamp TIMESTAMP DEFAULT NOW(),
+      tx_hash VARCHAR(255) NOT NULL,
+      block_number BIGINT,
+      relayed_at TIMESTAMP,
+      relayed_tx_hash VARCHAR(255),
+      relayed_block_number BIGINT,
+      CONSTRAINT unique_remote_donation UNIQUE (chain, donation_id)
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_remote_donations_campaign ON remote_donations(campaign_id);
+    CREATE INDEX IF NOT EXISTS idx_remote_donations_chain_block ON remote_donations(chain, block_number);
+  `);
+
+  console.log('Remote donations table migration completed');
+}
+
+async function down() {
+  await db.query('DROP TABLE IF EXISTS remote_donations');
+  console.log('Remote donations table rollback completed');
+}
+
+module.exports = { up, down };
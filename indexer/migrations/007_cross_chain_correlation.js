@@ -0,0 +1,44 @@
+// migrations/007_cross_chain_correlation.js
+const db = require('../src/db');
+
+async function up() {
+  // Donations delivered through LayerZero are linked back to the FunditRemote donation
+  await db.query(`
+    ALTER TABLE donations
+    ADD COLUMN IF NOT EXISTS source_chain VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS source_tx_hash VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS relayer_address VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS remote_donation_id INTEGER REFERENCES remote_donations(id) ON DELETE SET NULL;
+  `);
+
+  await db.query(`
+    ALTER TABLE transactions
+    ADD COLUMN IF NOT EXISTS source_chain VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS source_tx_hash VARCHAR(255);
+  `);
+
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_donations_remote_donation ON donations(remote_donation_id);
+    CREATE INDEX IF NOT EXISTS idx_donations_unlinked ON donations(source_chain, campaign_id)
+      WHERE source_chain IS NOT NULL AND remote_donation_id IS NULL;
+  `);
+
+  console.log('Cross-chain correlation migration completed');
+}
+
+async function down() {
+  await db.query('DROP INDEX IF EXISTS idx_donations_unlinked');
+  await db.query('DROP INDEX IF EXISTS idx_donations_remote_donation');
+  await db.query('ALTER TABLE transactions DROP COLUMN IF EXISTS source_tx_hash, DROP COLUMN IF EXISTS source_chain');
+  await db.query(`
+    ALTER TABLE donations
+    DROP COLUMN IF EXISTS remote_donation_id,
+    DROP COLUMN IF EXISTS relayer_address,
+    DROP COLUMN IF EXISTS source_tx_hash,
+    DROP COLUMN IF EXISTS source_chain
+  `);
+
+  console.log('Cross-chain correlation rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,63 @@
+// migrations/008_idempotent_ingestion.js
+const db = require('../src/db');
+
+async function up() {
+  // Position of the originating log inside its transaction
+  await db.query(`
+    ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS log_index INTEGER;
+    ALTER TABLE donations ADD COLUMN IF NOT EXISTS log_index INTEGER;
+    ALTER TABLE transactions ADD COLUMN IF NOT EXISTS log_index INTEGER;
+    ALTER TABLE remote_donations ADD COLUMN IF NOT EXISTS log_index INTEGER;
+    ALTER TABLE withdrawals
+      ADD COLUMN IF NOT EXISTS log_index INTEGER,
+      ADD COLUMN IF NOT EXISTS processed_log_index INTEGER;
+  `);
+
+  // Rows indexed before this migration have no log index and are not covered
+  // by these constraints. Earlier replays may have inserted them twice, but two
+  // equal donations in one transaction are just as possible, so duplicates are
+  // only told apart once the timestamp backfill matched every row to its log.
+  // Until then the indexer refuses to replay a chain that still has such rows.
+  await db.query(`
+    ALTER TABLE donations
+    ADD CONSTRAINT unique_donation_log UNIQUE (chain, tx_hash, log_index);
+
+    ALTER TABLE transactions
+    ADD CONSTRAINT unique_transaction_log UNIQUE (chain, tx_hash, log_index);
+
+    ALTER TABLE remote_donations
+    ADD CONSTRAINT unique_remote_donation_log UNIQUE (chain, tx_hash, log_index);
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_donations_missing_log_index ON donations(chain) WHERE log_index IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_transactions_missing_log_index ON transactions(chain) WHERE log_index IS NULL;
+  `);
+
+  // Campaign totals are derived from the donations table from now on
+  await db.query(`
+    UPDATE campaigns c SET
+      amount_raised = COALESCE((SELECT SUM(d.amount) FROM donations d WHERE d.campaign_id = c.id), 0);
+  `);
+
+  console.log('Idempotent ingestion migration completed');
+}
+
+async function down() {
+  await db.query('DROP INDEX IF EXISTS idx_transactions_missing_log_index');
+  await db.query('DROP INDEX IF EXISTS idx_donations_missing_log_index');
+  await db.query('ALTER TABLE remote_donations DROP CONSTRAINT IF EXISTS unique_remote_donation_log');
+  await db.query('ALTER TABLE transactions DROP CONSTRAINT IF EXISTS unique_transaction_log');
+  await db.query('ALTER TABLE donations DROP CONSTRAINT IF EXISTS unique_donation_log');
+  await db.query(`
+    ALTER TABLE withdrawals DROP COLUMN IF EXISTS processed_log_index, DROP COLUMN IF EXISTS log_index;
+    ALTER TABLE remote_donations DROP COLUMN IF EXISTS log_index;
+    ALTER TABLE transactions DROP COLUMN IF EXISTS log_index;
+    ALTER TABLE donations DROP COLUMN IF EXISTS log_index;
+    ALTER TABLE campaigns DROP COLUMN IF EXISTS log_index;
+  `);
+
+  console.log('Idempotent ingestion rollback completed');
+}
+
+module.exports = { up, down };
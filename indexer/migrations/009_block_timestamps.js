@@ -0,0 +1,27 @@
+// migrations/009_block_timestamps.js
+const db = require('../src/db');
+
+async function up() {
+  // On-chain time of the block each row was derived from
+  await db.query(`
+    ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS block_timestamp TIMESTAMP;
+    ALTER TABLE donations ADD COLUMN IF NOT EXISTS block_timestamp TIMESTAMP;
+    ALTER TABLE transactions ADD COLUMN IF NOT EXISTS block_timestamp TIMESTAMP;
+    ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS block_timestamp TIMESTAMP;
+  `);
+
+  console.log('Block timestamps migration completed');
+}
+
+async function down() {
+  await db.query(`
+    ALTER TABLE withdrawals DROP COLUMN IF EXISTS block_timestamp;
+    ALTER TABLE transactions DROP COLUMN IF EXISTS block_timestamp;
+    ALTER TABLE donations DROP COLUMN IF EXISTS block_timestamp;
+    ALTER TABLE campaigns DROP COLUMN IF EXISTS block_timestamp;
+  `);
+
+  console.log('Block timestamps rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// migrations/010_backfill_jobs.js
+const db = require('../src/db');
+
+async function up() {
+  // Block ranges skipped by the realtime indexer, worked off in the background
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS backfill_jobs (
+      id SERIAL PRIMARY KEY,
+      chain VARCHAR(50) NOT NULL,
+      from_block BIGINT NOT NULL,
+      to_block BIGINT NOT NULL,
+      next_block BIGINT NOT NULL,
+      status VARCHAR(20) DEFAULT 'pending' NOT NULL,
+      attempts INTEGER DEFAULT 0 NOT NULL,
+      last_error TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      completed_at TIMESTAMP
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_backfill_jobs_status ON backfill_jobs(status, chain);
+  `);
+
+  console.log('Backfill jobs table migration completed');
+}
+
+async function down() {
+  await db.query('DROP TABLE IF EXISTS backfill_jobs');
+  console.log('Backfill jobs table rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+// migrations/011_rpc_range_limits.js
+const db = require('../src/db');
+
+async function up() {
+  // Largest eth_getLogs block range each RPC endpoint has accepted
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS rpc_range_limits (
+      chain VARCHAR(50) NOT NULL,
+      endpoint VARCHAR(255) NOT NULL,
+      max_block_range INTEGER NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (chain, endpoint)
+    );
+  `);
+
+  console.log('RPC range limits table migration completed');
+}
+
+async function down() {
+  await db.query('DROP TABLE IF EXISTS rpc_range_limits');
+  console.log('RPC range limits table rollback completed');
+}
+
+module.exports = { up, down };
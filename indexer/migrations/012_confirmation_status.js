@@ -0,0 +1,44 @@
+// migrations/012_confirmation_status.js
+const db = require('../src/db');
+
+async function up() {
+  // Rows indexed so far keep counting as final. New rows start out pending
+  // and are promoted once their block is deep enough on its chain.
+  await db.query(`
+    ALTER TABLE donations ADD COLUMN IF NOT EXISTS confirmation_status VARCHAR(20) NOT NULL DEFAULT 'confirmed';
+    ALTER TABLE donations ALTER COLUMN confirmation_status SET DEFAULT 'pending';
+    ALTER TABLE transactions ADD COLUMN IF NOT EXISTS confirmation_status VARCHAR(20) NOT NULL DEFAULT 'confirmed';
+    ALTER TABLE transactions ALTER COLUMN confirmation_status SET DEFAULT 'pending';
+    ALTER TABLE remote_donations ADD COLUMN IF NOT EXISTS confirmation_status VARCHAR(20) NOT NULL DEFAULT 'confirmed';
+    ALTER TABLE remote_donations ALTER COLUMN confirmation_status SET DEFAULT 'pending';
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_donations_pending ON donations(chain, block_number) WHERE confirmation_status = 'pending';
+    CREATE INDEX IF NOT EXISTS idx_transactions_pending ON transactions(chain, block_number) WHERE confirmation_status = 'pending';
+    CREATE INDEX IF NOT EXISTS idx_remote_donations_pending ON remote_donations(chain, block_number) WHERE confirmation_status = 'pending';
+  `);
+
+  // Donations still confirming, kept apart from the final amount raised
+  await db.query(`
+    ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS amount_pending DECIMAL(24, 8) DEFAULT 0;
+  `);
+
+  console.log('Confirmation status migration completed');
+}
+
+async function down() {
+  await db.query(`
+    ALTER TABLE campaigns DROP COLUMN IF EXISTS amount_pending;
+    DROP INDEX IF EXISTS idx_remote_donations_pending;
+    DROP INDEX IF EXISTS idx_transactions_pending;
+    DROP INDEX IF EXISTS idx_donations_pending;
+    ALTER TABLE remote_donations DROP COLUMN IF EXISTS confirmation_status;
+    ALTER TABLE transactions DROP COLUMN IF EXISTS confirmation_status;
+    ALTER TABLE donations DROP COLUMN IF EXISTS confirmation_status;
+  `);
+
+  console.log('Confirmation status rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// migrations/013_config_events.js
+const db = require('../src/db');
+
+async function up() {
+  // Every admin change to a chain's contract settings, newest row per setting is current
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS config_events (
+      id SERIAL PRIMARY KEY,
+      chain VARCHAR(50) NOT NULL,
+      setting VARCHAR(50) NOT NULL,
+      token VARCHAR(42),
+      value VARCHAR(255) NOT NULL,
+      tx_hash VARCHAR(66) NOT NULL,
+      block_number BIGINT NOT NULL,
+      log_index INTEGER NOT NULL,
+      block_timestamp TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (chain, tx_hash, log_index)
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_config_events_setting ON config_events(chain, setting, block_number DESC, log_index DESC);
+  `);
+
+  console.log('Config events table migration completed');
+}
+
+async function down() {
+  await db.query('DROP TABLE IF EXISTS config_events');
+  console.log('Config events table rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// migrations/014_usernames.js
+const db = require('../src/db');
+
+async function up() {
+  // Display names set with FunditMain.setUsername, keyed by lowercase address.
+  // An empty username means the address cleared its name.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS usernames (
+      address VARCHAR(42) PRIMARY KEY,
+      username VARCHAR(255) NOT NULL,
+      chain VARCHAR(50) NOT NULL,
+      tx_hash VARCHAR(66),
+      block_number BIGINT NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_usernames_username ON usernames(LOWER(username));
+    CREATE INDEX IF NOT EXISTS idx_usernames_chain_block ON usernames(chain, block_number);
+  `);
+
+  console.log('Usernames table migration completed');
+}
+
+async function down() {
+  await db.query('DROP TABLE IF EXISTS usernames');
+  console.log('Usernames table rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// migrations/015_campaign_donation_indexes.js
+const db = require('../src/db');
+
+async function up() {
+  // A campaign's donations feed (newest first) and its per-donor leaderboard
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_donations_campaign_block ON donations(campaign_id, block_number DESC, log_index DESC);
+    CREATE INDEX IF NOT EXISTS idx_donations_campaign_donor ON donations(campaign_id, LOWER(donor));
+  `);
+
+  console.log('Campaign donation indexes migration completed');
+}
+
+async function down() {
+  await db.query(`
+    DROP INDEX IF EXISTS idx_donations_campaign_block;
+    DROP INDEX IF EXISTS idx_donations_campaign_donor;
+  `);
+  console.log('Campaign donation indexes rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,84 @@
+// migrations/016_stats_rollups.js
+const db = require('../src/db');
+
+async function up() {
+  // Per day and chain rollups behind the platform statistics, see services/platformStats.js
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS daily_stats (
+      day DATE NOT NULL,
+      chain VARCHAR(50) NOT NULL,
+      donation_count INTEGER NOT NULL DEFAULT 0,
+      amount_raised DECIMAL(24, 8) NOT NULL DEFAULT 0,
+      campaigns_created INTEGER NOT NULL DEFAULT 0,
+      withdrawals_processed INTEGER NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (day, chain)
+    );
+
+    CREATE TABLE IF NOT EXISTS donor_totals (
+      donor VARCHAR(255) PRIMARY KEY,
+      donation_count INTEGER NOT NULL,
+      total_donated DECIMAL(24, 8) NOT NULL,
+      first_donation_at TIMESTAMP,
+      last_donation_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
+  // Rollups are recomputed a day or a donor at a time
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_donor_totals_first_donation ON donor_totals(first_donation_at);
+    CREATE INDEX IF NOT EXISTS idx_donations_timestamp ON donations(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_donations_donor ON donations(LOWER(donor));
+    CREATE INDEX IF NOT EXISTS idx_campaigns_created_at ON campaigns(created_at);
+    CREATE INDEX IF NOT EXISTS idx_withdrawals_processed_timestamp ON withdrawals(processed_timestamp);
+  `);
+
+  // Roll up what is already indexed
+  await db.query(`
+    INSERT INTO daily_stats (day, chain, donation_count, amount_raised, campaigns_created, withdrawals_processed)
+    SELECT day, chain, SUM(donation_count), SUM(amount_raised), SUM(campaigns_created), SUM(withdrawals_processed)
+    FROM (
+      SELECT timestamp::DATE AS day, COALESCE(source_chain, chain) AS chain,
+        COUNT(*) AS donation_count, SUM(amount) AS amount_raised, 0 AS campaigns_created, 0 AS withdrawals_processed
+      FROM donations
+      WHERE confirmation_status = 'confirmed'
+      GROUP BY 1, 2
+      UNION ALL
+      SELECT created_at::DATE, chain, 0, 0, COUNT(*), 0
+      FROM campaigns
+      WHERE chain IS NOT NULL AND created_at IS NOT NULL
+      GROUP BY 1, 2
+      UNION ALL
+      SELECT processed_timestamp::DATE, chain, 0, 0, 0, COUNT(*)
+      FROM withdrawals
+      WHERE status = 'Processed' AND processed_timestamp IS NOT NULL
+      GROUP BY 1, 2
+    ) AS day_rows
+    GROUP BY day, chain
+    ON CONFLICT (day, chain) DO NOTHING;
+
+    INSERT INTO donor_totals (donor, donation_count, total_donated, first_donation_at, last_donation_at)
+    SELECT LOWER(donor), COUNT(*), SUM(amount), MIN(timestamp), MAX(timestamp)
+    FROM donations
+    WHERE confirmation_status = 'confirmed'
+    GROUP BY LOWER(donor)
+    ON CONFLICT (donor) DO NOTHING;
+  `);
+
+  console.log('Stats rollups migration completed');
+}
+
+async function down() {
+  await db.query(`
+    DROP INDEX IF EXISTS idx_withdrawals_processed_timestamp;
+    DROP INDEX IF EXISTS idx_campaigns_created_at;
+    DROP INDEX IF EXISTS idx_donations_donor;
+    DROP INDEX IF EXISTS idx_donations_timestamp;
+    DROP TABLE IF EXISTS donor_totals;
+    DROP TABLE IF EXISTS daily_stats;
+  `);
+  console.log('Stats rollups rollback completed');
+}
+
+module.exports = { up, down };
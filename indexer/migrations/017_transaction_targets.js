@@ -0,0 +1,29 @@
+// migrations/017_transaction_targets.js
+const db = require('../src/db');
+
+async function up() {
+  // Campaign target as read from the contract when a creation or edit was indexed,
+  // so a campaign's funding history can show how its target changed
+  await db.query(`
+    ALTER TABLE transactions ADD COLUMN IF NOT EXISTS target_amount DECIMAL(24, 8);
+  `);
+
+  // Campaigns that were never edited still have the target they were created with
+  await db.query(`
+    UPDATE transactions t SET target_amount = c.target_amount
+    FROM campaigns c
+    WHERE t.type = 'Campaign Created' AND t.campaign_id = c.id AND t.target_amount IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM transactions e WHERE e.type = 'Campaign Edited' AND e.campaign_id = c.id
+      )
+  `);
+
+  console.log('Transaction targets migration completed');
+}
+
+async function down() {
+  await db.query('ALTER TABLE transactions DROP COLUMN IF EXISTS target_amount');
+  console.log('Transaction targets rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// migrations/018_campaign_search.js
+const db = require('../src/db');
+
+async function up() {
+  // Trigram similarity lets searches tolerate typos in campaign names
+  await db.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+  // Weighted full-text vector of name and description, maintained by the indexer
+  await db.query(`
+    ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+  `);
+
+  await db.query(`
+    UPDATE campaigns SET search_vector =
+      setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+      setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_campaigns_search_vector ON campaigns USING GIN (search_vector);
+    CREATE INDEX IF NOT EXISTS idx_campaigns_name_trgm ON campaigns USING GIN (name gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS idx_campaigns_creator ON campaigns(LOWER(creator));
+  `);
+
+  console.log('Campaign search migration completed');
+}
+
+async function down() {
+  await db.query(`
+    DROP INDEX IF EXISTS idx_campaigns_creator;
+    DROP INDEX IF EXISTS idx_campaigns_name_trgm;
+    DROP INDEX IF EXISTS idx_campaigns_search_vector;
+    ALTER TABLE campaigns DROP COLUMN IF EXISTS search_vector;
+  `);
+  console.log('Campaign search rollback completed');
+}
+
+module.exports = { up, down };
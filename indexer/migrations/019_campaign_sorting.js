@@ -0,0 +1,56 @@
+// migrations/019_campaign_sorting.js
+const db = require('../src/db');
+
+async function up() {
+  // Derived with the campaign totals, the trending score is refreshed by the worker
+  await db.query(`
+    ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS donor_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS last_donation_at TIMESTAMP;
+    ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS trending_score DOUBLE PRECISION NOT NULL DEFAULT 0;
+  `);
+
+  await db.query(`
+    UPDATE campaigns c SET
+      donor_count = d.donor_count,
+      last_donation_at = d.last_donation_at
+    FROM (
+      SELECT campaign_id, COUNT(DISTINCT LOWER(donor)) AS donor_count, MAX(timestamp) AS last_donation_at
+      FROM donations
+      WHERE confirmation_status = 'confirmed'
+      GROUP BY campaign_id
+    ) d
+    WHERE d.campaign_id = c.id
+  `);
+
+  // One index per listing sort, each expression matches the ORDER BY of the API
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_campaigns_sort_created ON campaigns(ended, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_campaigns_sort_raised ON campaigns(ended, amount_raised DESC);
+    CREATE INDEX IF NOT EXISTS idx_campaigns_sort_funded ON campaigns(ended, (amount_raised / NULLIF(target_amount, 0)) DESC NULLS LAST);
+    CREATE INDEX IF NOT EXISTS idx_campaigns_sort_remaining ON campaigns(ended, (target_amount - amount_raised))
+      WHERE amount_raised < target_amount;
+    CREATE INDEX IF NOT EXISTS idx_campaigns_sort_donors ON campaigns(ended, donor_count DESC);
+    CREATE INDEX IF NOT EXISTS idx_campaigns_sort_active ON campaigns(ended, last_donation_at DESC NULLS LAST);
+    CREATE INDEX IF NOT EXISTS idx_campaigns_sort_trending ON campaigns(ended, trending_score DESC);
+  `);
+
+  console.log('Campaign sorting migration completed');
+}
+
+async function down() {
+  await db.query(`
+    DROP INDEX IF EXISTS idx_campaigns_sort_trending;
+    DROP INDEX IF EXISTS idx_campaigns_sort_active;
+    DROP INDEX IF EXISTS idx_campaigns_sort_donors;
+    DROP INDEX IF EXISTS idx_campaigns_sort_remaining;
+    DROP INDEX IF EXISTS idx_campaigns_sort_funded;
+    DROP INDEX IF EXISTS idx_campaigns_sort_raised;
+    DROP INDEX IF EXISTS idx_campaigns_sort_created;
+    ALTER TABLE campaigns DROP COLUMN IF EXISTS trending_score;
+    ALTER TABLE campaigns DROP COLUMN IF EXISTS last_donation_at;
+    ALTER TABLE campaigns DROP COLUMN IF EXISTS donor_count;
+  `);
+  console.log('Campaign sorting rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+// migrations/020_parked_events.js
+const db = require('../src/db');
+
+async function up() {
+  // Events indexed before the campaign or withdrawal request they refer to,
+  // e.g. while the range that created it is still queued for backfill
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS parked_events (
+      id SERIAL PRIMARY KEY,
+      chain VARCHAR(50) NOT NULL,
+      tx_hash VARCHAR(255) NOT NULL,
+      block_number BIGINT NOT NULL,
+      log_index INTEGER NOT NULL,
+      campaign_id VARCHAR(255),
+      request_id VARCHAR(255),
+      event JSONB NOT NULL,
+      parked_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (chain, tx_hash, log_index)
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_parked_events_chain_block ON parked_events(chain, block_number, log_index);
+    CREATE INDEX IF NOT EXISTS idx_parked_events_campaign ON parked_events(campaign_id) WHERE campaign_id IS NOT NULL;
+  `);
+
+  console.log('Parked events table migration completed');
+}
+
+async function down() {
+  await db.query('DROP TABLE IF EXISTS parked_events');
+  console.log('Parked events table rollback completed');
+}
+
+module.exports = { up, down };
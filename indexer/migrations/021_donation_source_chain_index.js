@@ -0,0 +1,19 @@
+// migrations/021_donation_source_chain_index.js
+const db = require('../src/db');
+
+async function up() {
+  // A campaign's donations feed filtered to the chain the donor gave on, the expression matches the API's filter
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_donations_campaign_source_chain
+      ON donations(campaign_id, (COALESCE(source_chain, chain)), block_number DESC, log_index DESC);
+  `);
+
+  console.log('Donation source chain index migration completed');
+}
+
+async function down() {
+  await db.query('DROP INDEX IF EXISTS idx_donations_campaign_source_chain');
+  console.log('Donation source chain index rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// migrations/022_lz_packet_nonces.js
+const db = require('../src/db');
+
+async function up() {
+  // Nonce of the LayerZero packet a relay sent and a delivery received, so deliveries are linked to their exact source
+  await db.query(`
+    ALTER TABLE remote_donations ADD COLUMN IF NOT EXISTS lz_nonce NUMERIC(20);
+    ALTER TABLE donations ADD COLUMN IF NOT EXISTS lz_nonce NUMERIC(20);
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_remote_donations_lz_nonce ON remote_donations(chain, lz_nonce)
+      WHERE lz_nonce IS NOT NULL;
+  `);
+
+  console.log('LayerZero packet nonce migration completed');
+}
+
+async function down() {
+  await db.query('DROP INDEX IF EXISTS idx_remote_donations_lz_nonce');
+  await db.query('ALTER TABLE donations DROP COLUMN IF EXISTS lz_nonce');
+  await db.query('ALTER TABLE remote_donations DROP COLUMN IF EXISTS lz_nonce');
+  console.log('LayerZero packet nonce rollback completed');
+}
+
+module.exports = { up, down };
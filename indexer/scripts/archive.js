@@ -0,0 +1,76 @@
+// scripts/archive.js
+require('dotenv').config();
+const { initialize, NETWORKS, providers, confirmedBlockNumber } = require('../src/services/blockchain');
+const { exportArchives, importArchives } = require('../src/services/logArchive');
+
+const USAGE = `Usage:
+  npm run archive -- export --chain <name> --dir <path> [--from <block>] [--to <block>]
+  npm run archive -- import --dir <path> [--chain <name>]`;
+
+// `--name value` pairs and bare `--flag`s after the command
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+    if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+      options[name] = args[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+  return options;
+}
+
+function blockOption(options, name, fallback) {
+  const value = options[name] === undefined ? fallback : parseInt(options[name]);
+  if (value === undefined || Number.isNaN(value) || value < 0) {
+    throw new Error(`--${name} must be a block number\n${USAGE}`);
+  }
+  return value;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const options = parseOptions(args);
+
+  try {
+    if (!options.dir) {
+      throw new Error(`--dir is required\n${USAGE}`);
+    }
+
+    if (command === 'export') {
+      if (!NETWORKS[options.chain]) {
+        throw new Error(`--chain must be one of ${Object.keys(NETWORKS).join(', ')}\n${USAGE}`);
+      }
+      initialize();
+      if (!providers[options.chain]) {
+        throw new Error(`${options.chain} has no RPC endpoint configured`);
+      }
+
+      // By default everything from the deployment up to the last confirmed block
+      const fromBlock = blockOption(options, 'from', NETWORKS[options.chain].deployBlock);
+      const toBlock = options.to === undefined ? await confirmedBlockNumber(options.chain) : blockOption(options, 'to');
+      const files = await exportArchives(options.chain, fromBlock, toBlock, options.dir);
+
+      console.log(`Exported ${options.chain} blocks ${fromBlock} to ${toBlock} into ${files.length} archives under ${options.dir}`);
+    } else if (command === 'import') {
+      // Imports never touch an RPC endpoint, so providers are not initialized
+      const summary = await importArchives(options.dir, options.chain ? [options.chain] : null);
+
+      console.log('Import summary:');
+      Object.entries(summary).forEach(([network, result]) => {
+        console.log(`- ${network}: ${result.files} archives, ${result.events} events, ${result.skipped} skipped, indexed up to block ${result.lastBlock}`);
+      });
+    } else {
+      throw new Error(USAGE);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`Archive ${command || ''} failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -0,0 +1,30 @@
+// scripts/backfill-timestamps.js
+require('dotenv').config();
+const { backfillBlockTimestamps } = require('../src/services/timestampBackfill');
+const { initialize } = require('../src/services/blockchain');
+
+async function main() {
+  console.log('Starting block timestamp backfill');
+  
+  try {
+    // Initialize blockchain service
+    initialize();
+    
+    // Re-read receipts for every row still stamped with the indexing time
+    const results = await backfillBlockTimestamps();
+    
+    console.log(`Backfill summary:`);
+    for (const [table, counts] of Object.entries(results)) {
+      console.log(`- ${table}: ${counts.updated} updated, ${counts.deleted} duplicates deleted, ${counts.errors} errors`);
+    }
+    
+    process.exit(0);
+  } catch (error) {
+    console.error(`Backfill failed: ${error.message}`);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -2,6 +2,9 @@
 require('dotenv').config();
 const { monitorDirectDonations } = require('../src/services/directDonationMonitor');
 const { initialize } = require('../src/services/blockchain');
+const { startMetricsServer } = require('../src/services/metrics');
+
+const METRICS_PORT = parseInt(process.env.MONITOR_METRICS_PORT) || 9102;
 
 async function main() {
   console.log('Starting direct donation monitor');
@@ -16,6 +19,9 @@ async function main() {
     if (success) {
       console.log('Direct donation monitor running. Press Ctrl+C to exit.');
       
+      // Outcomes of the monitor are scraped from its own port
+      startMetricsServer(METRICS_PORT);
+      
       // Keep the process running
       process.on('SIGINT', () => {
         console.log('Direct donation monitor stopping...');
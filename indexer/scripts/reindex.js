@@ -0,0 +1,93 @@
+// scripts/reindex.js
+require('dotenv').config();
+const { initialize } = require('../src/services/blockchain');
+const { reindexRange, rebuildCampaign, rebuildAll } = require('../src/services/reindex');
+
+const USAGE = `Usage:
+  npm run reindex -- range --chain <name> --from <block> --to <block> [--dry-run]
+  npm run reindex -- campaign --id <campaignId> [--dry-run]
+  npm run reindex -- rebuild [--dry-run | --yes]`;
+
+// `--name value` pairs and bare `--flag`s after the command
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+    if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+      options[name] = args[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+  return options;
+}
+
+function blockOption(options, name) {
+  const value = parseInt(options[name]);
+  if (Number.isNaN(value) || value < 0) {
+    throw new Error(`--${name} must be a block number\n${USAGE}`);
+  }
+  return value;
+}
+
+function printDiff(diff) {
+  for (const [table, changes] of Object.entries(diff)) {
+    console.log(`- ${table}: ${changes.added} added, ${changes.removed} removed, ${changes.changed} changed`);
+    changes.samples.forEach(sample => {
+      const detail = sample.columns ? ` ${JSON.stringify(sample.columns)}` : '';
+      console.log(`    ${sample.change} ${sample.key}${detail}`);
+    });
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const options = parseOptions(args);
+  const dryRun = options['dry-run'] === true;
+
+  try {
+    initialize();
+
+    if (command === 'range') {
+      if (!options.chain) {
+        throw new Error(`--chain is required\n${USAGE}`);
+      }
+      const result = await reindexRange(options.chain, blockOption(options, 'from'), blockOption(options, 'to'), { dryRun });
+
+      console.log(`${dryRun ? 'Dry run of re-index' : 'Re-indexed'} ${result.network} blocks ${result.fromBlock} to ${result.toBlock} (${result.events} events)`);
+      printDiff(result.diff);
+    } else if (command === 'campaign') {
+      if (!options.id) {
+        throw new Error(`--id is required\n${USAGE}`);
+      }
+      const result = await rebuildCampaign(options.id, { dryRun });
+
+      console.log(`${dryRun ? 'Dry run of rebuild of' : 'Rebuilt'} campaign ${result.campaignId} from ${result.network} blocks ${result.fromBlock} to ${result.toBlock} (${result.events} events)`);
+      printDiff(result.diff);
+    } else if (command === 'rebuild') {
+      // Wiping the database is never the default
+      if (!dryRun && options.yes !== true) {
+        throw new Error(`A full rebuild deletes all indexed data, preview it with --dry-run and confirm with --yes\n${USAGE}`);
+      }
+      const plan = await rebuildAll({ dryRun });
+
+      console.log(dryRun ? 'Dry run of full rebuild, rows that would be deleted:' : 'Full rebuild completed, rows deleted:');
+      Object.entries(plan.tables).forEach(([table, count]) => console.log(`- ${table}: ${count}`));
+      console.log(`- campaigns kept for off-chain data: ${plan.keptCampaigns}`);
+      console.log(dryRun ? 'Block ranges that would be indexed:' : 'Block ranges indexed:');
+      Object.entries(plan.networks).forEach(([network, range]) => {
+        console.log(`- ${network}: ${range.fromBlock} to ${range.toBlock} (cursor was ${range.cursor})`);
+      });
+    } else {
+      throw new Error(USAGE);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`Reindex failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
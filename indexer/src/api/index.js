@@ -5,12 +5,31 @@ const rateLimit = require('express-rate-limit');
 const db = require('../db');
 const { getIndexerStatus } = require('../../worker');
 const { generateCampaignWallet } = require('../services/walletGenerator');
+const { crossChainStatus } = require('../services/crossChain');
+const { NETWORKS, providers, contracts, recentChainHead } = require('../services/blockchain');
+const { getDisplayNames, readUsernames } = require('../services/usernames');
+const { SEARCH_CONFIG, buildSearchQuery } = require('../services/campaignSearch');
+const { httpMetrics, metricsHandler } = require('../services/metrics');
 
 const app = express();
 
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const FEATURED_MAX_LAG_BLOCKS = 200; // Main chain lag after which the featured campaign is read from the contract
+const MAX_PAGE_SIZE = 100; // Largest page the paginated feeds return
+const STATS_INTERVALS = { day: 30, week: 12 }; // Buckets returned by default per time-series interval
+const MAX_STATS_BUCKETS = 366; // Longest time series a request may ask for
+const HISTORY_INTERVALS = ['hour', 'day']; // Buckets a campaign's funding history can be grouped in
+const SEARCH_STATUSES = ['ongoing', 'ended', 'all']; // Campaign states a search can be limited to
+const TYPO_MATCH_WEIGHT = 0.5; // Weight of name similarity next to full-text rank in search results
+const HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>'; // How search snippets mark matched words
+
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(httpMetrics);
+
+// Prometheus scrapes are not rate limited
+app.get('/metrics', metricsHandler);
 
 // Rate limiting
 const limiter = rateLimit({
@@ -20,6 +39,254 @@ const limiter = rateLimit({
 
 app.use(limiter);
 
+// Main chain network, where campaigns live and direct donations are paid out
+function mainNetwork() {
+  const [name, config] = Object.entries(NETWORKS).find(([, network]) => network.isMain);
+  return { name, ...config };
+}
+
+// Networks from the registry, for the frontend to build its chain list from
+app.get('/api/networks', (req, res) => {
+  const networks = Object.entries(NETWORKS).map(([name, config]) => ({
+    name,
+    chainId: config.chainId,
+    lzEid: config.lzEid,
+    role: config.role,
+    nativeSymbol: config.nativeSymbol,
+    contractAddress: config.contractAddress || null,
+    deployBlock: config.deployBlock ?? null,
+    confirmations: config.confirmations,
+    indexed: Boolean(providers[name])
+  }));
+
+  res.json(networks);
+});
+
+// Current contract settings of a chain and how they changed, folded from its config events
+function buildPlatformConfig(rows) {
+  const config = {
+    feeBasisPoints: null,
+    feeWallet: null,
+    vaultWallet: null,
+    featuredCampaignId: null,
+    supportedTokens: [],
+    history: {
+      feeBasisPoints: [],
+      feeWallet: [],
+      vaultWallet: [],
+      priceFeeds: [],
+      featuredCampaign: []
+    }
+  };
+  const priceFeeds = new Map();
+  
+  rows.forEach(row => {
+    const change = {
+      value: row.setting === 'fee_basis_points' ? parseInt(row.value) : row.value,
+      txhash: row.tx_hash,
+      blockNumber: parseInt(row.block_number),
+      date: row.block_timestamp
+    };
+    
+    switch (row.setting) {
+      case 'fee_basis_points':
+        config.feeBasisPoints = change.value;
+        config.history.feeBasisPoints.push(change);
+        break;
+      case 'fee_wallet':
+        config.feeWallet = change.value;
+        config.history.feeWallet.push(change);
+        break;
+      case 'vault_wallet':
+        config.vaultWallet = change.value;
+        config.history.vaultWallet.push(change);
+        break;
+      case 'featured_campaign':
+        config.featuredCampaignId = change.value;
+        config.history.featuredCampaign.push(change);
+        break;
+      case 'price_feed':
+        priceFeeds.set(row.token, { token: row.token, priceFeed: change.value, since: change.date });
+        config.history.priceFeeds.push({ token: row.token, ...change });
+        break;
+    }
+  });
+  
+  // Setting a token's feed to the zero address removes the token
+  config.supportedTokens = [...priceFeeds.values()].filter(feed => feed.priceFeed !== ZERO_ADDRESS);
+  
+  return config;
+}
+
+// Get fee rate, wallets, supported tokens and featured campaign per chain with their history
+app.get('/api/platform-config', async (req, res) => {
+  try {
+    const params = [];
+    let where = '';
+    
+    if (req.query.chain) {
+      params.push(req.query.chain);
+      where = 'WHERE chain = $1';
+    }
+    
+    const result = await db.query(
+      `SELECT chain, setting, token, value, tx_hash, block_number, block_timestamp
+       FROM config_events
+       ${where}
+       ORDER BY block_number, log_index`,
+      params
+    );
+    
+    const rowsByChain = {};
+    result.rows.forEach(row => {
+      (rowsByChain[row.chain] = rowsByChain[row.chain] || []).push(row);
+    });
+    
+    const chains = req.query.chain ? [req.query.chain] : Object.keys(NETWORKS);
+    const config = {};
+    chains.forEach(chain => {
+      config[chain] = buildPlatformConfig(rowsByChain[chain] || []);
+    });
+    
+    res.json(config);
+  } catch (error) {
+    console.error('Error getting platform config:', error);
+    res.status(500).json({ error: 'Failed to fetch platform config' });
+  }
+});
+
+// Get platform totals, read from the stats rollups the indexer maintains
+app.get('/api/stats', async (req, res) => {
+  try {
+    const chainResult = await db.query(
+      `SELECT chain,
+        SUM(donation_count) AS donation_count,
+        SUM(amount_raised) AS amount_raised,
+        SUM(withdrawals_processed) AS withdrawals_processed
+      FROM daily_stats
+      GROUP BY chain
+      ORDER BY chain`
+    );
+    const donorResult = await db.query('SELECT COUNT(*) FROM donor_totals');
+    // One row per campaign, cheap enough to count directly
+    const campaignResult = await db.query(
+      `SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE ended) AS ended
+      FROM campaigns`
+    );
+    
+    const donationsByChain = {};
+    let totalRaised = 0;
+    let totalDonations = 0;
+    let withdrawalsProcessed = 0;
+    
+    chainResult.rows.forEach(row => {
+      const donationCount = parseInt(row.donation_count);
+      const amountRaised = parseFloat(row.amount_raised);
+      
+      if (donationCount > 0) {
+        donationsByChain[row.chain] = { count: donationCount, amount: amountRaised };
+      }
+      totalRaised += amountRaised;
+      totalDonations += donationCount;
+      withdrawalsProcessed += parseInt(row.withdrawals_processed);
+    });
+    
+    const totalCampaigns = parseInt(campaignResult.rows[0].total);
+    const endedCampaigns = parseInt(campaignResult.rows[0].ended);
+    
+    res.json({
+      totalRaised,
+      campaigns: {
+        total: totalCampaigns,
+        active: totalCampaigns - endedCampaigns,
+        ended: endedCampaigns
+      },
+      uniqueDonors: parseInt(donorResult.rows[0].count),
+      totalDonations,
+      donationsByChain,
+      withdrawalsProcessed
+    });
+  } catch (error) {
+    console.error('Error getting platform stats:', error);
+    res.status(500).json({ error: 'Failed to fetch platform stats' });
+  }
+});
+
+// Get platform activity per day or week, for charts. Buckets without activity are returned as zeros.
+app.get('/api/stats/timeseries', async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+    if (typeof interval !== 'string' || !Object.hasOwn(STATS_INTERVALS, interval)) {
+      return res.status(400).json({ error: `Invalid interval, expected one of ${Object.keys(STATS_INTERVALS).join(', ')}` });
+    }
+    
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+    if ((req.query.from && !isDate(req.query.from)) || (req.query.to && !isDate(req.query.to))) {
+      return res.status(400).json({ error: 'from and to must be dates formatted as YYYY-MM-DD' });
+    }
+    
+    // Weeks start on Monday, like date_trunc
+    const days = interval === 'week' ? 7 : 1;
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    const from = req.query.from ||
+      new Date(Date.parse(to) - (STATS_INTERVALS[interval] - 1) * days * 86400000).toISOString().slice(0, 10);
+    
+    const bucketCount = Math.floor((Date.parse(to) - Date.parse(from)) / (days * 86400000)) + 1;
+    if (bucketCount < 1 || bucketCount > MAX_STATS_BUCKETS) {
+      return res.status(400).json({ error: `from must not be after to, and at most ${MAX_STATS_BUCKETS} buckets can be requested` });
+    }
+    
+    const result = await db.query(
+      `WITH buckets AS (
+        SELECT generate_series(date_trunc($1, $2::DATE), $3::DATE, ('1 ' || $1)::INTERVAL)::DATE AS bucket
+      ),
+      activity AS (
+        SELECT date_trunc($1, day)::DATE AS bucket,
+          SUM(donation_count) AS donation_count,
+          SUM(amount_raised) AS amount_raised,
+          SUM(campaigns_created) AS campaigns_created,
+          SUM(withdrawals_processed) AS withdrawals_processed
+        FROM daily_stats
+        WHERE day >= date_trunc($1, $2::DATE) AND day <= $3::DATE
+        GROUP BY 1
+      ),
+      new_donors AS (
+        SELECT date_trunc($1, first_donation_at)::DATE AS bucket, COUNT(*) AS new_donors
+        FROM donor_totals
+        WHERE first_donation_at >= date_trunc($1, $2::DATE) AND first_donation_at < $3::DATE + 1
+        GROUP BY 1
+      )
+      SELECT to_char(b.bucket, 'YYYY-MM-DD') AS bucket,
+        COALESCE(a.donation_count, 0) AS donation_count,
+        COALESCE(a.amount_raised, 0) AS amount_raised,
+        COALESCE(a.campaigns_created, 0) AS campaigns_created,
+        COALESCE(a.withdrawals_processed, 0) AS withdrawals_processed,
+        COALESCE(n.new_donors, 0) AS new_donors
+      FROM buckets b
+      LEFT JOIN activity a ON a.bucket = b.bucket
+      LEFT JOIN new_donors n ON n.bucket = b.bucket
+      ORDER BY b.bucket`,
+      [interval, from, to]
+    );
+    
+    const series = result.rows.map(row => ({
+      date: row.bucket,
+      donationCount: parseInt(row.donation_count),
+      amountRaised: parseFloat(row.amount_raised),
+      newDonors: parseInt(row.new_donors),
+      campaignsCreated: parseInt(row.campaigns_created),
+      withdrawalsProcessed: parseInt(row.withdrawals_processed)
+    }));
+    
+    res.json({ interval, from, to, series });
+  } catch (error) {
+    console.error('Error getting stats time series:', error);
+    res.status(500).json({ error: 'Failed to fetch stats time series' });
+  }
+});
+
 // Get indexer status (for real-time frontend updates)
 app.get('/api/indexer-status', async (req, res) => {
   try {
@@ -31,30 +298,40 @@ app.get('/api/indexer-status', async (req, res) => {
   }
 });
 
-// NEW: Campaign search endpoint
+// Campaign search. Free text is matched against name (ranked first) and
+// description word by word as prefixes, with trigram similarity on the name
+// catching typos. Results carry highlighted snippets of the matches.
 app.get('/api/campaigns/search', async (req, res) => {
   try {
-    const query = req.query.query || '';
-    const limit = parseInt(req.query.limit) || 20;
-    const page = parseInt(req.query.page) || 1;
+    const query = (req.query.query || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
     const offset = (page - 1) * limit;
-    const ended = req.query.ended === 'true';
     
-    // Check if the query is a pure numeric ID
-    const isPureNumeric = /^\d+$/.test(query.trim());
+    // `ended=true` is still accepted for the ongoing/ended toggle
+    const status = req.query.status || (req.query.ended === 'true' ? 'ended' : 'ongoing');
+    if (!SEARCH_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status, expected one of ${SEARCH_STATUSES.join(', ')}` });
+    }
     
-    let sqlQuery, queryParams;
+    const minRaised = req.query.minRaised !== undefined ? parseFloat(req.query.minRaised) : null;
+    const maxRaised = req.query.maxRaised !== undefined ? parseFloat(req.query.maxRaised) : null;
+    if (Number.isNaN(minRaised) || Number.isNaN(maxRaised)) {
+      return res.status(400).json({ error: 'minRaised and maxRaised must be numbers' });
+    }
     
-    if (isPureNumeric) {
+    // Check if the query is a pure numeric ID
+    if (/^\d+$/.test(query)) {
       // Prioritize exact ID match first
       const exactMatch = await db.query(
         'SELECT * FROM campaigns WHERE id = $1',
-        [query.trim()]
+        [query]
       );
       
       // If we found an exact ID match, return just that campaign
       if (exactMatch.rows.length > 0) {
         const campaigns = exactMatch.rows.map(formatCampaign);
+        await addDisplayNames(campaigns, 'creator');
         
         return res.json({
           campaigns,
@@ -68,38 +345,82 @@ app.get('/api/campaigns/search', async (req, res) => {
       }
     }
     
-    // If no exact ID match or query is not numeric, perform text search
-    sqlQuery = `
-      SELECT * FROM campaigns 
-      WHERE ended = $1 AND (
-        CAST(id AS TEXT) ILIKE $2 OR
-        name ILIKE $2 OR 
-        description ILIKE $2
-      )
-      ORDER BY created_at DESC
-      LIMIT $3 OFFSET $4
-    `;
-    
-    queryParams = [ended, `%${query}%`, limit, offset];
-    
-    // Execute the search query
-    const result = await db.query(sqlQuery, queryParams);
-    
-    // Get total count for pagination
-    const countSql = `
-      SELECT COUNT(*) FROM campaigns 
-      WHERE ended = $1 AND (
-        CAST(id AS TEXT) ILIKE $2 OR
-        name ILIKE $2 OR 
-        description ILIKE $2
-      )
-    `;
+    const params = [];
+    const param = value => {
+      params.push(value);
+      return `$${params.length}`;
+    };
     
-    const countResult = await db.query(countSql, [ended, `%${query}%`]);
-    const total = parseInt(countResult.rows[0].count);
+    const conditions = [];
+    if (status !== 'all') {
+      conditions.push(`ended = ${param(status === 'ended')}`);
+    }
+    if (req.query.creator) {
+      conditions.push(`LOWER(creator) = LOWER(${param(req.query.creator)})`);
+    }
+    // Campaigns all live on the main chain, a chain selects those that received donations given on it
+    if (req.query.chain) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM donations d
+        WHERE d.campaign_id = campaigns.id AND COALESCE(d.source_chain, d.chain) = ${param(req.query.chain)}
+      )`);
+    }
+    if (minRaised !== null) {
+      conditions.push(`amount_raised >= ${param(minRaised)}`);
+    }
+    if (maxRaised !== null) {
+      conditions.push(`amount_raised <= ${param(maxRaised)}`);
+    }
+    
+    // Without search words, filtered campaigns are listed newest first
+    const searchQuery = buildSearchQuery(query);
+    let rank = '0';
+    let orderBy = 'created_at DESC';
+    let highlights = 'NULL AS name_highlight, NULL AS description_highlight';
+    
+    if (searchQuery) {
+      const tsQuery = `to_tsquery('${SEARCH_CONFIG}', ${param(searchQuery)})`;
+      const text = param(query);
+      
+      conditions.push(`(search_vector @@ ${tsQuery} OR ${text} <% name)`);
+      rank = `ts_rank(search_vector, ${tsQuery}) + word_similarity(${text}, name) * ${TYPO_MATCH_WEIGHT}`;
+      orderBy = 'rank DESC, created_at DESC';
+      highlights = `
+        ts_headline('${SEARCH_CONFIG}', COALESCE(name, ''), ${tsQuery}, 'HighlightAll=true, ${HIGHLIGHT_OPTIONS}') AS name_highlight,
+        ts_headline('${SEARCH_CONFIG}', COALESCE(description, ''), ${tsQuery}, 'MaxWords=35, MinWords=15, MaxFragments=2, ${HIGHLIGHT_OPTIONS}') AS description_highlight`;
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    
+    // One pass ranks, counts and pages the matches, snippets are only built for the page
+    const result = await db.query(
+      `SELECT page.*, ${highlights}
+      FROM (
+        SELECT *, ${rank} AS rank, COUNT(*) OVER () AS total_count
+        FROM campaigns
+        ${where}
+        ORDER BY ${orderBy}
+        LIMIT ${param(limit)} OFFSET ${param(offset)}
+      ) AS page
+      ORDER BY ${orderBy}`,
+      params
+    );
+    
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
     
     // Format campaigns
-    const campaigns = result.rows.map(formatCampaign);
+    const campaigns = result.rows.map(row => ({
+      ...formatCampaign(row),
+      chain: row.chain,
+      ...(searchQuery ? {
+        rank: parseFloat(row.rank),
+        highlights: {
+          title: row.name_highlight,
+          description: row.description_highlight
+        }
+      } : {})
+    }));
+    await addDisplayNames(campaigns, 'creator');
     
     res.json({
       campaigns,
@@ -116,36 +437,53 @@ app.get('/api/campaigns/search', async (req, res) => {
   }
 });
 
+// Orders campaign listings can be sorted in, each backed by an index on (ended, <order>).
+// Closest to goal only lists campaigns that have not reached their target yet.
+const CAMPAIGN_SORTS = {
+  newest: { orderBy: 'created_at DESC' },
+  oldest: { orderBy: 'created_at ASC' },
+  most_raised: { orderBy: 'amount_raised DESC, created_at DESC' },
+  percent_funded: { orderBy: '(amount_raised / NULLIF(target_amount, 0)) DESC NULLS LAST, created_at DESC' },
+  closest_to_goal: { where: 'amount_raised < target_amount', orderBy: '(target_amount - amount_raised) ASC, created_at DESC' },
+  most_donors: { orderBy: 'donor_count DESC, created_at DESC' },
+  recently_active: { orderBy: 'last_donation_at DESC NULLS LAST, created_at DESC' },
+  trending: { orderBy: 'trending_score DESC, created_at DESC' }
+};
+
 // Get all campaigns with pagination
 app.get('/api/campaigns', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 20;
-    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
     const offset = (page - 1) * limit;
     const ended = req.query.ended === 'true';
     const sort = req.query.sort || 'newest'; // Support sort parameter
     
+    if (typeof sort !== 'string' || !Object.hasOwn(CAMPAIGN_SORTS, sort)) {
+      return res.status(400).json({ error: `Invalid sort, expected one of ${Object.keys(CAMPAIGN_SORTS).join(', ')}` });
+    }
+    const { where, orderBy } = CAMPAIGN_SORTS[sort];
+    const filter = where ? `AND ${where}` : '';
+    
     // Get total count
     const countResult = await db.query(
-      'SELECT COUNT(*) FROM campaigns WHERE ended = $1',
+      `SELECT COUNT(*) FROM campaigns WHERE ended = $1 ${filter}`,
       [ended]
     );
     const total = parseInt(countResult.rows[0].count);
     
-    // Determine sort order
-    const sortOrder = sort === 'newest' ? 'DESC' : 'ASC';
-    
     // Get campaigns
     const result = await db.query(
       `SELECT * FROM campaigns 
-       WHERE ended = $1
-       ORDER BY created_at ${sortOrder}
+       WHERE ended = $1 ${filter}
+       ORDER BY ${orderBy}
        LIMIT $2 OFFSET $3`,
       [ended, limit, offset]
     );
     
     // Format response
     const campaigns = result.rows.map(formatCampaign);
+    await addDisplayNames(campaigns, 'creator');
     
     res.json({
       campaigns,
@@ -162,6 +500,91 @@ app.get('/api/campaigns', async (req, res) => {
   }
 });
 
+// Whether the main chain index trails the chain head by more than `maxLag` blocks
+async function mainIndexIsBehind(main, maxLag) {
+  if (!providers[main.name]) {
+    return false;
+  }
+  
+  const state = await db.query('SELECT last_indexed_block FROM indexer_state WHERE chain = $1', [main.name]);
+  if (state.rows.length === 0) {
+    return true;
+  }
+  
+  // A head from the last half minute is close enough, the endpoint must not cost an RPC call per request
+  const currentBlock = await recentChainHead(main.name);
+  return currentBlock - parseInt(state.rows[0].last_indexed_block) > maxLag;
+}
+
+// Get the featured campaign with the campaigns featured before it
+app.get('/api/campaigns/featured', async (req, res) => {
+  try {
+    const main = mainNetwork();
+    
+    const history = await db.query(
+      `SELECT value, tx_hash, block_number, block_timestamp
+       FROM config_events
+       WHERE chain = $1 AND setting = 'featured_campaign'
+       ORDER BY block_number DESC, log_index DESC`,
+      [main.name]
+    );
+    
+    const latest = history.rows[0];
+    let campaignId = latest ? latest.value : null;
+    let featuredSince = latest ? latest.block_timestamp : null;
+    let source = 'index';
+    
+    // A lagging index may not have seen the latest FeaturedCampaignSet yet.
+    // Without RPC access the indexed value is served as it is.
+    if (contracts[main.name]) {
+      try {
+        if (await mainIndexIsBehind(main, FEATURED_MAX_LAG_BLOCKS)) {
+          const onChainId = (await contracts[main.name].featuredCampaignId()).toString();
+          if (onChainId !== campaignId) {
+            campaignId = onChainId;
+            featuredSince = null;
+            source = 'contract';
+          }
+        }
+      } catch (error) {
+        console.error('Error reading featured campaign from contract:', error.message);
+      }
+    }
+    
+    if (!campaignId || campaignId === '0') {
+      return res.status(404).json({ error: 'No featured campaign' });
+    }
+    
+    const campaignResult = await db.query('SELECT * FROM campaigns WHERE id = $1', [campaignId]);
+    if (campaignResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Featured campaign not indexed yet', campaignId });
+    }
+    
+    // Each earlier entry stayed featured until the one after it was set
+    const previous = source === 'index' ? history.rows.slice(1) : history.rows;
+    const featuredUntil = source === 'index' ? history.rows : [null, ...history.rows];
+    
+    const campaign = formatCampaign(campaignResult.rows[0]);
+    await addDisplayNames([campaign], 'creator');
+    
+    res.json({
+      campaign,
+      featuredSince,
+      source,
+      history: previous.map((row, index) => ({
+        campaignId: row.value,
+        featuredFrom: row.block_timestamp,
+        featuredUntil: featuredUntil[index] ? featuredUntil[index].block_timestamp : null,
+        txhash: row.tx_hash,
+        blockNumber: parseInt(row.block_number)
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting featured campaign:', error);
+    res.status(500).json({ error: 'Failed to fetch featured campaign' });
+  }
+});
+
 // Get single campaign by ID
 app.get('/api/campaigns/:id', async (req, res) => {
   try {
@@ -175,6 +598,7 @@ app.get('/api/campaigns/:id', async (req, res) => {
     }
     
     const campaign = formatCampaign(result.rows[0]);
+    await addDisplayNames([campaign], 'creator');
     
     res.json(campaign);
   } catch (error) {
@@ -183,6 +607,237 @@ app.get('/api/campaigns/:id', async (req, res) => {
   }
 });
 
+// Get donations to a campaign whose blocks are still waiting for confirmations
+app.get('/api/campaigns/:id/pending-donations', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT donor, amount, chain, tx_hash, block_number, timestamp, source_chain, source_tx_hash
+       FROM donations
+       WHERE campaign_id = $1 AND confirmation_status = 'pending'
+       ORDER BY block_number DESC, log_index DESC`,
+      [req.params.id]
+    );
+    
+    const donations = result.rows.map(row => ({
+      donor: row.donor,
+      amount: parseFloat(row.amount),
+      chain: row.chain,
+      txhash: row.tx_hash,
+      blockNumber: parseInt(row.block_number),
+      date: row.timestamp,
+      confirmationsRequired: NETWORKS[row.chain] ? NETWORKS[row.chain].confirmations : null,
+      sourceChain: row.source_chain || row.chain,
+      sourceTxhash: row.source_tx_hash || row.tx_hash
+    }));
+    await addDisplayNames(donations, 'donor');
+    
+    res.json(donations);
+  } catch (error) {
+    console.error('Error getting pending donations:', error);
+    res.status(500).json({ error: 'Failed to fetch pending donations' });
+  }
+});
+
+// Orders a campaign's donations feed can be sorted in
+const DONATION_SORTS = {
+  newest: 'block_number DESC, log_index DESC',
+  oldest: 'block_number ASC, log_index ASC',
+  largest: 'amount DESC, block_number DESC, log_index DESC',
+  smallest: 'amount ASC, block_number ASC, log_index ASC'
+};
+
+// Get a campaign's donations, optionally only those made on one chain
+app.get('/api/campaigns/:id/donations', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const offset = (page - 1) * limit;
+    const sort = req.query.sort || 'newest';
+    
+    if (typeof sort !== 'string' || !Object.hasOwn(DONATION_SORTS, sort)) {
+      return res.status(400).json({ error: `Invalid sort, expected one of ${Object.keys(DONATION_SORTS).join(', ')}` });
+    }
+    
+    const campaignResult = await db.query('SELECT id FROM campaigns WHERE id = $1', [req.params.id]);
+    if (campaignResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    // Cross-chain donations belong to the chain the donor gave on, not the one they were delivered to
+    const params = [req.params.id];
+    let chainFilter = '';
+    if (req.query.chain) {
+      params.push(req.query.chain);
+      chainFilter = `AND COALESCE(source_chain, chain) = $${params.length}`;
+    }
+    
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM donations WHERE campaign_id = $1 ${chainFilter}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count);
+    
+    const result = await db.query(
+      `SELECT donor, amount, chain, tx_hash, block_number, timestamp, source_chain, source_tx_hash, confirmation_status
+       FROM donations
+       WHERE campaign_id = $1 ${chainFilter}
+       ORDER BY ${DONATION_SORTS[sort]}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    
+    const donations = result.rows.map(row => ({
+      donor: row.donor,
+      amount: parseFloat(row.amount),
+      chain: row.chain,
+      txhash: row.tx_hash,
+      blockNumber: parseInt(row.block_number),
+      date: row.timestamp,
+      status: row.confirmation_status === 'pending' ? 'Confirming' : 'Completed',
+      sourceChain: row.source_chain || row.chain,
+      sourceTxhash: row.source_tx_hash || row.tx_hash
+    }));
+    await addDisplayNames(donations, 'donor');
+    
+    res.json({
+      donations,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting campaign donations:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign donations' });
+  }
+});
+
+// Get a campaign's largest donors. Only confirmed donations count, like the amount raised.
+app.get('/api/campaigns/:id/top-donors', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_PAGE_SIZE);
+    
+    const campaignResult = await db.query('SELECT id FROM campaigns WHERE id = $1', [req.params.id]);
+    if (campaignResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    const result = await db.query(
+      `SELECT
+        LOWER(donor) AS donor,
+        COUNT(*) AS donation_count,
+        SUM(amount) AS total_amount,
+        MIN(timestamp) AS first_donation_at,
+        MAX(timestamp) AS last_donation_at,
+        ARRAY_AGG(DISTINCT COALESCE(source_chain, chain)) AS chains
+      FROM donations
+      WHERE campaign_id = $1 AND confirmation_status = 'confirmed'
+      GROUP BY LOWER(donor)
+      ORDER BY total_amount DESC, first_donation_at ASC
+      LIMIT $2`,
+      [req.params.id, limit]
+    );
+    
+    const donors = result.rows.map((row, index) => ({
+      rank: index + 1,
+      donor: row.donor,
+      donationCount: parseInt(row.donation_count),
+      totalAmount: parseFloat(row.total_amount),
+      firstDonationAt: row.first_donation_at,
+      lastDonationAt: row.last_donation_at,
+      chains: row.chains
+    }));
+    await addDisplayNames(donors, 'donor');
+    
+    res.json(donors);
+  } catch (error) {
+    console.error('Error getting top donors:', error);
+    res.status(500).json({ error: 'Failed to fetch top donors' });
+  }
+});
+
+// Campaign lifecycle transactions shown as markers on its funding history
+const HISTORY_MARKERS = {
+  'Campaign Created': 'created',
+  'Campaign Edited': 'edited',
+  'Campaign Ended': 'ended'
+};
+
+// Get a campaign's cumulative raised amount over time, for progress charts.
+// Only buckets with confirmed donations are returned, the total holds in between.
+app.get('/api/campaigns/:id/history', async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+    if (!HISTORY_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `Invalid interval, expected one of ${HISTORY_INTERVALS.join(', ')}` });
+    }
+    
+    const campaignResult = await db.query(
+      'SELECT id, target_amount, amount_raised, amount_pending, created_at, ended FROM campaigns WHERE id = $1',
+      [req.params.id]
+    );
+    if (campaignResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const campaign = campaignResult.rows[0];
+    
+    const bucketResult = await db.query(
+      `SELECT
+        date_trunc($2, timestamp) AS bucket,
+        COUNT(*) AS donation_count,
+        SUM(amount) AS amount,
+        SUM(SUM(amount)) OVER (ORDER BY date_trunc($2, timestamp)) AS cumulative_amount
+      FROM donations
+      WHERE campaign_id = $1 AND confirmation_status = 'confirmed'
+      GROUP BY 1
+      ORDER BY 1`,
+      [req.params.id, interval]
+    );
+    
+    const markerResult = await db.query(
+      `SELECT type, amount, target_amount, tx_hash, block_number, timestamp
+       FROM transactions
+       WHERE campaign_id = $1 AND type = ANY($2)
+       ORDER BY block_number, log_index`,
+      [req.params.id, Object.keys(HISTORY_MARKERS)]
+    );
+    
+    const buckets = bucketResult.rows.map(row => ({
+      date: row.bucket,
+      donationCount: parseInt(row.donation_count),
+      amount: parseFloat(row.amount),
+      cumulativeAmount: parseFloat(row.cumulative_amount)
+    }));
+    
+    // Creations and edits carry the target as of their block, the end carries the final raised value
+    const markers = markerResult.rows.map(row => ({
+      type: HISTORY_MARKERS[row.type],
+      date: row.timestamp,
+      txhash: row.tx_hash,
+      blockNumber: row.block_number ? parseInt(row.block_number) : null,
+      targetAmount: row.target_amount !== null ? parseFloat(row.target_amount) : null,
+      finalAmount: row.type === 'Campaign Ended' && row.amount !== null ? parseFloat(row.amount) : null
+    }));
+    
+    res.json({
+      campaignId: campaign.id,
+      interval,
+      targetAmount: parseFloat(campaign.target_amount),
+      amountRaised: parseFloat(campaign.amount_raised),
+      amountPending: parseFloat(campaign.amount_pending || 0),
+      createdAt: campaign.created_at,
+      status: campaign.ended ? 'Ended' : 'Ongoing',
+      buckets,
+      markers
+    });
+  } catch (error) {
+    console.error('Error getting campaign history:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign history' });
+  }
+});
+
 // Get user transaction history
 app.get('/api/transactions/:address', async (req, res) => {
   try {
@@ -203,13 +858,17 @@ app.get('/api/transactions/:address', async (req, res) => {
     const transactions = result.rows.map(row => ({
       id: row.id,
       type: row.type,
+      user: row.user_address,
       amount: row.amount ? parseFloat(row.amount) : null,
       token: row.token || 'USD',
       chain: row.chain,
       date: row.timestamp,
-      status: 'Completed',
-      txhash: row.tx_hash
+      status: row.confirmation_status === 'pending' ? 'Confirming' : 'Completed',
+      txhash: row.tx_hash,
+      sourceChain: row.source_chain || row.chain,
+      sourceTxhash: row.source_tx_hash || row.tx_hash
     }));
+    await addDisplayNames(transactions, 'user');
     
     res.json(transactions);
   } catch (error) {
@@ -232,6 +891,7 @@ app.get('/api/user-campaigns/:address', async (req, res) => {
     
     // Format campaigns
     const campaigns = result.rows.map(formatCampaign);
+    await addDisplayNames(campaigns, 'creator');
     
     res.json(campaigns);
   } catch (error) {
@@ -240,6 +900,54 @@ app.get('/api/user-campaigns/:address', async (req, res) => {
   }
 });
 
+// Add the display name of each item's `field` address as `${field}Name`, null without a username
+async function addDisplayNames(items, field) {
+  const names = await getDisplayNames(items.map(item => item[field]));
+  items.forEach(item => {
+    item[`${field}Name`] = item[field] ? names.get(item[field].toLowerCase()) || null : null;
+  });
+  return items;
+}
+
+// Look up a username by address, or the address behind a username
+app.get('/api/usernames/:query', async (req, res) => {
+  try {
+    const query = req.params.query.trim();
+    const isAddress = /^0x[0-9a-fA-F]{40}$/.test(query);
+    
+    const result = await db.query(
+      isAddress ?
+        'SELECT address, username, updated_at FROM usernames WHERE address = $1' :
+        `SELECT address, username, updated_at FROM usernames WHERE LOWER(username) = LOWER($1) ORDER BY block_number DESC LIMIT 1`,
+      [isAddress ? query.toLowerCase() : query]
+    );
+    
+    let row = result.rows[0];
+    
+    // Addresses the indexer has not seen yet are read from the contract directly
+    const main = mainNetwork();
+    if (!row && isAddress && contracts[main.name]) {
+      const [onChain] = await readUsernames(contracts[main.name], [query], null);
+      if (onChain.username) {
+        row = { address: onChain.address, username: onChain.username, updated_at: null };
+      }
+    }
+    
+    if (!row || !row.username) {
+      return res.status(404).json({ error: 'Username not found' });
+    }
+    
+    res.json({
+      address: row.address,
+      username: row.username,
+      updatedAt: row.updated_at
+    });
+  } catch (error) {
+    console.error('Error looking up username:', error);
+    res.status(500).json({ error: 'Failed to look up username' });
+  }
+});
+
 // Helper function to format campaign data
 function formatCampaign(row) {
   return {
@@ -248,7 +956,11 @@ function formatCampaign(row) {
     description: row.description,
     image: row.image_id,
     amountRaised: parseFloat(row.amount_raised),
+    amountPending: parseFloat(row.amount_pending || 0),
     targetAmount: parseFloat(row.target_amount),
+    donorCount: parseInt(row.donor_count || 0),
+    lastDonationAt: row.last_donation_at || null,
+    trendingScore: parseFloat(row.trending_score || 0),
     createdAt: row.created_at,
     status: row.ended ? 'Ended' : 'Ongoing',
     creator: row.creator,
@@ -259,6 +971,8 @@ function formatCampaign(row) {
 // Get direct donation wallet for a campaign
 app.get('/api/campaigns/:id/direct-wallet', async (req, res) => {
   try {
+    const main = mainNetwork();
+    
     // Check if campaign exists
     const campaignResult = await db.query(
       'SELECT * FROM campaigns WHERE id = $1',
@@ -280,8 +994,8 @@ app.get('/api/campaigns/:id/direct-wallet', async (req, res) => {
       return res.json({
         campaign_id: req.params.id,
         wallet_address: walletResult.rows[0].wallet_address,
-        network: 'polygon',
-        token: 'POL'
+        network: main.name,
+        token: main.nativeSymbol
       });
     }
     
@@ -303,8 +1017,8 @@ app.get('/api/campaigns/:id/direct-wallet', async (req, res) => {
     res.json({
       campaign_id: req.params.id,
       wallet_address: wallet.address,
-      network: 'polygon',
-      token: 'MATIC'
+      network: main.name,
+      token: main.nativeSymbol
     });
   } catch (error) {
     console.error('Error generating campaign wallet:', error);
@@ -330,4 +1044,114 @@ app.get('/api/campaigns/:id/direct-donations', async (req, res) => {
   }
 });
 
+// Remote donations joined with their main-chain delivery
+const CROSS_CHAIN_DONATION_SELECT = `
+  SELECT rd.*,
+    d.chain AS delivered_chain,
+    d.tx_hash AS delivered_tx_hash,
+    d.block_number AS delivered_block_number,
+    d.timestamp AS delivered_at,
+    d.lz_nonce AS delivered_lz_nonce
+  FROM remote_donations rd
+  LEFT JOIN donations d ON d.remote_donation_id = rd.id
+`;
+
+// Helper function to format a cross-chain donation with its end-to-end status
+function formatCrossChainDonation(row) {
+  return {
+    sourceChain: row.chain,
+    donationId: row.donation_id,
+    campaignId: row.campaign_id,
+    donor: row.donor,
+    amount: parseFloat(row.amount),
+    status: crossChainStatus(row),
+    source: {
+      confirmationStatus: row.confirmation_status,
+      txhash: row.tx_hash,
+      blockNumber: row.block_number ? parseInt(row.block_number) : null,
+      date: row.timestamp
+    },
+    relay: row.relayed_tx_hash ? {
+      txhash: row.relayed_tx_hash,
+      dstEid: row.dst_eid,
+      date: row.relayed_at
+    } : null,
+    delivery: row.delivered_tx_hash ? {
+      chain: row.delivered_chain,
+      txhash: row.delivered_tx_hash,
+      blockNumber: parseInt(row.delivered_block_number),
+      date: row.delivered_at,
+      // Linked by send order rather than packet nonce, equal donations relayed together may be swapped
+      heuristic: row.lz_nonce === null || row.delivered_lz_nonce === null
+    } : null
+  };
+}
+
+// Get cross-chain donations with their end-to-end status
+app.get('/api/cross-chain-donations', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+    const offset = (page - 1) * limit;
+    
+    // Optional filters
+    const conditions = [];
+    const params = [];
+    
+    if (req.query.campaignId) {
+      params.push(req.query.campaignId);
+      conditions.push(`rd.campaign_id = $${params.length}`);
+    }
+    if (req.query.donor) {
+      params.push(req.query.donor.toLowerCase());
+      conditions.push(`LOWER(rd.donor) = $${params.length}`);
+    }
+    if (req.query.chain) {
+      params.push(req.query.chain);
+      conditions.push(`rd.chain = $${params.length}`);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    
+    const result = await db.query(
+      `${CROSS_CHAIN_DONATION_SELECT}
+       ${where}
+       ORDER BY rd.timestamp DESC, rd.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    
+    const donations = result.rows.map(formatCrossChainDonation);
+    await addDisplayNames(donations, 'donor');
+    
+    res.json(donations);
+  } catch (error) {
+    console.error('Error getting cross-chain donations:', error);
+    res.status(500).json({ error: 'Failed to fetch cross-chain donations' });
+  }
+});
+
+// Get a single cross-chain donation by source chain and FunditRemote donation ID
+app.get('/api/cross-chain-donations/:chain/:donationId', async (req, res) => {
+  try {
+    const result = await db.query(
+      `${CROSS_CHAIN_DONATION_SELECT}
+       WHERE rd.chain = $1 AND rd.donation_id = $2`,
+      [req.params.chain, req.params.donationId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Cross-chain donation not found' });
+    }
+    
+    const donation = formatCrossChainDonation(result.rows[0]);
+    await addDisplayNames([donation], 'donor');
+    
+    res.json(donation);
+  } catch (error) {
+    console.error('Error getting cross-chain donation:', error);
+    res.status(500).json({ error: 'Failed to fetch cross-chain donation' });
+  }
+});
+
 module.exports = app;
\ No newline at end of file
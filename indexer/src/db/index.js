@@ -1,11 +1,18 @@
 // src/db/index.js
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
+const { startDbTimer } = require('../services/metrics');
 
-const pool = new Pool({
+const CONNECTION_CONFIG = {
   connectionString: process.env.DATABASE_URL,
   ssl: {
     rejectUnauthorized: false
   }
+};
+
+// Fail instead of waiting forever when every pooled client is busy
+const pool = new Pool({
+  ...CONNECTION_CONFIG,
+  connectionTimeoutMillis: parseInt(process.env.DB_CONNECTION_TIMEOUT_MS) || 30000
 });
 
 // Test the connection
@@ -17,6 +24,137 @@ pool.query('SELECT NOW()', (err, res) => {
   }
 });
 
+// Run `fn` with a dedicated client inside BEGIN/COMMIT, rolling back if it throws.
+// Queries that belong to the transaction must go through the client passed to `fn`.
+// With `dryRun` the work is rolled back instead, so callers can preview its effect.
+async function transaction(fn, { dryRun = false } = {}) {
+  const stopTimer = startDbTimer('transaction');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    stopTimer();
+  }
+}
+
+// Pool query, timed for the metrics endpoint
+async function query(text, params) {
+  const stopTimer = startDbTimer('query');
+  try {
+    return await pool.query(text, params);
+  } finally {
+    stopTimer();
+  }
+}
+
+// Advisory locks are held by a session, so every lock of this process lives on
+// one connection outside the pool. Long-running loops holding locks never use up
+// pooled clients. Names held in this process are tracked here too, since Postgres
+// would grant a lock its own session already holds a second time.
+let lockSession = null;
+const heldLockNames = new Set();
+
+async function getLockSession() {
+  if (!lockSession) {
+    const session = { client: new Client(CONNECTION_CONFIG), locks: new Set() };
+    session.ready = session.client.connect();
+    session.client.on('error', error => {
+      console.error('Connection holding advisory locks failed:', error.message);
+      dropLockSession(session);
+    });
+    lockSession = session;
+  }
+
+  const session = lockSession;
+  try {
+    await session.ready;
+  } catch (error) {
+    dropLockSession(session);
+    throw error;
+  }
+  return session;
+}
+
+// Every lock of a failed session is gone with its connection
+function dropLockSession(session) {
+  if (lockSession === session) {
+    lockSession = null;
+  }
+  session.locks.forEach(lock => {
+    lock.lost = true;
+    lock.names.forEach(name => heldLockNames.delete(name));
+  });
+  session.locks.clear();
+  session.client.end().catch(() => {});
+}
+
+// Take a session-level advisory lock and keep it until `release()` is called.
+// Resolves to null when another session or another caller in this process
+// holds the lock. `lost` turns true if the connection, and with it the lock, goes away.
+async function tryAdvisoryLock(name) {
+  return tryAdvisoryLocks([name]);
+}
+
+// Like tryAdvisoryLock for several locks, taking all of them or none
+async function tryAdvisoryLocks(names) {
+  if (names.some(name => heldLockNames.has(name))) {
+    return null;
+  }
+  names.forEach(name => heldLockNames.add(name));
+
+  const taken = [];
+  let session;
+
+  const unlock = () => Promise.all(taken.map(name =>
+    session.client.query('SELECT pg_advisory_unlock(hashtext($1))', [name])
+  ));
+
+  try {
+    session = await getLockSession();
+    for (const name of names) {
+      const result = await session.client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [name]);
+      if (!result.rows[0].locked) {
+        await unlock();
+        names.forEach(lockName => heldLockNames.delete(lockName));
+        return null;
+      }
+      taken.push(name);
+    }
+  } catch (error) {
+    names.forEach(lockName => heldLockNames.delete(lockName));
+    if (session) {
+      dropLockSession(session);
+    }
+    throw error;
+  }
+
+  const lock = {
+    names,
+    lost: false,
+    release: async () => {
+      if (lock.lost || !session.locks.has(lock)) {
+        return;
+      }
+      session.locks.delete(lock);
+      names.forEach(name => heldLockNames.delete(name));
+      await unlock();
+    }
+  };
+  session.locks.add(lock);
+
+  return lock;
+}
+
 module.exports = {
-  query: (text, params) => pool.query(text, params)
+  query,
+  transaction,
+  tryAdvisoryLock,
+  tryAdvisoryLocks
 };
\ No newline at end of file
@@ -34,7 +34,25 @@ async function runMigrations() {
     { name: '001_initial_schema', up: require('../../migrations/001_initial_schema').up },
     { name: '002_reconciliation_table', up: require('../../migrations/002_reconciliation_table.js').up },
     { name: '003_campaign_wallets', up: require('../../migrations/003_campaign_wallets.js').up },
-    { name: '004_direct_donations', up: require('../../migrations/004_direct_donations.js').up }
+    { name: '004_direct_donations', up: require('../../migrations/004_direct_donations.js').up },
+    { name: '005_reorg_tracking', up: require('../../migrations/005_reorg_tracking.js').up },
+    { name: '006_remote_donations', up: require('../../migrations/006_remote_donations.js').up },
+    { name: '007_cross_chain_correlation', up: require('../../migrations/007_cross_chain_correlation.js').up },
+    { name: '008_idempotent_ingestion', up: require('../../migrations/008_idempotent_ingestion.js').up },
+    { name: '009_block_timestamps', up: require('../../migrations/009_block_timestamps.js').up },
+    { name: '010_backfill_jobs', up: require('../../migrations/010_backfill_jobs.js').up },
+    { name: '011_rpc_range_limits', up: require('../../migrations/011_rpc_range_limits.js').up },
+    { name: '012_confirmation_status', up: require('../../migrations/012_confirmation_status.js').up },
+    { name: '013_config_events', up: require('../../migrations/013_config_events.js').up },
+    { name: '014_usernames', up: require('../../migrations/014_usernames.js').up },
+    { name: '015_campaign_donation_indexes', up: require('../../migrations/015_campaign_donation_indexes.js').up },
+    { name: '016_stats_rollups', up: require('../../migrations/016_stats_rollups.js').up },
+    { name: '017_transaction_targets', up: require('../../migrations/017_transaction_targets.js').up },
+    { name: '018_campaign_search', up: require('../../migrations/018_campaign_search.js').up },
+    { name: '019_campaign_sorting', up: require('../../migrations/019_campaign_sorting.js').up },
+    { name: '020_parked_events', up: require('../../migrations/020_parked_events.js').up },
+    { name: '021_donation_source_chain_index', up: require('../../migrations/021_donation_source_chain_index.js').up },
+    { name: '022_lz_packet_nonces', up: require('../../migrations/022_lz_packet_nonces.js').up }
   ];
   
   for (const migration of migrations) {
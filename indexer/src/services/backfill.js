@@ -0,0 +1,169 @@
+// src/services/backfill.js
+const db = require('../db');
+const { providers, indexBlockRange } = require('./blockchain');
+const { createLogger, format, transports } = require('winston');
+
+// Constants
+const BACKFILL_CHUNK_SIZE = parseInt(process.env.BACKFILL_CHUNK_SIZE); // Blocks per backfill step, defaults to the provider's range
+const BACKFILL_CHUNKS_PER_RUN = parseInt(process.env.BACKFILL_CHUNKS_PER_RUN) || 10; // Steps per worker run
+const MAX_JOB_ATTEMPTS = 5; // Failures before a job is parked as failed
+
+// Logger configuration
+const logger = createLogger({
+  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+  format: format.combine(
+    format.timestamp(),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'backfill' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.printf(({ level, message, timestamp, service, ...meta }) => {
+          const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+          return `${timestamp} [${service}] ${level}: ${message} ${metaStr}`;
+        })
+      )
+    }),
+    new transports.File({ filename: 'logs/backfill.log' })
+  ]
+});
+
+/**
+ * Record a block range the realtime indexer skipped so it is indexed later.
+ * Pass the client of an open transaction to queue it together with the cursor jump.
+ */
+async function enqueueBackfill(network, fromBlock, toBlock, client = db) {
+  if (fromBlock > toBlock) {
+    return null;
+  }
+
+  const result = await client.query(
+    `INSERT INTO backfill_jobs (chain, from_block, to_block, next_block)
+     VALUES ($1, $2, $3, $2)
+     RETURNING id`,
+    [network, fromBlock, toBlock]
+  );
+
+  logger.info(`Queued backfill of ${network} blocks ${fromBlock} to ${toBlock}`, { jobId: result.rows[0].id });
+
+  return result.rows[0].id;
+}
+
+/**
+ * Work through queued backfill jobs, oldest first, a limited number of
+ * chunks at a time so realtime indexing is never held up for long
+ */
+async function processBackfillJobs({ maxChunks = BACKFILL_CHUNKS_PER_RUN } = {}) {
+  const jobs = await db.query(
+    `SELECT id, chain, from_block, to_block, next_block, attempts
+     FROM backfill_jobs
+     WHERE status IN ('pending', 'running')
+     ORDER BY id`
+  );
+
+  let chunksProcessed = 0;
+
+  for (const job of jobs.rows) {
+    if (chunksProcessed >= maxChunks) {
+      break;
+    }
+
+    // Jobs for chains without a provider wait until one is configured
+    if (!providers[job.chain]) {
+      continue;
+    }
+
+    const toBlock = parseInt(job.to_block);
+    let nextBlock = parseInt(job.next_block);
+
+    while (chunksProcessed < maxChunks && nextBlock <= toBlock) {
+      const chunkSize = BACKFILL_CHUNK_SIZE || providers[job.chain].maxLogRange();
+      const chunkTo = Math.min(nextBlock + chunkSize - 1, toBlock);
+
+      try {
+        // Job progress commits in the same transaction as the indexed blocks
+        await indexBlockRange(job.chain, nextBlock, chunkTo, async (client, indexedTo) => {
+          const completed = indexedTo >= toBlock;
+          await client.query(
+            `UPDATE backfill_jobs SET
+              next_block = $1,
+              status = $2,
+              completed_at = ${completed ? 'NOW()' : 'NULL'},
+              updated_at = NOW()
+            WHERE id = $3`,
+            [indexedTo + 1, completed ? 'completed' : 'running', job.id]
+          );
+        });
+      } catch (error) {
+        const attempts = job.attempts + 1;
+        const status = attempts >= MAX_JOB_ATTEMPTS ? 'failed' : 'pending';
+
+        await db.query(
+          `UPDATE backfill_jobs SET
+            attempts = $1,
+            status = $2,
+            last_error = $3,
+            updated_at = NOW()
+          WHERE id = $4`,
+          [attempts, status, error.message, job.id]
+        );
+
+        logger.error(`Backfill job ${job.id} (${job.chain}) failed at block ${nextBlock}: ${error.message}`, { attempts, status });
+        break;
+      }
+
+      nextBlock = chunkTo + 1;
+      chunksProcessed++;
+
+      if (nextBlock > toBlock) {
+        logger.info(`Backfill job ${job.id} (${job.chain}) completed`);
+      }
+    }
+  }
+
+  return { chunksProcessed };
+}
+
+/**
+ * Backfill progress per chain for the status API
+ */
+async function getBackfillStatus() {
+  const result = await db.query(
+    `SELECT
+      chain,
+      COUNT(*) FILTER (WHERE status IN ('pending', 'running')) AS active_jobs,
+      COUNT(*) FILTER (WHERE status = 'failed') AS failed_jobs,
+      COALESCE(SUM(to_block - next_block + 1) FILTER (WHERE status IN ('pending', 'running')), 0) AS blocks_remaining,
+      COALESCE(SUM(to_block - from_block + 1) FILTER (WHERE status <> 'failed'), 0) AS blocks_total
+    FROM backfill_jobs
+    GROUP BY chain`
+  );
+
+  const status = {};
+
+  result.rows.forEach(row => {
+    const blocksTotal = parseInt(row.blocks_total);
+    const blocksRemaining = parseInt(row.blocks_remaining);
+
+    status[row.chain] = {
+      activeJobs: parseInt(row.active_jobs),
+      failedJobs: parseInt(row.failed_jobs),
+      blocksRemaining,
+      blocksTotal,
+      progress: blocksTotal > 0 ?
+        (((blocksTotal - blocksRemaining) / blocksTotal) * 100).toFixed(2) + '%' : '100%'
+    };
+  });
+
+  return status;
+}
+
+module.exports = {
+  enqueueBackfill,
+  processBackfillJobs,
+  getBackfillStatus
+};
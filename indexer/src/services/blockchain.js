@@ -3,6 +3,17 @@ const ethers = require('ethers');
 const db = require('../db');
 const mainChainABI = require('../config/mainChainABI.json');
 const remoteChainABI = require('../config/remoteChainABI.json');
+const { recordBlockHash, detectReorg, rollbackToBlock } = require('./reorg');
+const { correlateCrossChainDonations } = require('./crossChain');
+const { refreshCampaignTotals } = require('./campaignTotals');
+const { statsDay, refreshPlatformStats } = require('./platformStats');
+const { refreshCampaignSearch } = require('./campaignSearch');
+const { promoteConfirmedRows } = require('./confirmations');
+const { mustParkEvent, parkEvent, takeReadyParkedEvents } = require('./parkedEvents');
+const { fetchUsernameChanges, applyUsernameChanges } = require('./usernames');
+const { FailoverProvider, isRangeLimitError, isMissingStateError } = require('./failoverProvider');
+const { loadNetworks } = require('./networkRegistry');
+const { addCollector, recordChainProgress, countIndexedEvents } = require('./metrics');
 const { createLogger, format, transports } = require('winston');
 
 // Logger configuration with production awareness
@@ -53,75 +64,35 @@ logger.infoIf = (condition, message, meta = {}) => {
 
 // Constants
 const STABLE_TOKEN_DECIMALS = 8; // Can be configured based on token
-const MAX_BLOCK_RANGE = 10000; // Maximum block range to process at once
 const MAX_RETRY_COUNT = 3; // Maximum number of retries for RPC calls
 const RETRY_DELAY_MS = 2000; // Delay between retries
 const IS_DEV = process.env.NODE_ENV !== 'production';
+const HEAD_MAX_AGE_MS = 30000; // Age of a chain head after which a new one is fetched for metrics and the API
 
-// Performance metrics
+
+// Event counts per category
+function emptyEventCounts() {
+  return { campaigns: 0, donations: 0, withdrawals: 0, remoteDonations: 0, config: 0 };
+}
+
+// Performance metrics, totals since the process started as networks are indexed concurrently
 const metrics = {
-  eventsProcessed: { campaigns: 0, donations: 0, withdrawals: 0 },
+  eventsProcessed: emptyEventCounts(),
   dbOperations: 0,
   errors: 0,
+  reorgs: 0,
   processingTimeMs: 0
 };
 
-// Network configurations
-const NETWORKS = {
-  polygon: {
-    rpc: process.env.POLYGON_RPC,
-    contractAddress: process.env.POLYGON_CONTRACT_ADDRESS,
-    isMain: true
-  },
-  ethereum: {
-    rpc: process.env.ETH_RPC,
-    contractAddress: process.env.ETH_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  bsc: {
-    rpc: process.env.BSC_RPC,
-    contractAddress: process.env.BSC_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  base: {
-    rpc: process.env.BASE_RPC,
-    contractAddress: process.env.BASE_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  avalanche: {
-    rpc: process.env.AVALANCHE_RPC,
-    contractAddress: process.env.AVALANCHE_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  optimism: {
-    rpc: process.env.OPTIMISM_RPC,
-    contractAddress: process.env.OPTIMISM_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  arbitrum: {
-    rpc: process.env.ARBITRUM_RPC,
-    contractAddress: process.env.ARBITRUM_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  sonic: {
-    rpc: process.env.SONIC_RPC,
-    contractAddress: process.env.SONIC_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  soneium: {
-    rpc: process.env.SONEIUM_RPC,
-    contractAddress: process.env.SONEIUM_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  // Add other networks...
-};
+// Enabled networks from the registry, keyed by name
+const NETWORKS = loadNetworks();
 
-// Validate environment variables
+// Report networks the indexer will skip, the rest are indexed as usual
 function validateEnvironment() {
   const issues = [];
   
   Object.entries(NETWORKS).forEach(([network, config]) => {
-    if (!config.rpc) {
+    if (config.rpcs.length === 0) {
       issues.push(`Missing RPC URL for ${network}`);
     }
     if (!config.contractAddress) {
@@ -130,11 +101,131 @@ function validateEnvironment() {
   });
   
   if (issues.length > 0) {
-    logger.error(`Environment validation failed`, { issues });
-    throw new Error(`Environment validation failed: ${issues.join(', ')}`);
+    logger.warn(`Some networks are not configured and will be skipped`, { issues });
+  } else {
+    logger.info('Environment validation successful');
+  }
+}
+
+// Events the LayerZero endpoint emits when a packet is sent, and once `lzReceive`
+// of the receiving contract returned
+const LZ_ENDPOINT_INTERFACE = new ethers.Interface([
+  'event PacketSent(bytes encodedPayload, bytes options, address sendLibrary)',
+  'event PacketDelivered((uint32 srcEid, bytes32 sender, uint64 nonce) origin, address receiver)'
+]);
+
+// Whether a donor is a FunditRemote contract. `_lzReceive` reports the peer
+// contract as the donor of the DonationMade event it emits.
+function isRemotePeer(donor) {
+  const address = donor.toLowerCase();
+  return Object.values(NETWORKS).some(config =>
+    !config.isMain && config.contractAddress && config.contractAddress.toLowerCase() === address
+  );
+}
+
+// Network of a LayerZero endpoint id
+function findNetworkByEid(eid) {
+  const match = Object.entries(NETWORKS).find(([, config]) => !config.isMain && config.lzEid === eid);
+  return match ? match[0] : null;
+}
+
+// Origin of the LayerZero packet whose delivery emitted a donation: the first
+// PacketDelivered to the main contract after the donation's log, sent by the donor
+function findPacketOrigin(network, receipt, event) {
+  const receiver = NETWORKS[network].contractAddress.toLowerCase();
+  const sender = ethers.zeroPadValue(event.args.donor, 32).toLowerCase();
+  
+  for (const log of receipt.logs) {
+    if (log.index <= event.logIndex) {
+      continue;
+    }
+    const parsed = LZ_ENDPOINT_INTERFACE.parseLog({ topics: log.topics, data: log.data });
+    if (parsed && parsed.name === 'PacketDelivered' && parsed.args.receiver.toLowerCase() === receiver) {
+      return parsed.args.origin.sender.toLowerCase() === sender ? parsed.args.origin : null;
+    }
+  }
+  return null;
+}
+
+// Header of an encoded LayerZero packet: version, nonce, srcEid, sender, dstEid, receiver
+function decodePacketHeader(encodedPayload) {
+  return {
+    nonce: BigInt(ethers.dataSlice(encodedPayload, 1, 9)),
+    sender: ethers.dataSlice(encodedPayload, 13, 45).toLowerCase(),
+    dstEid: Number(ethers.dataSlice(encodedPayload, 45, 49))
+  };
+}
+
+// Receipts of the transactions of `events`, keyed by transaction hash
+async function fetchReceipts(network, events) {
+  const provider = providers[network];
+  const txHashes = [...new Set(events.map(event => event.transactionHash))];
+  const receipts = new Map();
+  
+  const BATCH_SIZE = 20;
+  for (let i = 0; i < txHashes.length; i += BATCH_SIZE) {
+    const batch = txHashes.slice(i, i + BATCH_SIZE);
+    const results = await Promise.all(batch.map(txHash =>
+      withRetry(provider.getTransactionReceipt.bind(provider), `getTransactionReceipt-${txHash}`, txHash)
+    ));
+    batch.forEach((txHash, index) => {
+      if (!results[index]) {
+        throw new Error(`Receipt of ${txHash} not found on ${network}`);
+      }
+      receipts.set(txHash, results[index]);
+    });
   }
   
-  logger.info('Environment validation successful');
+  return receipts;
+}
+
+// Set the remote chain a cross-chain delivery was sent from and its packet
+// nonce, by the origin of its packet. The same FunditRemote address can be
+// deployed on several chains, so the donor address alone cannot tell them apart.
+async function resolveSourceChains(network, events) {
+  const deliveries = events.filter(event => event.name === 'DonationMade' && isRemotePeer(event.args.donor));
+  const receipts = await fetchReceipts(network, deliveries);
+  
+  deliveries.forEach(event => {
+    const origin = findPacketOrigin(network, receipts.get(event.transactionHash), event);
+    event.sourceChain = origin ? findNetworkByEid(Number(origin.srcEid)) : null;
+    event.lzNonce = origin && event.sourceChain ? origin.nonce.toString() : null;
+    if (!event.sourceChain) {
+      logger.warn(`No known source chain for delivery ${event.transactionHash} on ${network}`, {
+        logIndex: event.logIndex,
+        srcEid: origin ? Number(origin.srcEid) : null
+      });
+    }
+  });
+}
+
+// Set the nonce of the LayerZero packet each relay sent. A transaction's relays
+// and the packets the contract sent in it are paired in log order.
+async function resolveRelayNonces(network, events) {
+  const relays = events.filter(event => event.name === 'DonationRelayed');
+  const receipts = await fetchReceipts(network, relays);
+  const sender = ethers.zeroPadValue(NETWORKS[network].contractAddress, 32).toLowerCase();
+  
+  receipts.forEach((receipt, txHash) => {
+    const packets = receipt.logs
+      .map(log => LZ_ENDPOINT_INTERFACE.parseLog({ topics: log.topics, data: log.data }))
+      .filter(parsed => parsed && parsed.name === 'PacketSent')
+      .map(parsed => decodePacketHeader(parsed.args.encodedPayload))
+      .filter(packet => packet.sender === sender);
+    const txRelays = relays.filter(event => event.transactionHash === txHash);
+    
+    if (packets.length !== txRelays.length) {
+      logger.warn(`Cannot pair relays of ${txHash} on ${network} with their packets`, {
+        relays: txRelays.length,
+        packets: packets.length
+      });
+    }
+    
+    txRelays.forEach((event, index) => {
+      const packet = packets.length === txRelays.length ? packets[index] : null;
+      event.lzNonce = packet && packet.dstEid === Number(event.args.dstEid) ? packet.nonce.toString() : null;
+    });
+  });
 }
 
 // Create providers and contracts with validation
@@ -143,19 +234,19 @@ const contracts = {};
 
 function initializeProviders() {
   Object.entries(NETWORKS).forEach(([network, config]) => {
-    if (!config.rpc || !config.contractAddress) {
+    if (config.rpcs.length === 0 || !config.contractAddress) {
       logger.warn(`Skipping ${network} due to missing configuration`);
       return;
     }
     
     try {
-      providers[network] = new ethers.JsonRpcProvider(config.rpc);
+      providers[network] = new FailoverProvider(network, config.rpcs, config.chainId);
       contracts[network] = new ethers.Contract(
         config.contractAddress,
         config.isMain ? mainChainABI : remoteChainABI,
         providers[network]
       );
-      logger.info(`Initialized provider and contract for ${network}`);
+      logger.info(`Initialized provider and contract for ${network} with ${config.rpcs.length} RPC endpoint(s)`);
     } catch (error) {
       logger.error(`Failed to initialize ${network}`, { 
         error: error.message, 
@@ -179,6 +270,13 @@ async function withRetry(fn, name, ...args) {
       return result;
     } catch (error) {
       lastError = error;
+      
+      // Retrying cannot help a range the provider refuses, it has to be split,
+      // nor a call at a block whose state the node has pruned
+      if (isRangeLimitError(error) || isMissingStateError(error)) {
+        throw error;
+      }
+      
       logger.warn(`${name} attempt ${attempt} failed: ${error.message}`);
       if (attempt < MAX_RETRY_COUNT) {
         await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
@@ -191,638 +289,849 @@ async function withRetry(fn, name, ...args) {
   throw lastError;
 }
 
-// Campaign indexing
-async function indexCampaignEvents(network, fromBlock, toBlock) {
-  logger.infoIf(IS_DEV, `Indexing ${network} campaign events from ${fromBlock} to ${toBlock}`);
+// Fetch the headers of every block that produced an event, batched. Returns the
+// hash and timestamp (unix seconds) by block number. The map belongs to the caller,
+// so loops indexing other ranges or networks at the same time never share it.
+async function fetchBlockHeaders(network, blockNumbers) {
+  const provider = providers[network];
+  const headers = new Map();
+  const blocksToFetch = [...new Set(blockNumbers)];
   
-  if (!NETWORKS[network].isMain) {
-    logger.infoIf(IS_DEV, `Skipping campaign events for non-main chain ${network}`);
-    return; // Only main chain has campaign events
+  // Fetch block headers in batches of 20 to avoid RPC limits
+  const BATCH_SIZE = 20;
+  for (let i = 0; i < blocksToFetch.length; i += BATCH_SIZE) {
+    const batch = blocksToFetch.slice(i, i + BATCH_SIZE);
+    const blocks = await Promise.all(batch.map(blockNumber =>
+      withRetry(provider.getBlock.bind(provider), `getBlock-${blockNumber}`, blockNumber)
+    ));
+    
+    blocks.forEach((block, index) => {
+      if (!block) {
+        throw new Error(`Block ${batch[index]} not found on ${network}`);
+      }
+      headers.set(batch[index], { hash: block.hash, timestamp: block.timestamp });
+    });
+  }
+  
+  return headers;
+}
+
+// Header of a single block as stored for reorg detection
+async function fetchBlockHeader(network, blockNumber) {
+  const provider = providers[network];
+  const block = await withRetry(provider.getBlock.bind(provider), `getBlock-${blockNumber}`, blockNumber);
+  if (!block) {
+    throw new Error(`Block ${blockNumber} not found on ${network}`);
+  }
+  return { number: blockNumber, hash: block.hash, parentHash: block.parentHash };
+}
+
+// Re-read campaign details from the contract, e.g. after their edits were rolled back.
+// Pass the client of an open transaction to update them inside it.
+async function refreshCampaignDetails(network, campaignIds, client = db) {
+  if (!campaignIds || campaignIds.length === 0 || !NETWORKS[network].isMain) {
+    return;
   }
   
   const contract = contracts[network];
   
-  try {
-    // Start transaction
-    await db.query('BEGIN');
-    metrics.dbOperations++;
-    
-    // Fetch created events
-    const createdFilter = contract.filters.CampaignCreated();
-    const createdEvents = await withRetry(
-      contract.queryFilter.bind(contract), 
-      'queryFilter-CampaignCreated', 
-      createdFilter, 
-      fromBlock, 
-      toBlock
-    );
-    
-    // Fetch edited events
-    const editedFilter = contract.filters.CampaignEdited();
-    const editedEvents = await withRetry(
-      contract.queryFilter.bind(contract), 
-      'queryFilter-CampaignEdited',
-      editedFilter, 
-      fromBlock, 
-      toBlock
-    );
-    
-    // Fetch ended events
-    const endedFilter = contract.filters.CampaignEnded();
-    const endedEvents = await withRetry(
-      contract.queryFilter.bind(contract), 
-      'queryFilter-CampaignEnded',
-      endedFilter, 
-      fromBlock, 
-      toBlock
+  for (const campaignId of campaignIds) {
+    const campaign = await withRetry(
+      contract.campaigns.bind(contract),
+      `fetch-campaign-${campaignId}`,
+      campaignId
     );
     
-    // Get all campaign IDs to fetch in batch
-    const allCampaignIds = new Set();
-    createdEvents.forEach(event => allCampaignIds.add(event.args.campaignId.toString()));
-    editedEvents.forEach(event => allCampaignIds.add(event.args.campaignId.toString()));
-    
-    // Pre-fetch campaign data in batches to avoid multiple RPC calls
-    const campaignDataMap = new Map();
-    const campaignIdsList = [...allCampaignIds];
-    
-    // Process campaign data in batches of 20 to avoid RPC limits
-    const BATCH_SIZE = 20;
-    for (let i = 0; i < campaignIdsList.length; i += BATCH_SIZE) {
-      const batch = campaignIdsList.slice(i, i + BATCH_SIZE);
-      const campaignPromises = batch.map(id => 
-        withRetry(
-          contract.campaigns.bind(contract), 
-          `fetch-campaign-${id}`, 
-          id
-        )
-      );
-      
-      const campaignResults = await Promise.all(campaignPromises);
-      batch.forEach((id, index) => {
-        campaignDataMap.set(id, campaignResults[index]);
-      });
-    }
-    
-    // Prepare batch inserts for created events
-    const createdValues = [];
-    const createdTxValues = [];
-    
-    for (const event of createdEvents) {
-      const campaignId = event.args.campaignId.toString();
-      const creator = event.args.creator;
-      
-      // Get pre-fetched campaign data
-      const campaign = campaignDataMap.get(campaignId);
-      
-      if (!campaign) {
-        logger.warn(`Campaign data not found for ID ${campaignId}`);
-        continue;
-      }
-      
-      createdValues.push([
-        campaignId,
+    await client.query(
+      `UPDATE campaigns SET
+        name = $1,
+        description = $2,
+        target_amount = $3,
+        social_link = $4,
+        image_id = $5,
+        updated_at = NOW()
+      WHERE id = $6`,
+      [
         campaign.name,
         campaign.description,
         ethers.formatUnits(campaign.target, STABLE_TOKEN_DECIMALS),
         campaign.socialLink,
         campaign.imageId.toString(),
-        campaign.creator,
-        campaign.ended,
-        ethers.formatUnits(campaign.totalStable, STABLE_TOKEN_DECIMALS),
-        network,
-        event.transactionHash
-      ]);
-      
-      createdTxValues.push([
-        'Campaign Created',
-        creator,
-        campaignId,
-        network,
-        event.transactionHash
-      ]);
-    }
-    
-    // Batch insert campaigns
-    if (createdValues.length > 0) {
-      const createdParams = [];
-      const createdQueryParts = [];
-      
-      createdValues.forEach((values, i) => {
-        const offset = i * 11; // 11 params per row
-        createdQueryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, $${offset+4}, $${offset+5}, $${offset+6}, $${offset+7}, $${offset+8}, $${offset+9}, $${offset+10}, $${offset+11})`);
-        createdParams.push(...values);
-      });
-      
-      await db.query(
-        `INSERT INTO campaigns (
-          id, name, description, target_amount, social_link, image_id, 
-          creator, ended, amount_raised, chain, tx_hash
-        ) VALUES ${createdQueryParts.join(', ')}
-        ON CONFLICT (id) DO NOTHING`,
-        createdParams
-      );
-      metrics.dbOperations++;
-      
-      // Batch insert campaign created transactions
-      const createdTxParams = [];
-      const createdTxQueryParts = [];
-      
-      createdTxValues.forEach((values, i) => {
-        const offset = i * 5; // 5 params per row
-        createdTxQueryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, NOW(), $${offset+4}, $${offset+5})`);
-        createdTxParams.push(...values);
-      });
-      
-      await db.query(
-        `INSERT INTO transactions (
-          type, user_address, campaign_id, timestamp, chain, tx_hash
-        ) VALUES ${createdTxQueryParts.join(', ')}`,
-        createdTxParams
-      );
-      metrics.dbOperations++;
-    }
-    
-    // Process edited events - these need individual updates
-    for (const event of editedEvents) {
-      const campaignId = event.args.campaignId.toString();
-      
-      // Get pre-fetched campaign data
-      const campaign = campaignDataMap.get(campaignId);
-      
-      if (!campaign) {
-        logger.warn(`Campaign data not found for ID ${campaignId} during edit`);
-        continue;
-      }
-      
-      await db.query(
-        `UPDATE campaigns SET
-          name = $1,
-          description = $2,
-          target_amount = $3,
-          social_link = $4,
-          image_id = $5,
-          updated_at = NOW()
-        WHERE id = $6`,
-        [
-          campaign.name,
-          campaign.description,
-          ethers.formatUnits(campaign.target, STABLE_TOKEN_DECIMALS),
-          campaign.socialLink,
-          campaign.imageId.toString(),
-          campaignId
-        ]
-      );
-      metrics.dbOperations++;
-      
-      // Record transaction
-      await db.query(
-        `INSERT INTO transactions (
-          type, user_address, campaign_id, timestamp, chain, tx_hash
-        ) VALUES ($1, $2, $3, NOW(), $4, $5)`,
-        [
-          'Campaign Edited',
-          campaign.creator,
-          campaignId,
-          network,
-          event.transactionHash
-        ]
-      );
-      metrics.dbOperations++;
-    }
-    
-    // Process ended events - batch processing where possible
-    const endedValues = [];
-    const endedTxValues = [];
-    
-    for (const event of endedEvents) {
-      const campaignId = event.args.campaignId.toString();
-      const finalAmount = ethers.formatUnits(event.args.finalStableValue, STABLE_TOKEN_DECIMALS);
-      
-      endedValues.push([
-        finalAmount, 
         campaignId
-      ]);
-      
-      endedTxValues.push([
-        'Campaign Ended',
-        campaignId,
-        finalAmount,
-        network,
-        event.transactionHash
-      ]);
-    }
-    
-    // Batch update campaigns
-    for (const [finalAmount, campaignId] of endedValues) {
-      await db.query(
-        `UPDATE campaigns SET
-          ended = TRUE,
-          amount_raised = $1,
-          updated_at = NOW()
-        WHERE id = $2`,
-        [finalAmount, campaignId]
-      );
-      metrics.dbOperations++;
-    }
-    
-    // Batch insert campaign ended transactions
-    if (endedTxValues.length > 0) {
-      const endedTxParams = [];
-      const endedTxQueryParts = [];
-      
-      endedTxValues.forEach((values, i) => {
-        const offset = i * 5; // 5 params per row
-        endedTxQueryParts.push(`($${offset+1}, (SELECT creator FROM campaigns WHERE id = $${offset+2}), $${offset+2}, $${offset+3}, NOW(), $${offset+4}, $${offset+5})`);
-        endedTxParams.push(...values);
-      });
-      
-      await db.query(
-        `INSERT INTO transactions (
-          type, user_address, campaign_id, amount, timestamp, chain, tx_hash
-        ) VALUES ${endedTxQueryParts.join(', ')}`,
-        endedTxParams
-      );
-      metrics.dbOperations++;
-    }
-    
-    // Commit all changes
-    await db.query('COMMIT');
+      ]
+    );
     metrics.dbOperations++;
-    
-    // Update metrics
-    metrics.eventsProcessed.campaigns += createdEvents.length + editedEvents.length + endedEvents.length;
-    
-    // Only log results if we found events or in development mode
-    const hasEvents = createdEvents.length > 0 || editedEvents.length > 0 || endedEvents.length > 0;
-    logger.infoIf(IS_DEV || hasEvents, `Indexed ${createdEvents.length} created, ${editedEvents.length} edited, ${endedEvents.length} ended campaigns`);
-    
+  }
+  
+  await refreshCampaignSearch(campaignIds, client);
+  metrics.dbOperations++;
+  
+  logger.info(`Refreshed ${campaignIds.length} campaigns on ${network} from contract state`);
+}
+
+// Events indexed on each kind of contract, with the metric they count towards
+const MAIN_CHAIN_EVENTS = {
+  CampaignCreated: 'campaigns',
+  CampaignEdited: 'campaigns',
+  CampaignEnded: 'campaigns',
+  DonationMade: 'donations',
+  WithdrawalRequested: 'withdrawals',
+  WithdrawalProcessed: 'withdrawals',
+  FeeBasisPointsUpdated: 'config',
+  FeeWalletUpdated: 'config',
+  VaultWalletUpdated: 'config',
+  PriceFeedSet: 'config',
+  FeaturedCampaignSet: 'config'
+};
+
+const REMOTE_CHAIN_EVENTS = {
+  DonationMade: 'remoteDonations',
+  DonationRelayed: 'remoteDonations',
+  FeeBasisPointsUpdated: 'config',
+  FeeWalletUpdated: 'config',
+  VaultWalletUpdated: 'config',
+  PriceFeedSet: 'config'
+};
+
+// Setting each admin event changes, with the token it applies to where there is one
+const CONFIG_EVENTS = {
+  FeeBasisPointsUpdated: { setting: 'fee_basis_points', value: args => args.newFeeBasisPoints },
+  FeeWalletUpdated: { setting: 'fee_wallet', value: args => args.newFeeWallet },
+  VaultWalletUpdated: { setting: 'vault_wallet', value: args => args.newVaultWallet },
+  PriceFeedSet: { setting: 'price_feed', value: args => args.priceFeed, token: args => args.token },
+  FeaturedCampaignSet: { setting: 'featured_campaign', value: args => args.campaignId }
+};
+
+function trackedEvents(network) {
+  return NETWORKS[network].isMain ? MAIN_CHAIN_EVENTS : REMOTE_CHAIN_EVENTS;
+}
+
+// Decoded event arguments as plain values, integers as decimal strings
+function normalizeArgs(parsedLog) {
+  const args = {};
+  parsedLog.fragment.inputs.forEach((input, index) => {
+    const value = parsedLog.args[index];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return args;
+}
+
+// Campaign struct read from the contract as plain values
+function normalizeCampaign(campaign) {
+  return {
+    name: campaign.name,
+    description: campaign.description,
+    target: campaign.target.toString(),
+    socialLink: campaign.socialLink,
+    imageId: campaign.imageId.toString(),
+    creator: campaign.creator,
+    ended: campaign.ended
+  };
+}
+
+// Fetch logs with a topic OR-filter, splitting the range whenever the provider refuses it.
+// `extraTopics` narrow the filter on the indexed event arguments.
+async function fetchLogs(network, topics, fromBlock, toBlock, extraTopics = []) {
+  const provider = providers[network];
+  
+  try {
+    return await withRetry(
+      provider.getLogs.bind(provider),
+      `getLogs-${fromBlock}-${toBlock}`,
+      {
+        address: NETWORKS[network].contractAddress,
+        fromBlock,
+        toBlock,
+        topics: [topics, ...extraTopics]
+      }
+    );
   } catch (error) {
-    await db.query('ROLLBACK');
-    metrics.dbOperations++;
-    metrics.errors++;
+    if (!isRangeLimitError(error) || fromBlock === toBlock) {
+      throw error;
+    }
     
-    logger.error(`Error indexing ${network} campaigns`, {
-      error: error.message,
-      stack: error.stack,
-      fromBlock,
-      toBlock,
-      network
-    });
+    // At most half the range, less if the provider has already learned a smaller limit
+    const pieceSize = Math.min(Math.ceil((toBlock - fromBlock + 1) / 2), providers[network].maxLogRange());
+    logger.infoIf(IS_DEV, `Range ${fromBlock}-${toBlock} too large for ${network}, splitting into ${pieceSize} block pieces`);
     
-    throw error;
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += pieceSize) {
+      logs.push(...await fetchLogs(network, topics, start, Math.min(start + pieceSize - 1, toBlock), extraTopics));
+    }
+    return logs;
   }
 }
 
-// Donation indexing
-async function indexDonationEvents(network, fromBlock, toBlock) {
-  // Skip non-main chains for donations
-  if (!NETWORKS[network].isMain) {
-    logger.infoIf(IS_DEV, `Skipping donation indexing for non-main chain ${network}`);
-    return;
+// Topic hashes of the events tracked on a network, used as one OR-filter
+function eventTopics(network) {
+  const contract = contracts[network];
+  return Object.keys(trackedEvents(network)).map(name => contract.interface.getEvent(name).topicHash);
+}
+
+// Fetch every indexed log of a block range with a single eth_getLogs call and
+// decode them into plain events sorted in on-chain order
+async function fetchRangeEvents(network, fromBlock, toBlock) {
+  const logs = await fetchLogs(network, eventTopics(network), fromBlock, toBlock);
+  return decodeLogs(network, logs);
+}
+
+// Everything a block range changes: its decoded events, on the main chain the
+// username changes, and the header of its last block for reorg detection.
+// Only RPC work, nothing is written.
+async function fetchRangeChanges(network, fromBlock, toBlock) {
+  // Read before the logs, so a reorg in between shows as logs of another block hash
+  const lastBlock = await fetchBlockHeader(network, toBlock);
+  
+  const events = await fetchRangeEvents(network, fromBlock, toBlock);
+  if (events.some(event => event.blockNumber === toBlock && event.blockHash !== lastBlock.hash)) {
+    throw new Error(`Block ${toBlock} on ${network} changed while its logs were read`);
   }
   
-  logger.infoIf(IS_DEV, `Indexing ${network} donation events from ${fromBlock} to ${toBlock}`);
+  // setUsername emits no event, the main chain's usernames are looked up separately
+  const usernameChanges = NETWORKS[network].isMain ?
+    await fetchUsernameChanges(providers[network], contracts[network], fromBlock, toBlock, eventAddresses(events), {
+      blockScan: NETWORKS[network].usernameBlockScan
+    }) : [];
   
+  return { events, usernameChanges, lastBlock };
+}
+
+// Campaign events that carry the campaign id as their first indexed argument
+const CAMPAIGN_HISTORY_EVENTS = ['CampaignCreated', 'CampaignEdited', 'CampaignEnded', 'DonationMade'];
+
+// Full on-chain history of one campaign on the main chain, decoded like any other range
+async function fetchCampaignEvents(campaignId, fromBlock, toBlock) {
+  const network = Object.keys(NETWORKS).find(name => NETWORKS[name].isMain);
+  const contract = contracts[network];
+  const topics = CAMPAIGN_HISTORY_EVENTS.map(name => contract.interface.getEvent(name).topicHash);
+  const campaignTopic = ethers.zeroPadValue(ethers.toBeHex(BigInt(campaignId)), 32);
+  
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += providers[network].maxLogRange()) {
+    const end = Math.min(start + providers[network].maxLogRange() - 1, toBlock);
+    logs.push(...await fetchLogs(network, topics, start, end, [campaignTopic]));
+  }
+  
+  return decodeLogs(network, logs);
+}
+
+// Target of a campaign as of a block, null when the node has pruned that block's state
+async function readTargetAtBlock(network, campaignId, blockNumber) {
   const contract = contracts[network];
   
   try {
-    // Start transaction
-    await db.query('BEGIN');
-    metrics.dbOperations++;
-    
-    // Fetch donation events
-    const donationFilter = contract.filters.DonationMade();
-    const donationEvents = await withRetry(
-      contract.queryFilter.bind(contract), 
-      'queryFilter-DonationMade',
-      donationFilter, 
-      fromBlock, 
-      toBlock
+    const campaign = await withRetry(
+      contract.campaigns.bind(contract),
+      `fetch-campaign-${campaignId}-at-${blockNumber}`,
+      campaignId,
+      { blockTag: blockNumber }
     );
-    
-    // Prepare batch values
-    const donationValues = [];
-    const updateCampaignValues = [];
-    const transactionValues = [];
-    
-    for (const event of donationEvents) {
-      const args = { 
-        campaignId: event.args.campaignId.toString(),
-        donor: event.args.donor,
-        netUSDValue: event.args.netUSDValue
-      };
-      
-      const campaignId = args.campaignId;
-      const donor = args.donor;
-      const amount = ethers.formatUnits(args.netUSDValue, STABLE_TOKEN_DECIMALS);
-      
-      donationValues.push([
-        campaignId, 
-        donor, 
-        amount, 
-        network, 
-        event.transactionHash
-      ]);
-      
-      updateCampaignValues.push([
-        amount, 
-        campaignId
-      ]);
-      
-      transactionValues.push([
-        'Donation', 
-        donor, 
-        campaignId, 
-        amount, 
-        network, 
-        event.transactionHash
-      ]);
+    return campaign.target.toString();
+  } catch (error) {
+    if (isMissingStateError(error)) {
+      logger.warn(`No state of block ${blockNumber} on ${network}, target of campaign ${campaignId} at that block is unknown`);
+      return null;
     }
-    
-    // Batch insert donations
-    if (donationValues.length > 0) {
-      const donationParams = [];
-      const donationQueryParts = [];
-      
-      donationValues.forEach((values, i) => {
-        const offset = i * 5; // 5 params per row
-        donationQueryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, NOW(), $${offset+4}, $${offset+5})`);
-        donationParams.push(...values);
-      });
-      
-      await db.query(
-        `INSERT INTO donations (
-          campaign_id, donor, amount, timestamp, chain, tx_hash
-        ) VALUES ${donationQueryParts.join(', ')}`,
-        donationParams
-      );
-      metrics.dbOperations++;
+    throw error;
+  }
+}
+
+// Decode raw contract logs and add the block timestamps and campaign details
+// the handlers need, whether the logs were fetched or pushed by a subscription.
+// A log whose block is no longer canonical was read before a reorg: fetched
+// ranges fail so they are read again, pushed logs are dropped with `skipOrphaned`
+// since the catch-up indexer covers their blocks anyway.
+async function decodeLogs(network, logs, { skipOrphaned = false } = {}) {
+  const contract = contracts[network];
+  const eventNames = Object.keys(trackedEvents(network));
+  
+  let events = [];
+  for (const log of logs) {
+    const parsed = contract.interface.parseLog({ topics: log.topics, data: log.data });
+    if (!parsed || !eventNames.includes(parsed.name)) {
+      logger.warn(`Skipping unexpected log in ${log.transactionHash} on ${network}`, { logIndex: log.index });
+      continue;
     }
     
-    // Update campaign amounts individually to ensure consistency
-    for (const [amount, campaignId] of updateCampaignValues) {
-      await db.query(
-        `UPDATE campaigns SET
-          amount_raised = amount_raised + $1,
-          updated_at = NOW()
-        WHERE id = $2`,
-        [amount, campaignId]
-      );
-      metrics.dbOperations++;
+    events.push({
+      name: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      args: normalizeArgs(parsed)
+    });
+  }
+  
+  events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  
+  // Stamp every event with the timestamp of its block, a row must never miss it
+  const headers = await fetchBlockHeaders(network, events.map(event => event.blockNumber));
+  events = events.filter(event => {
+    const header = headers.get(event.blockNumber);
+    if (!header) {
+      throw new Error(`No timestamp for block ${event.blockNumber} on ${network}`);
     }
-    
-    // Batch insert transactions
-    if (transactionValues.length > 0) {
-      const txParams = [];
-      const txQueryParts = [];
-      
-      transactionValues.forEach((values, i) => {
-        const offset = i * 6; // 6 params per row
-        txQueryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, $${offset+4}, NOW(), $${offset+5}, $${offset+6})`);
-        txParams.push(...values);
-      });
-      
-      await db.query(
-        `INSERT INTO transactions (
-          type, user_address, campaign_id, amount, timestamp, chain, tx_hash
-        ) VALUES ${txQueryParts.join(', ')}`,
-        txParams
-      );
-      metrics.dbOperations++;
+    if (header.hash !== event.blockHash) {
+      if (skipOrphaned) {
+        logger.warn(`Dropping log of orphaned block ${event.blockNumber} on ${network}`, { txHash: event.transactionHash });
+        return false;
+      }
+      throw new Error(`Block ${event.blockNumber} on ${network} changed while its logs were read`);
     }
-    
-    // Commit all changes
-    await db.query('COMMIT');
-    metrics.dbOperations++;
-    
-    // Update metrics
-    metrics.eventsProcessed.donations += donationEvents.length;
-    
-    // Only log results if we found events or in development mode
-    logger.infoIf(IS_DEV || donationEvents.length > 0, `Indexed ${donationEvents.length} donations`);
-    
-  } catch (error) {
-    await db.query('ROLLBACK');
-    metrics.dbOperations++;
-    metrics.errors++;
-    
-    logger.error(`Error indexing ${network} donations`, {
-      error: error.message,
-      stack: error.stack,
-      fromBlock,
-      toBlock,
-      network
+    event.timestamp = header.timestamp;
+    return true;
+  });
+  
+  if (NETWORKS[network].isMain) {
+    await resolveSourceChains(network, events);
+  } else {
+    await resolveRelayNonces(network, events);
+  }
+  
+  // Campaign details are not part of the events, read them once per campaign
+  const campaignEvents = events.filter(event =>
+    event.name === 'CampaignCreated' || event.name === 'CampaignEdited'
+  );
+  const campaignIds = [...new Set(campaignEvents.map(event => event.args.campaignId))];
+  
+  const campaignDataMap = new Map();
+  
+  // Fetch campaign data in batches of 20 to avoid RPC limits
+  const BATCH_SIZE = 20;
+  for (let i = 0; i < campaignIds.length; i += BATCH_SIZE) {
+    const batch = campaignIds.slice(i, i + BATCH_SIZE);
+    const campaignResults = await Promise.all(batch.map(id =>
+      withRetry(contract.campaigns.bind(contract), `fetch-campaign-${id}`, id)
+    ));
+    batch.forEach((id, index) => {
+      campaignDataMap.set(id, normalizeCampaign(campaignResults[index]));
+    });
+  }
+  
+  // The campaign rows take the current details, the history keeps each event's own target
+  for (let i = 0; i < campaignEvents.length; i += BATCH_SIZE) {
+    const batch = campaignEvents.slice(i, i + BATCH_SIZE);
+    const targets = await Promise.all(batch.map(event =>
+      readTargetAtBlock(network, event.args.campaignId, event.blockNumber)
+    ));
+    batch.forEach((event, index) => {
+      event.targetAtBlock = targets[index];
     });
-    
-    throw error;
   }
+  
+  campaignEvents.forEach(event => {
+    event.campaign = campaignDataMap.get(event.args.campaignId);
+  });
+  
+  return events;
 }
 
-// Withdrawal indexing
-async function indexWithdrawalEvents(network, fromBlock, toBlock) {
-  logger.infoIf(IS_DEV, `Indexing ${network} withdrawal events from ${fromBlock} to ${toBlock}`);
+// Target a creation or edit set, as stored in the campaign's history. Unknown
+// (null) when the node had no state of the event's block.
+function historicTarget(event) {
+  return event.targetAtBlock != null ? ethers.formatUnits(event.targetAtBlock, STABLE_TOKEN_DECIMALS) : null;
+}
+
+// Event handlers, each one applies a single decoded event with the client of the range's transaction
+
+async function applyCampaignCreated(client, network, event) {
+  const campaign = event.campaign;
+  if (!campaign) {
+    logger.warn(`Campaign data not found for ID ${event.args.campaignId}`);
+    return;
+  }
   
-  if (!NETWORKS[network].isMain) {
-    logger.infoIf(IS_DEV, `Skipping withdrawal events for non-main chain ${network}`);
-    return; // Only main chain has withdrawal events
+  await client.query(
+    `INSERT INTO campaigns (
+      id, name, description, target_amount, social_link, image_id,
+      creator, ended, amount_raised, chain, tx_hash, block_number, log_index,
+      block_timestamp, created_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 0, $9, $10, $11, $12, to_timestamp($13) AT TIME ZONE 'UTC', to_timestamp($13) AT TIME ZONE 'UTC')
+    ON CONFLICT (id) DO NOTHING`,
+    [
+      event.args.campaignId,
+      campaign.name,
+      campaign.description,
+      ethers.formatUnits(campaign.target, STABLE_TOKEN_DECIMALS),
+      campaign.socialLink,
+      campaign.imageId,
+      campaign.creator,
+      campaign.ended,
+      network,
+      event.transactionHash,
+      event.blockNumber,
+      event.logIndex,
+      event.timestamp
+    ]
+  );
+  metrics.dbOperations++;
+  
+  await refreshCampaignSearch([event.args.campaignId], client);
+  metrics.dbOperations++;
+  
+  await client.query(
+    `INSERT INTO transactions (
+      type, user_address, campaign_id, target_amount, timestamp, chain, tx_hash, block_number, log_index,
+      block_timestamp
+    ) VALUES ($1, $2, $3, $4, to_timestamp($9) AT TIME ZONE 'UTC', $5, $6, $7, $8, to_timestamp($9) AT TIME ZONE 'UTC')
+    ON CONFLICT (chain, tx_hash, log_index) DO NOTHING`,
+    [
+      'Campaign Created',
+      event.args.creator,
+      event.args.campaignId,
+      historicTarget(event),
+      network,
+      event.transactionHash,
+      event.blockNumber,
+      event.logIndex,
+      event.timestamp
+    ]
+  );
+  metrics.dbOperations++;
+}
+
+async function applyCampaignEdited(client, network, event) {
+  const campaign = event.campaign;
+  if (!campaign) {
+    logger.warn(`Campaign data not found for ID ${event.args.campaignId} during edit`);
+    return;
   }
   
-  const contract = contracts[network];
+  await client.query(
+    `UPDATE campaigns SET
+      name = $1,
+      description = $2,
+      target_amount = $3,
+      social_link = $4,
+      image_id = $5,
+      updated_at = NOW()
+    WHERE id = $6`,
+    [
+      campaign.name,
+      campaign.description,
+      ethers.formatUnits(campaign.target, STABLE_TOKEN_DECIMALS),
+      campaign.socialLink,
+      campaign.imageId,
+      event.args.campaignId
+    ]
+  );
+  metrics.dbOperations++;
   
-  try {
-    // Start transaction
-    await db.query('BEGIN');
-    metrics.dbOperations++;
-    
-    // Fetch withdrawal request events
-    const requestFilter = contract.filters.WithdrawalRequested();
-    const requestEvents = await withRetry(
-      contract.queryFilter.bind(contract), 
-      'queryFilter-WithdrawalRequested',
-      requestFilter, 
-      fromBlock, 
-      toBlock
-    );
-    
-    // Fetch withdrawal processed events
-    const processedFilter = contract.filters.WithdrawalProcessed();
-    const processedEvents = await withRetry(
-      contract.queryFilter.bind(contract), 
-      'queryFilter-WithdrawalProcessed',
-      processedFilter, 
-      fromBlock, 
-      toBlock
-    );
-    
-    // Prepare batch values for requests
-    const requestValues = [];
-    const requestTxValues = [];
-    
-    for (const event of requestEvents) {
-      const requestId = event.args.requestId.toString();
-      const requester = event.args.requester;
-      const amount = ethers.formatUnits(event.args.amount, STABLE_TOKEN_DECIMALS);
-      const token = event.args.token;
-      const targetChain = event.args.targetChainId.toString();
-      
-      requestValues.push([
-        requestId,
-        requester,
-        amount,
-        token,
-        targetChain,
-        'Requested',
-        network,
-        event.transactionHash
-      ]);
-      
-      requestTxValues.push([
-        'Withdrawal Requested',
-        requester,
-        amount,
-        token,
-        targetChain,
-        network,
-        event.transactionHash
-      ]);
-    }
-    
-    // Batch insert withdrawal requests
-    if (requestValues.length > 0) {
-      const requestParams = [];
-      const requestQueryParts = [];
-      
-      requestValues.forEach((values, i) => {
-        const offset = i * 8; // 8 params per row
-        requestQueryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, $${offset+4}, $${offset+5}, $${offset+6}, NOW(), $${offset+7}, $${offset+8})`);
-        requestParams.push(...values);
-      });
-      
-      await db.query(
-        `INSERT INTO withdrawals (
-          id, user_address, amount, token, target_chain, status, 
-          request_timestamp, chain, tx_hash
-        ) VALUES ${requestQueryParts.join(', ')}
-        ON CONFLICT (id) DO NOTHING`,
-        requestParams
-      );
-      metrics.dbOperations++;
-    }
-    
-    // Batch insert withdrawal request transactions
-    if (requestTxValues.length > 0) {
-      const requestTxParams = [];
-      const requestTxQueryParts = [];
-      
-      requestTxValues.forEach((values, i) => {
-        const offset = i * 7; // 7 params per row
-        requestTxQueryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, $${offset+4}, $${offset+5}, NOW(), $${offset+6}, $${offset+7})`);
-        requestTxParams.push(...values);
-      });
-      
-      await db.query(
-        `INSERT INTO transactions (
-          type, user_address, amount, token, target_chain, timestamp, chain, tx_hash
-        ) VALUES ${requestTxQueryParts.join(', ')}`,
-        requestTxParams
-      );
-      metrics.dbOperations++;
-    }
-    
-    // Process processed events - need to be done individually due to dependencies
-    for (const event of processedEvents) {
-      const requestId = event.args.requestId.toString();
-      
-      // Get withdrawal data for transaction log
-      const withdrawal = await db.query(
-        'SELECT * FROM withdrawals WHERE id = $1',
-        [requestId]
-      );
+  await refreshCampaignSearch([event.args.campaignId], client);
+  metrics.dbOperations++;
+  
+  // The edit itself carries no details, the target as of its block is kept for the campaign's history
+  await client.query(
+    `INSERT INTO transactions (
+      type, user_address, campaign_id, target_amount, timestamp, chain, tx_hash, block_number, log_index,
+      block_timestamp
+    ) VALUES ($1, $2, $3, $4, to_timestamp($9) AT TIME ZONE 'UTC', $5, $6, $7, $8, to_timestamp($9) AT TIME ZONE 'UTC')
+    ON CONFLICT (chain, tx_hash, log_index) DO NOTHING`,
+    [
+      'Campaign Edited',
+      campaign.creator,
+      event.args.campaignId,
+      historicTarget(event),
+      network,
+      event.transactionHash,
+      event.blockNumber,
+      event.logIndex,
+      event.timestamp
+    ]
+  );
+  metrics.dbOperations++;
+}
+
+async function applyCampaignEnded(client, network, event) {
+  // The final value stays on the 'Campaign Ended' transaction, totals are derived from donations
+  await client.query(
+    `UPDATE campaigns SET
+      ended = TRUE,
+      ended_block_number = $2,
+      updated_at = NOW()
+    WHERE id = $1`,
+    [event.args.campaignId, event.blockNumber]
+  );
+  metrics.dbOperations++;
+  
+  await client.query(
+    `INSERT INTO transactions (
+      type, user_address, campaign_id, amount, timestamp, chain, tx_hash, block_number, log_index,
+      block_timestamp
+    ) VALUES ($1, (SELECT creator FROM campaigns WHERE id = $2), $2, $3, to_timestamp($8) AT TIME ZONE 'UTC', $4, $5, $6, $7, to_timestamp($8) AT TIME ZONE 'UTC')
+    ON CONFLICT (chain, tx_hash, log_index) DO NOTHING`,
+    [
+      'Campaign Ended',
+      event.args.campaignId,
+      ethers.formatUnits(event.args.finalStableValue, STABLE_TOKEN_DECIMALS),
+      network,
+      event.transactionHash,
+      event.blockNumber,
+      event.logIndex,
+      event.timestamp
+    ]
+  );
+  metrics.dbOperations++;
+}
+
+async function applyDonationMade(client, network, event, context) {
+  const campaignId = event.args.campaignId;
+  const donor = event.args.donor;
+  const amount = ethers.formatUnits(event.args.netUSDValue, STABLE_TOKEN_DECIMALS);
+  
+  // Cross-chain deliveries keep the relaying contract until correlated with the real donor
+  const sourceChain = event.sourceChain || null;
+  
+  await client.query(
+    `INSERT INTO donations (
+      campaign_id, donor, amount, timestamp, chain, tx_hash, block_number,
+      log_index, source_chain, relayer_address, block_timestamp, lz_nonce
+    ) VALUES ($1, $2, $3, to_timestamp($10) AT TIME ZONE 'UTC', $4, $5, $6, $7, $8, $9, to_timestamp($10) AT TIME ZONE 'UTC', $11)
+    ON CONFLICT (chain, tx_hash, log_index) DO NOTHING`,
+    [
+      campaignId,
+      donor,
+      amount,
+      network,
+      event.transactionHash,
+      event.blockNumber,
+      event.logIndex,
+      sourceChain,
+      sourceChain ? donor : null,
+      event.timestamp,
+      sourceChain ? event.lzNonce ?? null : null
+    ]
+  );
+  metrics.dbOperations++;
+  
+  await client.query(
+    `INSERT INTO transactions (
+      type, user_address, campaign_id, amount, timestamp, chain, tx_hash, block_number,
+      log_index, source_chain, block_timestamp
+    ) VALUES ($1, $2, $3, $4, to_timestamp($10) AT TIME ZONE 'UTC', $5, $6, $7, $8, $9, to_timestamp($10) AT TIME ZONE 'UTC')
+    ON CONFLICT (chain, tx_hash, log_index) DO NOTHING`,
+    [
+      'Donation',
+      donor,
+      campaignId,
+      amount,
+      network,
+      event.transactionHash,
+      event.blockNumber,
+      event.logIndex,
+      sourceChain,
+      event.timestamp
+    ]
+  );
+  metrics.dbOperations++;
+  
+  context.donatedCampaignIds.add(campaignId);
+}
+
+async function applyWithdrawalRequested(client, network, event) {
+  const amount = ethers.formatUnits(event.args.amount, STABLE_TOKEN_DECIMALS);
+  
+  await client.query(
+    `INSERT INTO withdrawals (
+      id, user_address, amount, token, target_chain, status,
+      request_timestamp, chain, tx_hash, block_number, log_index, block_timestamp
+    ) VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($11) AT TIME ZONE 'UTC', $7, $8, $9, $10, to_timestamp($11) AT TIME ZONE 'UTC')
+    ON CONFLICT (id) DO NOTHING`,
+    [
+      event.args.requestId,
+      event.args.requester,
+      amount,
+      event.args.token,
+      event.args.targetChainId,
+      'Requested',
+      network,
+      event.transactionHash,
+      event.blockNumber,
+      event.logIndex,
+      event.timestamp
+    ]
+  );
+  metrics.dbOperations++;
+  
+  await client.query(
+    `INSERT INTO transactions (
+      type, user_address, amount, token, target_chain, timestamp, chain, tx_hash, block_number, log_index,
+      block_timestamp
+    ) VALUES ($1, $2, $3, $4, $5, to_timestamp($10) AT TIME ZONE 'UTC', $6, $7, $8, $9, to_timestamp($10) AT TIME ZONE 'UTC')
+    ON CONFLICT (chain, tx_hash, log_index) DO NOTHING`,
+    [
+      'Withdrawal Requested',
+      event.args.requester,
+      amount,
+      event.args.token,
+      event.args.targetChainId,
+      network,
+      event.transactionHash,
+      event.blockNumber,
+      event.logIndex,
+      event.timestamp
+    ]
+  );
+  metrics.dbOperations++;
+}
+
+async function applyWithdrawalProcessed(client, network, event) {
+  const requestId = event.args.requestId;
+  
+  // Get withdrawal data for transaction log
+  const withdrawal = await client.query(
+    'SELECT * FROM withdrawals WHERE id = $1',
+    [requestId]
+  );
+  metrics.dbOperations++;
+  
+  if (withdrawal.rows.length === 0) {
+    logger.warn(`Withdrawal request ${requestId} not found while processing ${event.transactionHash}`);
+    return;
+  }
+  
+  const withdrawalData = withdrawal.rows[0];
+  
+  await client.query(
+    `UPDATE withdrawals SET
+      status = $1,
+      processed_timestamp = to_timestamp($6) AT TIME ZONE 'UTC',
+      processed_tx_hash = $2,
+      processed_block_number = $4,
+      processed_log_index = $5
+    WHERE id = $3`,
+    [
+      'Processed',
+      event.transactionHash,
+      requestId,
+      event.blockNumber,
+      event.logIndex,
+      event.timestamp
+    ]
+  );
+  metrics.dbOperations++;
+  
+  await client.query(
+    `INSERT INTO transactions (
+      type, user_address, amount, token, target_chain, timestamp, chain, tx_hash, block_number, log_index,
+      block_timestamp
+    ) VALUES ($1, $2, $3, $4, $5, to_timestamp($10) AT TIME ZONE 'UTC', $6, $7, $8, $9, to_timestamp($10) AT TIME ZONE 'UTC')
+    ON CONFLICT (chain, tx_hash, log_index) DO NOTHING`,
+    [
+      'Withdrawal Processed',
+      withdrawalData.user_address,
+      withdrawalData.amount,
+      withdrawalData.token,
+      withdrawalData.target_chain,
+      network,
+      event.transactionHash,
+      event.blockNumber,
+      event.logIndex,
+      event.timestamp
+    ]
+  );
+  metrics.dbOperations++;
+}
+
+async function applyRemoteDonationMade(client, network, event) {
+  // Every remote donation starts out pending relay
+  await client.query(
+    `INSERT INTO remote_donations (
+      chain, donation_id, campaign_id, donor, amount, relay_status,
+      timestamp, tx_hash, block_number, log_index
+    ) VALUES ($1, $2, $3, $4, $5, 'pending', to_timestamp($9) AT TIME ZONE 'UTC', $6, $7, $8)
+    ON CONFLICT DO NOTHING`,
+    [
+      network,
+      event.args.donationId,
+      event.args.campaignId,
+      event.args.donor,
+      ethers.formatUnits(event.args.netUSDValue, STABLE_TOKEN_DECIMALS),
+      event.transactionHash,
+      event.blockNumber,
+      event.logIndex,
+      event.timestamp
+    ]
+  );
+  metrics.dbOperations++;
+}
+
+async function applyDonationRelayed(client, network, event) {
+  await client.query(
+    `UPDATE remote_donations SET
+      relay_status = 'relayed',
+      dst_eid = $1,
+      relayed_at = to_timestamp($6) AT TIME ZONE 'UTC',
+      relayed_tx_hash = $2,
+      relayed_block_number = $3,
+      lz_nonce = $7
+    WHERE chain = $4 AND donation_id = $5`,
+    [
+      Number(event.args.dstEid),
+      event.transactionHash,
+      event.blockNumber,
+      network,
+      event.args.donationId,
+      event.timestamp,
+      event.lzNonce ?? null
+    ]
+  );
+  metrics.dbOperations++;
+}
+
+// Record an admin change of a contract setting in the configuration history
+async function applyConfigEvent(client, network, event) {
+  const config = CONFIG_EVENTS[event.name];
+  
+  await client.query(
+    `INSERT INTO config_events (
+      chain, setting, token, value, tx_hash, block_number, log_index, block_timestamp
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, to_timestamp($8) AT TIME ZONE 'UTC')
+    ON CONFLICT (chain, tx_hash, log_index) DO NOTHING`,
+    [
+      network,
+      config.setting,
+      config.token ? config.token(event.args) : null,
+      config.value(event.args),
+      event.transactionHash,
+      event.blockNumber,
+      event.logIndex,
+      event.timestamp
+    ]
+  );
+  metrics.dbOperations++;
+}
+
+const MAIN_CHAIN_HANDLERS = {
+  CampaignCreated: applyCampaignCreated,
+  CampaignEdited: applyCampaignEdited,
+  CampaignEnded: applyCampaignEnded,
+  DonationMade: applyDonationMade,
+  WithdrawalRequested: applyWithdrawalRequested,
+  WithdrawalProcessed: applyWithdrawalProcessed,
+  FeeBasisPointsUpdated: applyConfigEvent,
+  FeeWalletUpdated: applyConfigEvent,
+  VaultWalletUpdated: applyConfigEvent,
+  PriceFeedSet: applyConfigEvent,
+  FeaturedCampaignSet: applyConfigEvent
+};
+
+const REMOTE_CHAIN_HANDLERS = {
+  DonationMade: applyRemoteDonationMade,
+  DonationRelayed: applyDonationRelayed,
+  FeeBasisPointsUpdated: applyConfigEvent,
+  FeeWalletUpdated: applyConfigEvent,
+  VaultWalletUpdated: applyConfigEvent,
+  PriceFeedSet: applyConfigEvent
+};
+
+// Main chain events that change the platform stats rollups
+const STATS_EVENTS = ['CampaignCreated', 'DonationMade', 'WithdrawalProcessed'];
+
+// Apply decoded events in the order they were emitted, using the client of an open transaction.
+// Main chain events that arrive before their campaign or withdrawal request are parked instead.
+async function applyRangeEvents(client, network, events) {
+  const isMain = NETWORKS[network].isMain;
+  const handlers = isMain ? MAIN_CHAIN_HANDLERS : REMOTE_CHAIN_HANDLERS;
+  const context = { donatedCampaignIds: new Set() };
+  const appliedEvents = [];
+  
+  for (const event of events) {
+    if (isMain && await mustParkEvent(client, event)) {
+      await parkEvent(client, network, event);
       metrics.dbOperations++;
-      
-      if (withdrawal.rows.length > 0) {
-        const withdrawalData = withdrawal.rows[0];
-        
-        await db.query(
-          `UPDATE withdrawals SET
-            status = $1,
-            processed_timestamp = NOW(),
-            processed_tx_hash = $2
-          WHERE id = $3`,
-          ['Processed', event.transactionHash, requestId]
-        );
-        metrics.dbOperations++;
-        
-        // Record transaction
-        await db.query(
-          `INSERT INTO transactions (
-            type, user_address, amount, token, target_chain, timestamp, chain, tx_hash
-          ) VALUES ($1, $2, $3, $4, $5, NOW(), $6, $7)`,
-          [
-            'Withdrawal Processed',
-            withdrawalData.user_address,
-            withdrawalData.amount,
-            withdrawalData.token,
-            withdrawalData.target_chain,
-            network,
-            event.transactionHash
-          ]
-        );
-        metrics.dbOperations++;
-      }
+      logger.info(`Parked ${event.name} of ${event.transactionHash} on ${network} until what it refers to is indexed`, { logIndex: event.logIndex });
+      continue;
     }
     
-    // Commit all changes
-    await db.query('COMMIT');
+    await handlers[event.name](client, network, event, context);
+    appliedEvents.push(event);
+  }
+  
+  // Derive campaign totals from the donations table so replays cannot inflate them
+  if (context.donatedCampaignIds.size > 0) {
+    await refreshCampaignTotals([...context.donatedCampaignIds], client);
     metrics.dbOperations++;
-    
-    // Update metrics
-    metrics.eventsProcessed.withdrawals += requestEvents.length + processedEvents.length;
-    
-    // Only log results if we found events or in development mode
-    const hasEvents = requestEvents.length > 0 || processedEvents.length > 0;
-    logger.infoIf(IS_DEV || hasEvents, `Indexed ${requestEvents.length} withdrawal requests, ${processedEvents.length} processed withdrawals`);
-    
-  } catch (error) {
-    await db.query('ROLLBACK');
+  }
+  
+  // Roll the days and donors the range touched back up into the platform stats
+  const statsEvents = isMain ?
+    appliedEvents.filter(event => STATS_EVENTS.includes(event.name)) : [];
+  if (statsEvents.length > 0) {
+    await refreshPlatformStats({
+      days: statsEvents.map(event => statsDay(event.timestamp)),
+      donors: statsEvents.map(event => event.args.donor)
+    }, client);
     metrics.dbOperations++;
-    metrics.errors++;
-    
-    logger.error(`Error indexing ${network} withdrawals`, {
-      error: error.message,
-      stack: error.stack,
-      fromBlock,
-      toBlock,
-      network
-    });
-    
-    throw error;
   }
 }
 
-// Process a chunk of blocks
-async function indexNetworkChunk(network, fromBlock, toBlock) {
+// Count applied events once their transaction has committed, returns the counts per category
+function recordEventMetrics(network, events) {
+  const categories = trackedEvents(network);
+  const eventsProcessed = emptyEventCounts();
+  const counts = {};
+  
+  events.forEach(event => {
+    metrics.eventsProcessed[categories[event.name]]++;
+    eventsProcessed[categories[event.name]]++;
+    counts[event.name] = (counts[event.name] || 0) + 1;
+  });
+  Object.entries(counts).forEach(([name, count]) => countIndexedEvents(network, name, count));
+  
+  // Only log results if we found events or in development mode
+  logger.infoIf(IS_DEV || events.length > 0, `Indexed ${events.length} events on ${network}`, counts);
+  
+  return eventsProcessed;
+}
+
+// Addresses acting in a range's events, whose display names may need a refresh
+function eventAddresses(events) {
+  return events.flatMap(event => [event.args.creator, event.args.donor, event.args.requester]).filter(Boolean);
+}
+
+// Highest block of a network that has the confirmations the network requires
+async function confirmedBlockNumber(network) {
+  const provider = providers[network];
+  const head = await withRetry(provider.getBlockNumber.bind(provider), `getBlockNumber-${network}`);
+  return head - NETWORKS[network].confirmations;
+}
+
+// Persist what a block range changed, whether it was just fetched or read from
+// an archive. Every event of the range and the progress marker commit or roll
+// back together. New rows start out pending, anything at or below
+// `confirmedBlock` is promoted in the same step. Needs no RPC access.
+async function persistRangeChanges(network, toBlock, { events, usernameChanges, confirmedBlock, lastBlock }, onChunkApplied) {
+  await db.transaction(async client => {
+    await applyRangeEvents(client, network, events);
+    await applyUsernameChanges(client, network, usernameChanges);
+    await promoteConfirmedRows(network, confirmedBlock, client);
+    
+    if (onChunkApplied) {
+      await onChunkApplied(client, toBlock, lastBlock);
+    }
+  });
+  metrics.dbOperations += 2;
+  
+  return recordEventMetrics(network, events);
+}
+
+// Process a chunk of blocks. `onChunkApplied(client, toBlock, lastBlock)` runs inside
+// the chunk's transaction so callers can move their progress marker atomically.
+// `lastBlock` is the header of the chunk's last block, read before its logs.
+async function indexNetworkChunk(network, fromBlock, toBlock, onChunkApplied) {
   logger.infoIf(IS_DEV, `Processing chunk for ${network} from block ${fromBlock} to ${toBlock}`);
   
   try {
     // Start timer for performance metrics
     const startTime = Date.now();
     
-    // Index campaign events (only for main chain)
-    if (NETWORKS[network].isMain) {
-      await indexCampaignEvents(network, fromBlock, toBlock);
-    }
+    // RPC work happens before the transaction is opened
+    const changes = await fetchRangeChanges(network, fromBlock, toBlock);
+    const confirmedBlock = await confirmedBlockNumber(network);
     
-    // Index donation events (only for main chain)
-    if (NETWORKS[network].isMain) {
-      await indexDonationEvents(network, fromBlock, toBlock);
-    }
-    
-    // Index withdrawal events (only for main chain)
-    if (NETWORKS[network].isMain) {
-      await indexWithdrawalEvents(network, fromBlock, toBlock);
-    }
+    const eventsProcessed = await persistRangeChanges(network, toBlock, { ...changes, confirmedBlock }, onChunkApplied);
     
     // Calculate processing time
     const processingTime = Date.now() - startTime;
@@ -835,8 +1144,9 @@ async function indexNetworkChunk(network, fromBlock, toBlock) {
       processingTimeMs: processingTime
     });
     
-    return toBlock;
+    return { toBlock, eventsProcessed };
   } catch (error) {
+    metrics.errors++;
     logger.error(`Failed to process chunk for ${network}`, {
       error: error.message,
       stack: error.stack,
@@ -847,76 +1157,176 @@ async function indexNetworkChunk(network, fromBlock, toBlock) {
   }
 }
 
-// Main indexing function with block range chunking
+// Networks known to have no rows indexed before log indexes were stored
+const legacyFreeNetworks = new Set();
+
+// Rows without a log index are not covered by the unique keys, so replaying
+// their blocks would insert them a second time. Refuse until the timestamp
+// backfill has matched them to their logs.
+async function assertNoLegacyRows(network) {
+  if (legacyFreeNetworks.has(network)) {
+    return;
+  }
+  
+  const result = await db.query(
+    `SELECT
+      (SELECT COUNT(*) FROM donations WHERE chain = $1 AND log_index IS NULL) +
+      (SELECT COUNT(*) FROM transactions WHERE chain = $1 AND log_index IS NULL) AS count`,
+    [network]
+  );
+  const count = parseInt(result.rows[0].count);
+  if (count > 0) {
+    throw new Error(`${network} has ${count} rows without a log index, run scripts/backfill-timestamps.js before indexing it`);
+  }
+  
+  legacyFreeNetworks.add(network);
+}
+
+// Index a block range in chunks without touching the realtime cursor.
+// Used directly by the backfill queue for ranges behind the cursor.
+async function indexBlockRange(network, fromBlock, toBlock, onChunkApplied) {
+  await assertNoLegacyRows(network);
+  
+  let lastProcessedBlock = fromBlock;
+  let chunkFrom = fromBlock;
+  const eventsProcessed = emptyEventCounts();
+  
+  // Chunks are as large as the provider currently accepts, which may change as it learns
+  while (chunkFrom <= toBlock) {
+    const chunkTo = Math.min(chunkFrom + providers[network].maxLogRange() - 1, toBlock);
+    const chunk = await indexNetworkChunk(network, chunkFrom, chunkTo, onChunkApplied);
+    
+    lastProcessedBlock = chunk.toBlock;
+    Object.keys(eventsProcessed).forEach(category => {
+      eventsProcessed[category] += chunk.eventsProcessed[category];
+    });
+    chunkFrom = chunkTo + 1;
+  }
+  
+  // The range may have indexed what parked events were waiting for
+  await applyParkedEvents(network);
+  
+  // Credit cross-chain donations to their real donors now both sides may be indexed
+  await correlateCrossChainDonations();
+  
+  return { lastBlock: lastProcessedBlock, eventsProcessed };
+}
+
+// Apply the parked events of a network that no longer wait for anything,
+// returns how many were applied
+async function applyParkedEvents(network) {
+  if (!NETWORKS[network].isMain) {
+    return 0;
+  }
+  
+  const parked = await db.query('SELECT 1 FROM parked_events WHERE chain = $1 LIMIT 1', [network]);
+  if (parked.rows.length === 0) {
+    return 0;
+  }
+  
+  const confirmedBlock = await confirmedBlockNumber(network);
+  
+  const applied = await db.transaction(async client => {
+    const events = await takeReadyParkedEvents(client, network);
+    if (events.length > 0) {
+      await applyRangeEvents(client, network, events);
+      await promoteConfirmedRows(network, confirmedBlock, client);
+    }
+    return events.length;
+  });
+  metrics.dbOperations++;
+  
+  if (applied > 0) {
+    logger.info(`Applied ${applied} parked events on ${network}`);
+  }
+  
+  return applied;
+}
+
+// Apply logs pushed by a subscription ahead of the cursor. Nothing else moves,
+// the catch-up indexer replays the same blocks later and the unique keys on
+// every table turn the replay into a no-op.
+async function indexPushedLogs(network, logs) {
+  try {
+    await assertNoLegacyRows(network);
+    
+    const events = await decodeLogs(network, logs, { skipOrphaned: true });
+    const confirmedBlock = await confirmedBlockNumber(network);
+    
+    await db.transaction(async client => {
+      await applyRangeEvents(client, network, events);
+      await promoteConfirmedRows(network, confirmedBlock, client);
+    });
+    metrics.dbOperations++;
+    
+    const eventsProcessed = recordEventMetrics(network, events);
+    await correlateCrossChainDonations();
+    
+    return eventsProcessed;
+  } catch (error) {
+    metrics.errors++;
+    logger.error(`Failed to apply pushed logs for ${network}: ${error.message}`, { stack: error.stack });
+    throw error;
+  }
+}
+
+// Remove everything indexed after `block`, used when pushed logs turn out to
+// be orphaned. The cursor only moves back if it had already passed `block`.
+async function discardEventsAfter(network, block) {
+  const state = await db.query('SELECT last_indexed_block FROM indexer_state WHERE chain = $1', [network]);
+  if (state.rows.length === 0) {
+    return;
+  }
+  
+  const cursor = parseInt(state.rows[0].last_indexed_block);
+  const rollback = await rollbackToBlock(network, Math.min(cursor, block));
+  if (block < cursor) {
+    metrics.reorgs++;
+  }
+  
+  await refreshCampaignDetails(network, rollback.editedCampaignIds);
+}
+
+// Main indexing function, advances the realtime cursor of a network
 async function indexNetwork(network, fromBlock, toBlock) {
   logger.infoIf(IS_DEV, `Starting indexing for ${network} from block ${fromBlock} to ${toBlock}`);
   
   try {
-    // Reset metrics for this run
-    metrics.eventsProcessed = { campaigns: 0, donations: 0, withdrawals: 0 };
-    metrics.dbOperations = 0;
-    metrics.errors = 0;
-    metrics.processingTimeMs = 0;
+    // Roll back anything derived from blocks that are no longer canonical
+    const { confirmations } = NETWORKS[network];
+    const reorg = await detectReorg(network, providers[network], fromBlock, confirmations);
     
-    // Process in chunks if range is too large
-    if (toBlock - fromBlock > MAX_BLOCK_RANGE) {
-      logger.infoIf(IS_DEV, `Large block range detected, breaking into chunks of ${MAX_BLOCK_RANGE} blocks`);
-      
-      const chunks = [];
-      for (let i = fromBlock; i < toBlock; i += MAX_BLOCK_RANGE) {
-        chunks.push([i, Math.min(i + MAX_BLOCK_RANGE - 1, toBlock)]);
-      }
+    if (reorg) {
+      const rollback = await rollbackToBlock(network, reorg.commonAncestor);
+      metrics.reorgs++;
       
-      logger.infoIf(IS_DEV, `Created ${chunks.length} chunks for processing`);
+      await refreshCampaignDetails(network, rollback.editedCampaignIds);
       
-      let lastProcessedBlock = fromBlock;
-      for (const [chunkFrom, chunkTo] of chunks) {
-        lastProcessedBlock = await indexNetworkChunk(network, chunkFrom, chunkTo);
-      }
-      
-      // Update last indexed block
-      await db.query(
-        `INSERT INTO indexer_state (chain, last_indexed_block, updated_at)
-         VALUES ($1, $2, NOW())
-         ON CONFLICT (chain) DO UPDATE SET
-           last_indexed_block = $2,
-           updated_at = NOW()`,
-        [network, lastProcessedBlock]
-      );
-      
-      // Only log completion details if in dev mode or we found events
-      const foundEvents = 
-        metrics.eventsProcessed.campaigns > 0 || 
-        metrics.eventsProcessed.donations > 0 || 
-        metrics.eventsProcessed.withdrawals > 0;
-      
-      logger.infoIf(IS_DEV || foundEvents, `Completed chunked indexing for ${network}`, { metrics });
-      
-      return lastProcessedBlock;
-    } else {
-      // For smaller ranges, process directly
-      const processedBlock = await indexNetworkChunk(network, fromBlock, toBlock);
-      
-      // Update last indexed block
-      await db.query(
+      logger.warn(`Re-indexing ${network} from block ${reorg.commonAncestor + 1} after a ${reorg.depth} block reorg`);
+      fromBlock = reorg.commonAncestor + 1;
+    }
+    
+    // The cursor moves in the same transaction as each chunk's events
+    const { lastBlock, eventsProcessed } = await indexBlockRange(network, fromBlock, toBlock, async (client, chunkTo, chunkLastBlock) => {
+      await client.query(
         `INSERT INTO indexer_state (chain, last_indexed_block, updated_at)
          VALUES ($1, $2, NOW())
          ON CONFLICT (chain) DO UPDATE SET
            last_indexed_block = $2,
            updated_at = NOW()`,
-        [network, processedBlock]
+        [network, chunkTo]
       );
       
-      // Only log completion details if in dev mode or we found events
-      const foundEvents = 
-        metrics.eventsProcessed.campaigns > 0 || 
-        metrics.eventsProcessed.donations > 0 || 
-        metrics.eventsProcessed.withdrawals > 0;
-      
-      logger.infoIf(IS_DEV || foundEvents, `Completed indexing for ${network}`, { metrics });
-      
-      return processedBlock;
-    }
+      // Remember the block hash so the next run can detect a reorg
+      await recordBlockHash(network, chunkLastBlock, confirmations, client);
+    });
+    
+    // Only log completion details if in dev mode or we found events
+    const foundEvents = Object.values(eventsProcessed).some(count => count > 0);
+    
+    logger.infoIf(IS_DEV || foundEvents, `Completed indexing for ${network}`, { fromBlock, toBlock, eventsProcessed });
+    
+    return { lastBlock, eventsProcessed };
   } catch (error) {
     logger.error(`Failed to index ${network}`, {
       error: error.message,
@@ -929,6 +1339,35 @@ async function indexNetwork(network, fromBlock, toBlock) {
   }
 }
 
+// Head of a chain for read paths such as metrics and the API. A head seen in
+// the last HEAD_MAX_AGE_MS is reused, otherwise the chain's provider is asked.
+async function recentChainHead(network) {
+  const provider = providers[network];
+  if (!provider) {
+    return null;
+  }
+  
+  if (Date.now() - provider.headUpdatedAt > HEAD_MAX_AGE_MS) {
+    await provider.getBlockNumber();
+  }
+  return provider.bestBlockNumber();
+}
+
+// Heads and cursors of every chain for the metrics endpoint
+async function collectChainProgress() {
+  const state = await db.query('SELECT chain, last_indexed_block FROM indexer_state');
+  const cursors = new Map(state.rows.map(row => [row.chain, parseInt(row.last_indexed_block)]));
+  
+  await Promise.all(Object.keys(NETWORKS).map(async network => {
+    // An unreachable chain keeps its last known head, the RPC error metrics show why
+    const head = await recentChainHead(network)
+      .catch(() => providers[network].bestBlockNumber());
+    recordChainProgress(network, head, cursors.has(network) ? cursors.get(network) : null);
+  }));
+}
+
+addCollector(collectChainProgress);
+
 // Get current indexer metrics
 function getMetrics() {
   return {
@@ -949,6 +1388,17 @@ function initialize() {
 module.exports = {
   initialize,
   indexNetwork,
+  indexBlockRange,
+  indexPushedLogs,
+  discardEventsAfter,
+  fetchRangeChanges,
+  persistRangeChanges,
+  fetchCampaignEvents,
+  applyRangeEvents,
+  confirmedBlockNumber,
+  recentChainHead,
+  refreshCampaignDetails,
+  eventTopics,
   getMetrics,
   providers,
   contracts,
@@ -0,0 +1,45 @@
+// src/services/campaignSearch.js
+const db = require('../db');
+
+// Text search configuration used to build and to query campaign search vectors
+const SEARCH_CONFIG = 'english';
+
+/**
+ * Rebuild the full-text search vector of campaigns from their stored name
+ * (weight A) and description (weight B). Run it whenever either changes. Pass
+ * the client of an open transaction to include the update in it.
+ */
+async function refreshCampaignSearch(campaignIds, client = db) {
+  const ids = [...new Set(campaignIds)].filter(Boolean).map(String);
+  if (ids.length === 0) {
+    return;
+  }
+
+  await client.query(
+    `UPDATE campaigns SET search_vector =
+      setweight(to_tsvector('${SEARCH_CONFIG}', COALESCE(name, '')), 'A') ||
+      setweight(to_tsvector('${SEARCH_CONFIG}', COALESCE(description, '')), 'B')
+    WHERE id = ANY($1)`,
+    [ids]
+  );
+}
+
+/**
+ * Turn free text into a tsquery matching every word as a prefix, e.g.
+ * "clean wat" becomes "clean:* & wat:*". Only letters and digits are kept, so
+ * user input can never break the query syntax. Returns null without words.
+ */
+function buildSearchQuery(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  if (!words) {
+    return null;
+  }
+
+  return words.map(word => `${word}:*`).join(' & ');
+}
+
+module.exports = {
+  SEARCH_CONFIG,
+  refreshCampaignSearch,
+  buildSearchQuery
+};
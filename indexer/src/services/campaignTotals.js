@@ -0,0 +1,41 @@
+// src/services/campaignTotals.js
+const db = require('../db');
+
+/**
+ * Recompute the raised amount, donor count and latest donation of campaigns
+ * from their indexed donations. Totals are always derived, so replaying or
+ * rolling back a block range can never inflate them. Only confirmed donations
+ * count as raised, those still confirming are summed separately. Pass the
+ * client of an open transaction to include the update in it.
+ */
+async function refreshCampaignTotals(campaignIds, client = db) {
+  const ids = [...new Set(campaignIds)].filter(Boolean);
+  if (ids.length === 0) {
+    return;
+  }
+
+  await client.query(
+    `UPDATE campaigns c SET
+      amount_raised = COALESCE((
+        SELECT SUM(d.amount) FROM donations d
+        WHERE d.campaign_id = c.id AND d.confirmation_status = 'confirmed'
+      ), 0),
+      amount_pending = COALESCE((
+        SELECT SUM(d.amount) FROM donations d
+        WHERE d.campaign_id = c.id AND d.confirmation_status = 'pending'
+      ), 0),
+      donor_count = (
+        SELECT COUNT(DISTINCT LOWER(d.donor)) FROM donations d
+        WHERE d.campaign_id = c.id AND d.confirmation_status = 'confirmed'
+      ),
+      last_donation_at = (
+        SELECT MAX(d.timestamp) FROM donations d
+        WHERE d.campaign_id = c.id AND d.confirmation_status = 'confirmed'
+      ),
+      updated_at = NOW()
+    WHERE c.id = ANY($1)`,
+    [ids]
+  );
+}
+
+module.exports = { refreshCampaignTotals };
@@ -0,0 +1,42 @@
+// src/services/confirmations.js
+const db = require('../db');
+const { refreshCampaignTotals } = require('./campaignTotals');
+const { refreshPlatformStats } = require('./platformStats');
+
+// Tables whose rows start out pending until their block has enough confirmations
+const CONFIRMED_TABLES = ['donations', 'transactions', 'remote_donations'];
+
+/**
+ * Mark every pending row of a network at or below `confirmedBlock` as
+ * confirmed and move the promoted donations into their campaign totals and
+ * the platform stats.
+ * Pass the client of an open transaction to promote with the indexed range.
+ */
+async function promoteConfirmedRows(network, confirmedBlock, client = db) {
+  let promoted = 0;
+  let donations = [];
+
+  for (const table of CONFIRMED_TABLES) {
+    const result = await client.query(
+      `UPDATE ${table} SET confirmation_status = 'confirmed'
+       WHERE chain = $1 AND confirmation_status = 'pending' AND block_number <= $2
+       RETURNING campaign_id${table === 'donations' ? ", donor, to_char(timestamp, 'YYYY-MM-DD') AS day" : ''}`,
+      [network, confirmedBlock]
+    );
+
+    promoted += result.rowCount;
+    if (table === 'donations') {
+      donations = result.rows;
+    }
+  }
+
+  await refreshCampaignTotals(donations.map(row => row.campaign_id), client);
+  await refreshPlatformStats({
+    days: donations.map(row => row.day),
+    donors: donations.map(row => row.donor)
+  }, client);
+
+  return promoted;
+}
+
+module.exports = { promoteConfirmedRows };
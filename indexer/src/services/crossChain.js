@@ -0,0 +1,176 @@
+// src/services/crossChain.js
+const db = require('../db');
+const { refreshCampaignTotals } = require('./campaignTotals');
+const { refreshPlatformStats } = require('./platformStats');
+const { createLogger, format, transports } = require('winston');
+
+// Constants
+const CORRELATION_BATCH_SIZE = 500; // Unlinked donations read per page
+
+// Logger configuration
+const logger = createLogger({
+  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+  format: format.combine(
+    format.timestamp(),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'cross-chain-correlator' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.printf(({ level, message, timestamp, service, ...meta }) => {
+          const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+          return `${timestamp} [${service}] ${level}: ${message} ${metaStr}`;
+        })
+      )
+    }),
+    new transports.File({ filename: 'logs/cross-chain.log' })
+  ]
+});
+
+/**
+ * Link main-chain donations delivered by `_lzReceive` to the FunditRemote
+ * donation they originate from, and credit the real donor.
+ *
+ * A delivery is linked to the relay that sent the packet with its LayerZero
+ * nonce. Rows indexed before nonces were recorded fall back to send order:
+ * the oldest unlinked delivery is paired with the oldest unlinked relay
+ * carrying the same campaign and amount. Equal donations relayed in one block
+ * can be swapped that way, such links are reported as heuristic by the API.
+ * Unlinked deliveries are read in pages, so ones that cannot be matched yet
+ * never hold back newer ones. Pass the client of an open transaction to link
+ * inside it instead of in a transaction per page.
+ */
+async function correlateCrossChainDonations(client = null) {
+  let linked = 0;
+  let attempted = 0;
+  let after = { blockNumber: -1, id: 0 };
+
+  for (;;) {
+    const unlinked = await (client || db).query(
+      `SELECT id, block_number, campaign_id, amount, chain, tx_hash, source_chain, relayer_address, lz_nonce
+       FROM donations
+       WHERE source_chain IS NOT NULL AND remote_donation_id IS NULL
+         AND (block_number, id) > ($2::BIGINT, $3::INTEGER)
+       ORDER BY block_number, id
+       LIMIT $1`,
+      [CORRELATION_BATCH_SIZE, after.blockNumber, after.id]
+    );
+
+    if (unlinked.rows.length === 0) {
+      break;
+    }
+
+    try {
+      const linkPage = pageClient => linkDonations(pageClient, unlinked.rows);
+      linked += await (client ? linkPage(client) : db.transaction(linkPage));
+    } catch (error) {
+      logger.error(`Cross-chain correlation failed: ${error.message}`, { stack: error.stack });
+      throw error;
+    }
+
+    attempted += unlinked.rows.length;
+    const last = unlinked.rows[unlinked.rows.length - 1];
+    after = { blockNumber: last.block_number, id: last.id };
+
+    if (unlinked.rows.length < CORRELATION_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (linked > 0) {
+    logger.info(`Linked ${linked} of ${attempted} cross-chain donations to their source`);
+  }
+
+  return linked;
+}
+
+// Link a page of unlinked deliveries with the client of its transaction, returns how many matched
+async function linkDonations(client, donations) {
+  const relinkedDonors = [];
+  const relinkedCampaignIds = [];
+
+  for (const donation of donations) {
+    // A nonce on both sides must match exactly, send order only pairs rows missing one
+    const match = await client.query(
+      `SELECT rd.id, rd.donor, rd.tx_hash
+       FROM remote_donations rd
+       WHERE rd.chain = $1
+         AND rd.campaign_id = $2
+         AND rd.amount = $3
+         AND rd.relay_status = 'relayed'
+         AND (rd.lz_nonce = $4 OR rd.lz_nonce IS NULL OR $4::NUMERIC IS NULL)
+         AND NOT EXISTS (SELECT 1 FROM donations d WHERE d.remote_donation_id = rd.id)
+       ORDER BY rd.lz_nonce = $4 DESC NULLS LAST, rd.relayed_block_number, rd.donation_id::NUMERIC
+       LIMIT 1`,
+      [donation.source_chain, donation.campaign_id, donation.amount, donation.lz_nonce]
+    );
+
+    // The remote chain may simply not be indexed that far yet
+    if (match.rows.length === 0) {
+      continue;
+    }
+
+    const remoteDonation = match.rows[0];
+
+    await client.query(
+      `UPDATE donations SET
+        donor = $1,
+        source_tx_hash = $2,
+        remote_donation_id = $3
+      WHERE id = $4`,
+      [remoteDonation.donor, remoteDonation.tx_hash, remoteDonation.id, donation.id]
+    );
+
+    await client.query(
+      `UPDATE transactions SET
+        user_address = $1,
+        source_tx_hash = $2
+      WHERE id = (
+        SELECT id FROM transactions
+        WHERE chain = $3 AND tx_hash = $4 AND type = 'Donation'
+          AND campaign_id = $5 AND user_address = $6 AND source_tx_hash IS NULL
+        ORDER BY id
+        LIMIT 1
+      )`,
+      [
+        remoteDonation.donor,
+        remoteDonation.tx_hash,
+        donation.chain,
+        donation.tx_hash,
+        donation.campaign_id,
+        donation.relayer_address
+      ]
+    );
+
+    relinkedDonors.push(donation.relayer_address, remoteDonation.donor);
+    relinkedCampaignIds.push(donation.campaign_id);
+  }
+
+  // Credit moves from the relaying contract to the real donor
+  await refreshPlatformStats({ donors: relinkedDonors }, client);
+  await refreshCampaignTotals(relinkedCampaignIds, client);
+
+  return relinkedCampaignIds.length;
+}
+
+/**
+ * End-to-end status of a remote donation row joined with its delivery
+ */
+function crossChainStatus(row) {
+  if (row.delivered_tx_hash) {
+    return 'delivered';
+  }
+  if (row.relay_status === 'relayed') {
+    return 'relayed';
+  }
+  return row.confirmation_status === 'pending' ? 'source_pending' : 'source_confirmed';
+}
+
+module.exports = {
+  correlateCrossChainDonations,
+  crossChainStatus
+};
@@ -2,6 +2,7 @@
 const ethers = require('ethers');
 const db = require('../db');
 const { providers, contracts, NETWORKS } = require('./blockchain');
+const { countDirectDonation } = require('./metrics');
 const { createLogger, format, transports } = require('winston');
 
 // Logger configuration
@@ -147,6 +148,7 @@ async function handlePendingDonation(donation, wallet, provider, mainContract) {
         `UPDATE direct_donations SET status = $1, processed_at = NOW() WHERE id = $2`,
         [newStatus, donation.id]
       );
+      countDirectDonation(newStatus);
       return;
     }
     
@@ -160,6 +162,7 @@ async function handlePendingDonation(donation, wallet, provider, mainContract) {
     // If we've checked too many times, try to replace the transaction
     if (newCheckCount >= CONFIG.MAX_PENDING_CHECKS) {
       logger.warn(`Transaction ${txHash.substring(0, 10)}... stuck, attempting replacement`);
+      countDirectDonation('stuck');
       
       // If we stored the nonce in the database, use it
       if (donation.tx_nonce !== null && donation.tx_nonce !== undefined) {
@@ -212,6 +215,7 @@ async function replaceStuckTransaction(donationId, oldTxHash, wallet, provider,
     });
     
     logger.info(`Sent replacement transaction: ${replacementTx.hash} with nonce ${nonce}`);
+    countDirectDonation('replaced');
     
     // Update donation record
     await db.query(
@@ -324,6 +328,7 @@ async function sendDonationTransaction(donationId, wallet, provider, mainContrac
         `UPDATE direct_donations SET status = 'failed', processed_at = NOW() WHERE id = $1`,
         [donationId]
       );
+      countDirectDonation('failed');
       return;
     }
     
@@ -347,6 +352,7 @@ async function sendDonationTransaction(donationId, wallet, provider, mainContrac
     );
     
     logger.info(`Donation ${donationId} transaction sent: ${tx.hash} with nonce ${nonce}`);
+    countDirectDonation('sent');
     
     // Update donation record with transaction hash and nonce
     await db.query(
@@ -361,6 +367,7 @@ async function sendDonationTransaction(donationId, wallet, provider, mainContrac
       `UPDATE direct_donations SET status = 'failed', processed_at = NOW() WHERE id = $1`,
       [donationId]
     );
+    countDirectDonation('failed');
   }
 }
 
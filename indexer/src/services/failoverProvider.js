@@ -0,0 +1,526 @@
+// src/services/failoverProvider.js
+const crypto = require('crypto');
+const ethers = require('ethers');
+const db = require('../db');
+const { observeRpcRequest } = require('./metrics');
+const { createLogger, format, transports } = require('winston');
+
+// Constants
+const MAX_BLOCK_LAG = parseInt(process.env.RPC_MAX_BLOCK_LAG) || 10; // Endpoints further behind the best head are skipped
+const REQUEST_TIMEOUT_MS = parseInt(process.env.RPC_REQUEST_TIMEOUT_MS) || 15000; // Time before a request counts as failed
+const HEAD_REFRESH_MS = 15000; // How often the head of every endpoint is probed
+const CIRCUIT_FAILURE_THRESHOLD = 3; // Consecutive failures that open an endpoint's circuit
+const CIRCUIT_COOLDOWN_MS = 60000; // How long an open circuit rejects requests before a trial request
+const ERROR_RATE_WINDOW = 50; // Recent requests the error rate is computed over
+const LATENCY_SMOOTHING = 0.2; // Weight of the newest sample in the latency average
+const MAX_LOG_RANGE = parseInt(process.env.RPC_MAX_LOG_RANGE) || 10000; // Largest eth_getLogs range ever requested
+const RANGE_GROWTH_SUCCESSES = 20; // Full-size eth_getLogs calls before a learned range is raised again
+const RANGE_GROWTH_FACTOR = 1.1; // How much a learned range grows at a time
+
+// Errors the node answered deliberately, they say nothing about the endpoint's health
+const REQUEST_ERRORS = new Set([
+  'CALL_EXCEPTION',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'TRANSACTION_REPLACED',
+  'INVALID_ARGUMENT'
+]);
+
+// Provider messages for an eth_getLogs call that spans too many blocks or returns too many logs
+const RANGE_LIMIT_PATTERNS = [
+  /block range/i,
+  /range (is )?too (large|wide|big)/i,
+  /too many (results|logs|blocks)/i,
+  /query returned more than/i,
+  /response size (exceeded|should not)/i,
+  /limit(ed)? to (a )?[\d,]+ (blocks?|block range|range)/i,
+  /exceed(s|ed)? (the )?max(imum)? (number of )?(results|logs|blocks)/i
+];
+
+// Provider messages for a JSON-RPC method the node does not offer, e.g. trace_filter
+const UNSUPPORTED_METHOD_PATTERNS = [
+  /method .*(not found|not supported|not available|not enabled|does not exist)/i,
+  /unsupported method/i
+];
+
+// Provider messages for state a non-archive node has already pruned
+const MISSING_STATE_PATTERNS = [
+  /missing trie node/i,
+  /state (is )?(not available|unavailable|pruned)/i,
+  /historical state/i
+];
+
+// Logger configuration
+const logger = createLogger({
+  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+  format: format.combine(
+    format.timestamp(),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'rpc-failover' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.printf(({ level, message, timestamp, service, ...meta }) => {
+          const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+          return `${timestamp} [${service}] ${level}: ${message} ${metaStr}`;
+        })
+      )
+    }),
+    new transports.File({ filename: 'logs/rpc.log' })
+  ]
+});
+
+// Split a comma separated RPC env var into its URLs
+function parseRpcUrls(value) {
+  return (value || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+// RPC URLs often carry API keys in the path or query, only show the host
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}`;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+// Key of the eth_getLogs range learned for an endpoint. Several URLs of one
+// provider share a host but not their plan's limits, so a digest of the full
+// URL tells them apart without storing its API key.
+function rangeLimitKey(url) {
+  const digest = crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+  return `${redactUrl(url)}#${digest}`;
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Every message a provider error may carry, ethers wraps the node's own one
+function errorMessages(error) {
+  return [
+    error.message,
+    error.shortMessage,
+    error.error && error.error.message,
+    error.info && error.info.error && error.info.error.message,
+    error.info && error.info.responseBody
+  ].filter(Boolean);
+}
+
+// Whether an eth_getLogs error means the request has to be split into smaller ranges
+function isRangeLimitError(error) {
+  return errorMessages(error).some(message => RANGE_LIMIT_PATTERNS.some(pattern => pattern.test(message)));
+}
+
+// Whether a call at an old block failed because the node no longer has that block's state
+function isMissingStateError(error) {
+  return errorMessages(error).some(message => MISSING_STATE_PATTERNS.some(pattern => pattern.test(message)));
+}
+
+// Whether an error means the node does not offer the requested JSON-RPC method
+function isUnsupportedMethodError(error) {
+  if (error.error && error.error.code === -32601) {
+    return true;
+  }
+  return errorMessages(error).some(message => UNSUPPORTED_METHOD_PATTERNS.some(pattern => pattern.test(message)));
+}
+
+// Number of blocks an eth_getLogs request covers, null for tag or block hash filters
+function logRangeSpan(filter) {
+  if (!filter || typeof filter.fromBlock !== 'string' || typeof filter.toBlock !== 'string' ||
+      !filter.fromBlock.startsWith('0x') || !filter.toBlock.startsWith('0x')) {
+    return null;
+  }
+  return parseInt(filter.toBlock, 16) - parseInt(filter.fromBlock, 16) + 1;
+}
+
+function createEndpoint(url, network) {
+  return {
+    url,
+    label: redactUrl(url),
+    rangeLimitKey: rangeLimitKey(url),
+    provider: new ethers.JsonRpcProvider(url, network, { staticNetwork: network }),
+    latencyMs: null,
+    outcomes: [], // true for success, false for failure
+    requests: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    circuitOpenedAt: null,
+    blockNumber: null,
+    wrongChain: false,
+    maxLogRange: MAX_LOG_RANGE,
+    rangeSuccesses: 0,
+    lastError: null,
+    lastErrorAt: null
+  };
+}
+
+function errorRate(endpoint) {
+  if (endpoint.outcomes.length === 0) {
+    return 0;
+  }
+  const failed = endpoint.outcomes.filter(success => !success).length;
+  return failed / endpoint.outcomes.length;
+}
+
+/**
+ * ethers provider that spreads requests over several RPC endpoints of one
+ * network. Every endpoint is scored on latency, error rate and how far its
+ * head trails the others; failing endpoints are cut off by a circuit breaker
+ * and requests fail over to the next best endpoint.
+ */
+class FailoverProvider extends ethers.AbstractProvider {
+  constructor(name, urls, chainId) {
+    const network = ethers.Network.from(chainId);
+    super(network);
+
+    this.name = name;
+    this.chainId = BigInt(chainId);
+    this.endpoints = urls.map(url => createEndpoint(url, network));
+    this.lastProbeAt = 0;
+    this.headUpdatedAt = 0;
+    this.probing = null;
+    this.rangeLimitsLoaded = null;
+  }
+
+  async _detectNetwork() {
+    return ethers.Network.from(this.chainId);
+  }
+
+  // Highest head reported by any endpoint on the right chain
+  bestBlockNumber() {
+    const heads = this.endpoints
+      .filter(endpoint => !endpoint.wrongChain && endpoint.blockNumber !== null)
+      .map(endpoint => endpoint.blockNumber);
+    return heads.length > 0 ? Math.max(...heads) : null;
+  }
+
+  blockLag(endpoint) {
+    const best = this.bestBlockNumber();
+    if (best === null || endpoint.blockNumber === null) {
+      return null;
+    }
+    return best - endpoint.blockNumber;
+  }
+
+  circuitState(endpoint) {
+    if (endpoint.circuitOpenedAt === null) {
+      return 'closed';
+    }
+    return Date.now() - endpoint.circuitOpenedAt >= CIRCUIT_COOLDOWN_MS ? 'half-open' : 'open';
+  }
+
+  endpointStatus(endpoint) {
+    if (endpoint.wrongChain) {
+      return 'wrong-chain';
+    }
+    const circuit = this.circuitState(endpoint);
+    if (circuit !== 'closed') {
+      return `circuit-${circuit}`;
+    }
+    const lag = this.blockLag(endpoint);
+    if (lag !== null && lag > MAX_BLOCK_LAG) {
+      return 'lagging';
+    }
+    return 'healthy';
+  }
+
+  // Endpoints worth sending a request to, best first
+  candidates() {
+    const usable = this.endpoints.filter(endpoint => {
+      const status = this.endpointStatus(endpoint);
+      return status === 'healthy' || status === 'circuit-half-open';
+    });
+
+    const byScore = (a, b) =>
+      errorRate(a) - errorRate(b) || (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity);
+
+    if (usable.length > 0) {
+      return usable.sort(byScore);
+    }
+
+    // Everything is unhealthy, trying the least bad endpoint beats failing outright
+    logger.warn(`No healthy RPC endpoint for ${this.name}, trying all endpoints`);
+    return this.endpoints.filter(endpoint => !endpoint.wrongChain).sort(byScore);
+  }
+
+  recordSuccess(endpoint, latencyMs, method) {
+    observeRpcRequest(this.name, endpoint.label, method, latencyMs);
+    endpoint.requests++;
+    endpoint.outcomes.push(true);
+    if (endpoint.outcomes.length > ERROR_RATE_WINDOW) {
+      endpoint.outcomes.shift();
+    }
+    endpoint.latencyMs = endpoint.latencyMs === null ?
+      latencyMs : Math.round(endpoint.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+    endpoint.consecutiveFailures = 0;
+
+    if (endpoint.circuitOpenedAt !== null) {
+      endpoint.circuitOpenedAt = null;
+      logger.info(`RPC endpoint ${endpoint.label} for ${this.name} recovered, circuit closed`);
+    }
+  }
+
+  recordFailure(endpoint, latencyMs, method, error) {
+    observeRpcRequest(this.name, endpoint.label, method, latencyMs, true);
+    endpoint.requests++;
+    endpoint.failures++;
+    endpoint.outcomes.push(false);
+    if (endpoint.outcomes.length > ERROR_RATE_WINDOW) {
+      endpoint.outcomes.shift();
+    }
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.shortMessage || error.message;
+    endpoint.lastErrorAt = new Date().toISOString();
+
+    // A failed trial request re-opens the circuit for another cooldown
+    const circuit = this.circuitState(endpoint);
+    if (circuit === 'half-open' ||
+        (circuit === 'closed' && endpoint.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD)) {
+      endpoint.circuitOpenedAt = Date.now();
+      logger.warn(`Circuit opened for RPC endpoint ${endpoint.label} on ${this.name}`, {
+        consecutiveFailures: endpoint.consecutiveFailures,
+        error: endpoint.lastError
+      });
+    }
+  }
+
+  // Restore the eth_getLogs ranges learned by earlier runs
+  loadRangeLimits() {
+    if (!this.rangeLimitsLoaded) {
+      this.rangeLimitsLoaded = db.query(
+        'SELECT endpoint, max_block_range FROM rpc_range_limits WHERE chain = $1',
+        [this.name]
+      ).then(result => {
+        result.rows.forEach(row => {
+          this.endpoints
+            .filter(endpoint => endpoint.rangeLimitKey === row.endpoint)
+            .forEach(endpoint => {
+              endpoint.maxLogRange = Math.min(row.max_block_range, MAX_LOG_RANGE);
+            });
+        });
+      }).catch(error => {
+        logger.warn(`Could not load RPC range limits for ${this.name}: ${error.message}`);
+      });
+    }
+    return this.rangeLimitsLoaded;
+  }
+
+  async saveRangeLimit(endpoint) {
+    try {
+      await db.query(
+        `INSERT INTO rpc_range_limits (chain, endpoint, max_block_range, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (chain, endpoint) DO UPDATE SET
+           max_block_range = $3,
+           updated_at = NOW()`,
+        [this.name, endpoint.rangeLimitKey, endpoint.maxLogRange]
+      );
+    } catch (error) {
+      logger.warn(`Could not save RPC range limit for ${endpoint.label} on ${this.name}: ${error.message}`);
+    }
+  }
+
+  // The endpoint rejected a range, never ask it for more than half of it again
+  async shrinkLogRange(endpoint, span) {
+    const maxLogRange = Math.max(1, Math.min(endpoint.maxLogRange, Math.floor(span / 2)));
+    endpoint.rangeSuccesses = 0;
+
+    if (maxLogRange !== endpoint.maxLogRange) {
+      endpoint.maxLogRange = maxLogRange;
+      logger.info(`Lowered eth_getLogs range of ${endpoint.label} on ${this.name} to ${maxLogRange} blocks`);
+      await this.saveRangeLimit(endpoint);
+    }
+  }
+
+  // Limits can be temporary (busy ranges, provider plan changes), so probe upwards slowly
+  async growLogRange(endpoint, span) {
+    if (span < endpoint.maxLogRange || endpoint.maxLogRange >= MAX_LOG_RANGE) {
+      return;
+    }
+
+    endpoint.rangeSuccesses++;
+    if (endpoint.rangeSuccesses < RANGE_GROWTH_SUCCESSES) {
+      return;
+    }
+
+    endpoint.rangeSuccesses = 0;
+    endpoint.maxLogRange = Math.min(
+      MAX_LOG_RANGE,
+      Math.max(endpoint.maxLogRange + 1, Math.floor(endpoint.maxLogRange * RANGE_GROWTH_FACTOR))
+    );
+    logger.debug(`Raised eth_getLogs range of ${endpoint.label} on ${this.name} to ${endpoint.maxLogRange} blocks`);
+    await this.saveRangeLimit(endpoint);
+  }
+
+  // Block range the next eth_getLogs request should cover
+  maxLogRange() {
+    const [endpoint] = this.candidates();
+    return endpoint ? endpoint.maxLogRange : MAX_LOG_RANGE;
+  }
+
+  // Ask every endpoint for its chain and head so lagging ones can be skipped
+  async probeEndpoints() {
+    await Promise.all(this.endpoints.map(async endpoint => {
+      if (endpoint.wrongChain || this.circuitState(endpoint) === 'open') {
+        return;
+      }
+
+      const startTime = Date.now();
+      try {
+        if (endpoint.blockNumber === null) {
+          const chainId = BigInt(await withTimeout(
+            endpoint.provider.send('eth_chainId', []), REQUEST_TIMEOUT_MS, 'eth_chainId'
+          ));
+          if (chainId !== this.chainId) {
+            endpoint.wrongChain = true;
+            logger.error(`RPC endpoint ${endpoint.label} for ${this.name} serves chain ${chainId}, expected ${this.chainId}`);
+            return;
+          }
+        }
+
+        const blockNumber = await withTimeout(
+          endpoint.provider.getBlockNumber(), REQUEST_TIMEOUT_MS, 'eth_blockNumber'
+        );
+        endpoint.blockNumber = blockNumber;
+        this.headUpdatedAt = Date.now();
+        this.recordSuccess(endpoint, Date.now() - startTime, 'probe');
+      } catch (error) {
+        this.recordFailure(endpoint, Date.now() - startTime, 'probe', error);
+      }
+    }));
+
+    this.lastProbeAt = Date.now();
+  }
+
+  async refreshHeads() {
+    // A single endpoint has nothing to be compared against
+    if (this.endpoints.length < 2 || Date.now() - this.lastProbeAt < HEAD_REFRESH_MS) {
+      return;
+    }
+    if (!this.probing) {
+      this.probing = this.probeEndpoints().finally(() => {
+        this.probing = null;
+      });
+    }
+    await this.probing;
+  }
+
+  async _perform(req) {
+    await this.loadRangeLimits();
+    await this.refreshHeads();
+
+    const span = req.method === 'getLogs' ? logRangeSpan(req.filter) : null;
+
+    let lastError;
+    for (const endpoint of this.candidates()) {
+      const startTime = Date.now();
+      try {
+        const result = await withTimeout(
+          endpoint.provider._perform(req), REQUEST_TIMEOUT_MS, req.method
+        );
+        this.recordSuccess(endpoint, Date.now() - startTime, req.method);
+
+        if (req.method === 'getBlockNumber') {
+          endpoint.blockNumber = Number(result);
+          this.headUpdatedAt = Date.now();
+        }
+        if (span !== null) {
+          await this.growLogRange(endpoint, span);
+        }
+        return result;
+      } catch (error) {
+        if (REQUEST_ERRORS.has(error.code)) {
+          this.recordSuccess(endpoint, Date.now() - startTime, req.method);
+          throw error;
+        }
+
+        // The endpoint is fine, the range is not; another endpoint may accept it
+        if (span !== null && isRangeLimitError(error)) {
+          this.recordSuccess(endpoint, Date.now() - startTime, req.method);
+          await this.shrinkLogRange(endpoint, span);
+          lastError = error;
+          continue;
+        }
+
+        lastError = error;
+        this.recordFailure(endpoint, Date.now() - startTime, req.method, error);
+        logger.warn(`${req.method} failed on ${endpoint.label} for ${this.name}: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    throw lastError || new Error(`No RPC endpoint available for ${this.name}`);
+  }
+
+  // Raw JSON-RPC request for methods ethers does not wrap (e.g. trace_filter),
+  // with the same failover. Endpoints without the method are skipped, not penalized.
+  async send(method, params) {
+    await this.refreshHeads();
+
+    let lastError;
+    for (const endpoint of this.candidates()) {
+      const startTime = Date.now();
+      try {
+        const result = await withTimeout(endpoint.provider.send(method, params), REQUEST_TIMEOUT_MS, method);
+        this.recordSuccess(endpoint, Date.now() - startTime, method);
+        return result;
+      } catch (error) {
+        lastError = error;
+
+        if (isUnsupportedMethodError(error)) {
+          this.recordSuccess(endpoint, Date.now() - startTime, method);
+          continue;
+        }
+
+        this.recordFailure(endpoint, Date.now() - startTime, method, error);
+        logger.warn(`${method} failed on ${endpoint.label} for ${this.name}: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    throw lastError || new Error(`No RPC endpoint available for ${this.name}`);
+  }
+
+  // Health of every endpoint for the status API
+  getHealth() {
+    const best = this.bestBlockNumber();
+    return this.endpoints.map(endpoint => ({
+      endpoint: endpoint.label,
+      status: this.endpointStatus(endpoint),
+      latencyMs: endpoint.latencyMs,
+      errorRate: Number(errorRate(endpoint).toFixed(3)),
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+      blockNumber: endpoint.blockNumber,
+      blockLag: best !== null && endpoint.blockNumber !== null ? best - endpoint.blockNumber : null,
+      maxLogRange: endpoint.maxLogRange,
+      lastError: endpoint.lastError,
+      lastErrorAt: endpoint.lastErrorAt
+    }));
+  }
+
+  destroy() {
+    this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+    super.destroy();
+  }
+}
+
+module.exports = {
+  FailoverProvider,
+  parseRpcUrls,
+  isRangeLimitError,
+  isMissingStateError,
+  isUnsupportedMethodError
+};
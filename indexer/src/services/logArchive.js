@@ -0,0 +1,261 @@
+// src/services/logArchive.js
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const db = require('../db');
+const {
+  NETWORKS,
+  providers,
+  fetchRangeChanges,
+  persistRangeChanges,
+  confirmedBlockNumber
+} = require('./blockchain');
+const { recordBlockHash } = require('./reorg');
+const { correlateCrossChainDonations } = require('./crossChain');
+const { withIndexerLocks } = require('./reindex');
+const { createLogger, format, transports } = require('winston');
+
+// Constants
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_BLOCKS_PER_FILE = parseInt(process.env.ARCHIVE_BLOCKS_PER_FILE) || 100000; // Block range covered by one archive file
+const ARCHIVE_FILE_PATTERN = /^([a-z0-9-]+)-(\d+)-(\d+)\.jsonl\.gz$/;
+
+// Logger configuration
+const logger = createLogger({
+  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+  format: format.combine(
+    format.timestamp(),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'log-archive' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.printf(({ level, message, timestamp, service, ...meta }) => {
+          const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+          return `${timestamp} [${service}] ${level}: ${message} ${metaStr}`;
+        })
+      )
+    }),
+    new transports.File({ filename: 'logs/log-archive.log' })
+  ]
+});
+
+// Zero padded block numbers keep a chain's archives in block order when listed
+function archiveFileName(network, fromBlock, toBlock) {
+  const pad = block => String(block).padStart(12, '0');
+  return `${network}-${pad(fromBlock)}-${pad(toBlock)}.jsonl.gz`;
+}
+
+/**
+ * Write one archive: a `range` header line followed by one line per decoded
+ * event and per username change, gzip compressed. The file only appears under
+ * its final name once it is complete.
+ */
+async function writeArchive(dir, header, events, usernameChanges) {
+  const chainDir = path.join(dir, header.chain);
+  fs.mkdirSync(chainDir, { recursive: true });
+
+  const file = path.join(chainDir, archiveFileName(header.chain, header.fromBlock, header.toBlock));
+  const records = [
+    { record: 'range', version: ARCHIVE_VERSION, ...header },
+    ...events.map(event => ({ record: 'event', ...event })),
+    ...usernameChanges.map(change => ({ record: 'username', ...change }))
+  ];
+
+  await pipeline(
+    Readable.from(records.map(record => `${JSON.stringify(record)}\n`)),
+    zlib.createGzip(),
+    fs.createWriteStream(`${file}.partial`)
+  );
+  fs.renameSync(`${file}.partial`, file);
+
+  return file;
+}
+
+// Read an archive back into its header, events and username changes
+async function readArchive(file) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+
+  let header = null;
+  const events = [];
+  const usernameChanges = [];
+
+  for await (const line of lines) {
+    if (line.trim() === '') {
+      continue;
+    }
+
+    const { record, ...data } = JSON.parse(line);
+    if (record === 'range') {
+      header = data;
+    } else if (record === 'event') {
+      events.push(data);
+    } else if (record === 'username') {
+      usernameChanges.push(data);
+    } else {
+      throw new Error(`Unknown record "${record}" in ${file}`);
+    }
+  }
+
+  if (!header || header.version !== ARCHIVE_VERSION) {
+    throw new Error(`${file} is not a version ${ARCHIVE_VERSION} log archive`);
+  }
+
+  return { header, events, usernameChanges };
+}
+
+// Archive files of a chain in block order
+function listArchives(dir, network) {
+  const chainDir = path.join(dir, network);
+  if (!fs.existsSync(chainDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(chainDir)
+    .map(name => ARCHIVE_FILE_PATTERN.exec(name))
+    .filter(match => match && match[1] === network)
+    .map(match => ({ file: path.join(chainDir, match[0]), fromBlock: parseInt(match[2]), toBlock: parseInt(match[3]) }))
+    .sort((a, b) => a.fromBlock - b.fromBlock);
+}
+
+/**
+ * Fetch and decode the logs of a block range over RPC and write them to
+ * archives of ARCHIVE_BLOCKS_PER_FILE blocks under `dir/<network>/`.
+ * Nothing is written to the database. Returns the archive files written.
+ */
+async function exportArchives(network, fromBlock, toBlock, dir) {
+  if (!providers[network]) {
+    throw new Error(`Network ${network} is not configured`);
+  }
+  if (fromBlock > toBlock) {
+    throw new Error(`Invalid block range ${fromBlock}-${toBlock}`);
+  }
+
+  const provider = providers[network];
+  const files = [];
+
+  for (let fileFrom = fromBlock; fileFrom <= toBlock; fileFrom += ARCHIVE_BLOCKS_PER_FILE) {
+    const fileTo = Math.min(fileFrom + ARCHIVE_BLOCKS_PER_FILE - 1, toBlock);
+    const events = [];
+    const usernameChanges = [];
+    let lastBlock = null;
+
+    for (let start = fileFrom; start <= fileTo; start += provider.maxLogRange()) {
+      const changes = await fetchRangeChanges(network, start, Math.min(start + provider.maxLogRange() - 1, fileTo));
+      events.push(...changes.events);
+      usernameChanges.push(...changes.usernameChanges);
+      // The last block's hash lets the worker detect a reorg when it continues after an import
+      lastBlock = changes.lastBlock;
+    }
+
+    const file = await writeArchive(dir, {
+      chain: network,
+      chainId: NETWORKS[network].chainId,
+      fromBlock: fileFrom,
+      toBlock: fileTo,
+      confirmedBlock: await confirmedBlockNumber(network),
+      lastBlock: lastBlock ? { hash: lastBlock.hash, parentHash: lastBlock.parentHash } : null
+    }, events, usernameChanges);
+
+    logger.info(`Exported ${network} blocks ${fileFrom} to ${fileTo} to ${file}`, {
+      events: events.length,
+      usernameChanges: usernameChanges.length
+    });
+    files.push(file);
+  }
+
+  return files;
+}
+
+/**
+ * Rebuild the database state of the given networks (default: every network
+ * with archives in `dir`) from their archives, without any RPC access. Each
+ * archive is persisted like an indexed chunk and moves the cursor to its last
+ * block; archives the cursor has already passed are skipped, so an
+ * interrupted import can simply be run again.
+ */
+async function importArchives(dir, networks = null) {
+  const selected = networks || fs.readdirSync(dir).filter(name => listArchives(dir, name).length > 0);
+
+  const unknown = selected.filter(network => !NETWORKS[network]);
+  if (unknown.length > 0) {
+    throw new Error(`Archives for ${unknown.join(', ')} do not match an enabled network`);
+  }
+
+  // Main chain first, deliveries are linked to their source once the remote chains follow
+  selected.sort((a, b) => NETWORKS[b].isMain - NETWORKS[a].isMain);
+
+  return withIndexerLocks(selected, async () => {
+    const summary = {};
+
+    for (const network of selected) {
+      const state = await db.query('SELECT last_indexed_block FROM indexer_state WHERE chain = $1', [network]);
+      let cursor = state.rows.length > 0 ? parseInt(state.rows[0].last_indexed_block) : null;
+      summary[network] = { files: 0, skipped: 0, events: 0, lastBlock: cursor };
+
+      for (const archive of listArchives(dir, network)) {
+        if (cursor !== null && archive.toBlock <= cursor) {
+          summary[network].skipped++;
+          continue;
+        }
+        if (cursor !== null && archive.fromBlock > cursor + 1) {
+          throw new Error(`${network} is indexed up to block ${cursor} but the next archive starts at block ${archive.fromBlock}`);
+        }
+
+        const { header, events, usernameChanges } = await readArchive(archive.file);
+        if (header.chainId !== NETWORKS[network].chainId) {
+          throw new Error(`${archive.file} was exported from chain ${header.chainId}, ${network} is chain ${NETWORKS[network].chainId}`);
+        }
+
+        await persistRangeChanges(network, header.toBlock, {
+          events,
+          usernameChanges,
+          confirmedBlock: header.confirmedBlock
+        }, async (client, toBlock) => {
+          await client.query(
+            `INSERT INTO indexer_state (chain, last_indexed_block, updated_at)
+             VALUES ($1, $2, NOW())
+             ON CONFLICT (chain) DO UPDATE SET
+               last_indexed_block = $2,
+               updated_at = NOW()`,
+            [network, toBlock]
+          );
+
+          if (header.lastBlock) {
+            await recordBlockHash(network, { ...header.lastBlock, number: toBlock }, NETWORKS[network].confirmations, client);
+          }
+        });
+
+        cursor = header.toBlock;
+        summary[network].files++;
+        summary[network].events += events.length;
+        summary[network].lastBlock = cursor;
+      }
+
+      logger.info(`Imported ${network} archives up to block ${cursor}`, summary[network]);
+    }
+
+    // Deliveries replayed before their remote chain's donations are linked now
+    await correlateCrossChainDonations();
+
+    return summary;
+  });
+}
+
+module.exports = {
+  writeArchive,
+  readArchive,
+  listArchives,
+  exportArchives,
+  importArchives
+};
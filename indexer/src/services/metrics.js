@@ -0,0 +1,213 @@
+// src/services/metrics.js
+const http = require('http');
+const client = require('prom-client');
+const { createLogger, format, transports } = require('winston');
+
+// Logger configuration
+const logger = createLogger({
+  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+  format: format.combine(
+    format.timestamp(),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'metrics' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.printf(({ level, message, timestamp, service, ...meta }) => {
+          const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+          return `${timestamp} [${service}] ${level}: ${message} ${metaStr}`;
+        })
+      )
+    }),
+    new transports.File({ filename: 'logs/metrics.log' })
+  ]
+});
+
+// Every process (API, worker daemon, donation monitor) serves its own registry
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'fundit_' });
+
+const chainHeadBlock = new client.Gauge({
+  name: 'fundit_chain_head_block',
+  help: 'Latest block reported by the RPC endpoints of a chain',
+  labelNames: ['chain'],
+  registers: [registry]
+});
+
+const indexedBlock = new client.Gauge({
+  name: 'fundit_indexed_block',
+  help: 'Last block of a chain indexed by the realtime indexer',
+  labelNames: ['chain'],
+  registers: [registry]
+});
+
+const indexLag = new client.Gauge({
+  name: 'fundit_index_lag_blocks',
+  help: 'Blocks between the chain head and the last indexed block',
+  labelNames: ['chain'],
+  registers: [registry]
+});
+
+const eventsIndexed = new client.Counter({
+  name: 'fundit_events_indexed_total',
+  help: 'Contract events indexed, by chain and event name',
+  labelNames: ['chain', 'event'],
+  registers: [registry]
+});
+
+const rpcRequestDuration = new client.Histogram({
+  name: 'fundit_rpc_request_duration_seconds',
+  help: 'Latency of RPC requests, by chain, endpoint host and method',
+  labelNames: ['chain', 'endpoint', 'method'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15],
+  registers: [registry]
+});
+
+const rpcErrors = new client.Counter({
+  name: 'fundit_rpc_errors_total',
+  help: 'Failed RPC requests, by chain, endpoint host and method',
+  labelNames: ['chain', 'endpoint', 'method'],
+  registers: [registry]
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: 'fundit_db_query_duration_seconds',
+  help: 'Latency of database queries and of whole transactions',
+  labelNames: ['kind'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry]
+});
+
+const httpRequests = new client.Counter({
+  name: 'fundit_http_requests_total',
+  help: 'API requests, by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'fundit_http_request_duration_seconds',
+  help: 'API request latency, by method and route',
+  labelNames: ['method', 'route'],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry]
+});
+
+const directDonations = new client.Counter({
+  name: 'fundit_direct_donations_total',
+  help: 'Direct donation monitor outcomes: sent, completed, failed, stuck or replaced',
+  labelNames: ['outcome'],
+  registers: [registry]
+});
+
+// Values that are read rather than counted are refreshed right before a scrape
+const collectors = [];
+
+function addCollector(collect) {
+  collectors.push(collect);
+}
+
+function recordChainProgress(chain, headBlock, lastIndexedBlock) {
+  if (headBlock !== null) {
+    chainHeadBlock.set({ chain }, headBlock);
+  }
+  if (lastIndexedBlock !== null) {
+    indexedBlock.set({ chain }, lastIndexedBlock);
+  }
+  if (headBlock !== null && lastIndexedBlock !== null) {
+    indexLag.set({ chain }, Math.max(0, headBlock - lastIndexedBlock));
+  }
+}
+
+function countIndexedEvents(chain, event, count = 1) {
+  eventsIndexed.inc({ chain, event }, count);
+}
+
+function observeRpcRequest(chain, endpoint, method, latencyMs, failed = false) {
+  rpcRequestDuration.observe({ chain, endpoint, method }, latencyMs / 1000);
+  if (failed) {
+    rpcErrors.inc({ chain, endpoint, method });
+  }
+}
+
+// Returns the function that stops the timer
+function startDbTimer(kind) {
+  return dbQueryDuration.startTimer({ kind });
+}
+
+function countDirectDonation(outcome) {
+  directDonations.inc({ outcome });
+}
+
+// Express middleware counting requests by their route pattern, so ids stay out of the labels
+function httpMetrics(req, res, next) {
+  const stopTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    stopTimer({ method: req.method, route });
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+
+  next();
+}
+
+// Prometheus text exposition of this process's metrics
+async function renderMetrics() {
+  await Promise.all(collectors.map(collect => collect().catch(error => {
+    logger.warn(`Metrics collector failed: ${error.message}`);
+  })));
+  return registry.metrics();
+}
+
+async function metricsHandler(req, res) {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await renderMetrics());
+  } catch (error) {
+    logger.error(`Error rendering metrics: ${error.message}`);
+    res.status(500).send(error.message);
+  }
+}
+
+/**
+ * Serve /metrics on a port of its own, for processes without an API
+ */
+function startMetricsServer(port) {
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+
+    try {
+      const body = await renderMetrics();
+      res.writeHead(200, { 'Content-Type': registry.contentType }).end(body);
+    } catch (error) {
+      logger.error(`Error rendering metrics: ${error.message}`);
+      res.writeHead(500).end(error.message);
+    }
+  });
+
+  server.on('error', error => logger.error(`Metrics server failed: ${error.message}`));
+  server.listen(port, () => logger.info(`Serving metrics on port ${port}`));
+
+  return server;
+}
+
+module.exports = {
+  addCollector,
+  recordChainProgress,
+  countIndexedEvents,
+  observeRpcRequest,
+  startDbTimer,
+  countDirectDonation,
+  httpMetrics,
+  metricsHandler,
+  renderMetrics,
+  startMetricsServer
+};
@@ -0,0 +1,145 @@
+// src/services/networkRegistry.js
+const fs = require('fs');
+const path = require('path');
+const { parseRpcUrls } = require('./failoverProvider');
+
+// Default registry, NETWORKS_CONFIG points at a deployment specific file instead
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/networks.json');
+const ROLES = ['main', 'remote'];
+
+// Optional integer override from the environment
+function envInt(name) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+// Optional boolean override from the environment
+function envBool(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return ['1', 'true', 'yes', 'on'].includes(value.toLowerCase());
+}
+
+function isPositiveInt(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Structural problems of a registry entry, secrets and addresses may still come from the environment
+function entryIssues(entry, index) {
+  const label = entry && entry.name ? entry.name : `entry ${index}`;
+  const issues = [];
+
+  if (!entry || typeof entry !== 'object') {
+    return [`${label} is not an object`];
+  }
+  if (typeof entry.name !== 'string' || !/^[a-z0-9-]+$/.test(entry.name)) {
+    issues.push(`${label} needs a lowercase name`);
+  }
+  if (!isPositiveInt(entry.chainId)) {
+    issues.push(`${label} needs a positive integer chainId`);
+  }
+  if (!isPositiveInt(entry.lzEid)) {
+    issues.push(`${label} needs a positive integer lzEid`);
+  }
+  if (!ROLES.includes(entry.role)) {
+    issues.push(`${label} has role "${entry.role}", expected one of ${ROLES.join(', ')}`);
+  }
+  if (typeof entry.nativeSymbol !== 'string' || entry.nativeSymbol.length === 0) {
+    issues.push(`${label} needs a nativeSymbol`);
+  }
+  if (!Number.isInteger(entry.confirmations) || entry.confirmations < 0) {
+    issues.push(`${label} needs a non-negative integer confirmations`);
+  }
+  if (entry.envPrefix !== undefined && !/^[A-Z0-9_]+$/.test(entry.envPrefix)) {
+    issues.push(`${label} has an invalid envPrefix`);
+  }
+  if (entry.rpcs !== undefined && !Array.isArray(entry.rpcs)) {
+    issues.push(`${label} rpcs must be a list`);
+  }
+  if (entry.wsRpc !== undefined && !/^wss?:\/\//.test(entry.wsRpc)) {
+    issues.push(`${label} wsRpc must be a ws:// or wss:// URL`);
+  }
+  if (entry.deployBlock !== undefined && !Number.isInteger(entry.deployBlock)) {
+    issues.push(`${label} deployBlock must be an integer`);
+  }
+  if (entry.pollInterval !== undefined && !isPositiveInt(entry.pollInterval)) {
+    issues.push(`${label} pollInterval must be a positive integer`);
+  }
+  if (entry.usernameBlockScan !== undefined && typeof entry.usernameBlockScan !== 'boolean') {
+    issues.push(`${label} usernameBlockScan must be true or false`);
+  }
+
+  return issues;
+}
+
+// Fill a registry entry with its `${envPrefix}_*` overrides
+function resolveEntry(entry) {
+  const prefix = entry.envPrefix || entry.name.toUpperCase().replace(/-/g, '_');
+  const env = suffix => process.env[`${prefix}_${suffix}`];
+  const rpcs = parseRpcUrls(env('RPC'));
+
+  return {
+    name: entry.name,
+    chainId: entry.chainId,
+    lzEid: entry.lzEid,
+    role: entry.role,
+    isMain: entry.role === 'main',
+    nativeSymbol: entry.nativeSymbol,
+    rpcs: rpcs.length > 0 ? rpcs : (entry.rpcs || []),
+    wsRpc: env('WS_RPC') || entry.wsRpc,
+    contractAddress: env('CONTRACT_ADDRESS') || entry.contractAddress,
+    deployBlock: envInt(`${prefix}_DEPLOY_BLOCK`) ?? entry.deployBlock,
+    // FINALITY_DEPTH is the name deployments used before confirmations moved to the registry
+    confirmations: envInt(`${prefix}_CONFIRMATIONS`) ?? envInt(`${prefix}_FINALITY_DEPTH`) ?? entry.confirmations,
+    pollInterval: envInt(`${prefix}_POLL_INTERVAL_MS`) ?? entry.pollInterval ?? 5000,
+    usernameBlockScan: envBool(`${prefix}_USERNAME_BLOCK_SCAN`) ?? entry.usernameBlockScan === true,
+    enabled: envBool(`${prefix}_ENABLED`) ?? entry.enabled !== false
+  };
+}
+
+/**
+ * Read and validate the network registry. Throws when the registry itself is
+ * malformed; networks that are merely missing an RPC or contract address are
+ * left for the indexer to skip. Returns the enabled networks keyed by name.
+ */
+function loadNetworks(configPath = process.env.NETWORKS_CONFIG || DEFAULT_CONFIG_PATH) {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read network registry ${configPath}: ${error.message}`, { cause: error });
+  }
+
+  if (!Array.isArray(entries)) {
+    throw new Error(`Network registry ${configPath} must be a list of networks`);
+  }
+
+  const issues = entries.flatMap(entryIssues);
+  const networks = issues.length === 0 ? entries.map(resolveEntry) : [];
+
+  ['name', 'chainId', 'lzEid'].forEach(field => {
+    const seen = new Set();
+    networks.forEach(network => {
+      if (seen.has(network[field])) {
+        issues.push(`Duplicate ${field} ${network[field]}`);
+      }
+      seen.add(network[field]);
+    });
+  });
+
+  const enabled = networks.filter(network => network.enabled);
+  const mainNetworks = enabled.filter(network => network.isMain);
+  if (issues.length === 0 && mainNetworks.length !== 1) {
+    issues.push(`Exactly one enabled main network is required, found ${mainNetworks.length}`);
+  }
+
+  if (issues.length > 0) {
+    throw new Error(`Invalid network registry ${configPath}: ${issues.join('; ')}`);
+  }
+
+  return Object.fromEntries(enabled.map(({ name, enabled: _enabled, ...config }) => [name, config]));
+}
+
+module.exports = { loadNetworks };
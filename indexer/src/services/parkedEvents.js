@@ -0,0 +1,97 @@
+// src/services/parkedEvents.js
+
+/**
+ * Realtime indexing can run ahead of the backfill queue, so a donation, edit or
+ * end may arrive before the campaign it belongs to, and a processed withdrawal
+ * before its request. Such events are parked with their decoded contents and
+ * applied once the row they depend on exists and no queued backfill of their
+ * chain is still behind them, so they are applied in on-chain order.
+ */
+
+// Main chain events and the row an earlier event must have created for them
+const DEPENDENCIES = {
+  CampaignEdited: event => ({ campaignId: event.args.campaignId }),
+  CampaignEnded: event => ({ campaignId: event.args.campaignId }),
+  DonationMade: event => ({ campaignId: event.args.campaignId }),
+  WithdrawalProcessed: event => ({ requestId: event.args.requestId })
+};
+
+/**
+ * Whether a main chain event has to wait for the row it depends on. Events of
+ * a campaign with earlier parked events wait behind them, so its history stays in order.
+ */
+async function mustParkEvent(client, event) {
+  const dependency = DEPENDENCIES[event.name];
+  if (!dependency) {
+    return false;
+  }
+
+  const { campaignId, requestId } = dependency(event);
+  const result = campaignId !== undefined ?
+    await client.query(
+      `SELECT NOT EXISTS (SELECT 1 FROM campaigns WHERE id = $1)
+        OR EXISTS (
+          SELECT 1 FROM parked_events
+          WHERE campaign_id = $1 AND (block_number, log_index) < ($2::BIGINT, $3::INTEGER)
+        ) AS park`,
+      [String(campaignId), event.blockNumber, event.logIndex]
+    ) :
+    await client.query(
+      'SELECT NOT EXISTS (SELECT 1 FROM withdrawals WHERE id = $1) AS park',
+      [String(requestId)]
+    );
+
+  return result.rows[0].park;
+}
+
+/**
+ * Park a decoded event, using the client of the range's transaction. Parking
+ * the same log again is a no-op.
+ */
+async function parkEvent(client, network, event) {
+  const { campaignId, requestId } = DEPENDENCIES[event.name](event);
+
+  await client.query(
+    `INSERT INTO parked_events (chain, tx_hash, block_number, log_index, campaign_id, request_id, event)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (chain, tx_hash, log_index) DO NOTHING`,
+    [
+      network,
+      event.transactionHash,
+      event.blockNumber,
+      event.logIndex,
+      campaignId !== undefined ? String(campaignId) : null,
+      requestId !== undefined ? String(requestId) : null,
+      JSON.stringify(event)
+    ]
+  );
+}
+
+/**
+ * Remove and return the parked events of a chain that can be applied now,
+ * in on-chain order. Apply them with the same client before committing.
+ */
+async function takeReadyParkedEvents(client, network) {
+  const result = await client.query(
+    `DELETE FROM parked_events p
+    WHERE p.chain = $1
+      AND (p.campaign_id IS NULL OR EXISTS (SELECT 1 FROM campaigns c WHERE c.id = p.campaign_id))
+      AND (p.request_id IS NULL OR EXISTS (SELECT 1 FROM withdrawals w WHERE w.id = p.request_id))
+      AND NOT EXISTS (
+        SELECT 1 FROM backfill_jobs j
+        WHERE j.chain = p.chain AND j.status IN ('pending', 'running') AND j.next_block <= p.block_number
+      )
+    RETURNING p.event`,
+    [network]
+  );
+
+  return result.rows
+    .map(row => row.event)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+module.exports = {
+  mustParkEvent,
+  parkEvent,
+  takeReadyParkedEvents
+};
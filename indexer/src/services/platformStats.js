@@ -0,0 +1,138 @@
+// src/services/platformStats.js
+const db = require('../db');
+
+/**
+ * Platform statistics are kept in two rollup tables so the API never scans
+ * `donations` to serve them:
+ *  - daily_stats: confirmed donations, created campaigns and processed
+ *    withdrawals per UTC day and chain. Donations count on the chain the donor
+ *    gave on, so cross-chain deliveries count on their source chain.
+ *  - donor_totals: confirmed donations per donor, for unique donor counts.
+ * Like campaign totals, rollup rows are always recomputed from the indexed
+ * rows rather than incremented, so replays and rollbacks cannot skew them.
+ */
+
+// UTC day of a block timestamp, as the rollups key it
+function statsDay(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Recompute the rollup rows of the given days ('YYYY-MM-DD') and donors.
+ * Pass the client of an open transaction to include the update in it. Rows are
+ * upserted in key order, so concurrent refreshes of the same key (e.g. a busy
+ * relayer) wait for each other instead of failing on the primary key.
+ */
+async function refreshPlatformStats({ days = [], donors = [] }, client = db) {
+  const statDays = [...new Set(days)].filter(Boolean);
+  const statDonors = [...new Set(donors.filter(Boolean).map(donor => donor.toLowerCase()))];
+
+  if (statDays.length > 0) {
+    await client.query(
+      `WITH day_totals AS (
+        SELECT day, chain, SUM(donation_count) AS donation_count, SUM(amount_raised) AS amount_raised,
+          SUM(campaigns_created) AS campaigns_created, SUM(withdrawals_processed) AS withdrawals_processed
+        FROM (
+          SELECT days.day, COALESCE(d.source_chain, d.chain) AS chain,
+            COUNT(*) AS donation_count, SUM(d.amount) AS amount_raised, 0 AS campaigns_created, 0 AS withdrawals_processed
+          FROM UNNEST($1::DATE[]) AS days(day)
+          JOIN donations d ON d.timestamp >= days.day AND d.timestamp < days.day + 1
+          WHERE d.confirmation_status = 'confirmed'
+          GROUP BY days.day, COALESCE(d.source_chain, d.chain)
+          UNION ALL
+          SELECT days.day, c.chain, 0, 0, COUNT(*), 0
+          FROM UNNEST($1::DATE[]) AS days(day)
+          JOIN campaigns c ON c.created_at >= days.day AND c.created_at < days.day + 1
+          WHERE c.chain IS NOT NULL
+          GROUP BY days.day, c.chain
+          UNION ALL
+          SELECT days.day, w.chain, 0, 0, 0, COUNT(*)
+          FROM UNNEST($1::DATE[]) AS days(day)
+          JOIN withdrawals w ON w.processed_timestamp >= days.day AND w.processed_timestamp < days.day + 1
+          WHERE w.status = 'Processed'
+          GROUP BY days.day, w.chain
+        ) AS day_rows
+        GROUP BY day, chain
+      ),
+      upserted AS (
+        INSERT INTO daily_stats (day, chain, donation_count, amount_raised, campaigns_created, withdrawals_processed, updated_at)
+        SELECT day, chain, donation_count, amount_raised, campaigns_created, withdrawals_processed, NOW()
+        FROM day_totals
+        ORDER BY day, chain
+        ON CONFLICT (day, chain) DO UPDATE SET
+          donation_count = EXCLUDED.donation_count,
+          amount_raised = EXCLUDED.amount_raised,
+          campaigns_created = EXCLUDED.campaigns_created,
+          withdrawals_processed = EXCLUDED.withdrawals_processed,
+          updated_at = NOW()
+      )
+      DELETE FROM daily_stats s
+      WHERE s.day = ANY($1::DATE[])
+        AND NOT EXISTS (SELECT 1 FROM day_totals t WHERE t.day = s.day AND t.chain = s.chain)`,
+      [statDays]
+    );
+  }
+
+  if (statDonors.length > 0) {
+    await client.query(
+      `WITH totals AS (
+        SELECT LOWER(donor) AS donor, COUNT(*) AS donation_count, SUM(amount) AS total_donated,
+          MIN(timestamp) AS first_donation_at, MAX(timestamp) AS last_donation_at
+        FROM donations
+        WHERE LOWER(donor) = ANY($1) AND confirmation_status = 'confirmed'
+        GROUP BY LOWER(donor)
+      ),
+      upserted AS (
+        INSERT INTO donor_totals (donor, donation_count, total_donated, first_donation_at, last_donation_at, updated_at)
+        SELECT donor, donation_count, total_donated, first_donation_at, last_donation_at, NOW()
+        FROM totals
+        ORDER BY donor
+        ON CONFLICT (donor) DO UPDATE SET
+          donation_count = EXCLUDED.donation_count,
+          total_donated = EXCLUDED.total_donated,
+          first_donation_at = EXCLUDED.first_donation_at,
+          last_donation_at = EXCLUDED.last_donation_at,
+          updated_at = NOW()
+      )
+      DELETE FROM donor_totals t
+      WHERE t.donor = ANY($1) AND NOT EXISTS (SELECT 1 FROM totals WHERE totals.donor = t.donor)`,
+      [statDonors]
+    );
+  }
+}
+
+/**
+ * Days and donors whose rollups change when blocks `fromBlock` to `toBlock` of
+ * a network are removed: their donations, the deliveries linked to their
+ * remote donations, the withdrawals they processed and the campaigns they
+ * created. Read it before the rows are removed.
+ */
+async function rangeStatsScope(client, network, fromBlock, toBlock) {
+  const result = await client.query(
+    `SELECT to_char(timestamp, 'YYYY-MM-DD') AS day, donor, NULL AS relayer
+    FROM donations WHERE chain = $1 AND block_number BETWEEN $2 AND $3
+    UNION ALL
+    SELECT to_char(d.timestamp, 'YYYY-MM-DD'), d.donor, d.relayer_address
+    FROM donations d JOIN remote_donations rd ON rd.id = d.remote_donation_id
+    WHERE rd.chain = $1 AND rd.block_number BETWEEN $2 AND $3
+    UNION ALL
+    SELECT to_char(processed_timestamp, 'YYYY-MM-DD'), NULL, NULL
+    FROM withdrawals
+    WHERE chain = $1 AND (block_number BETWEEN $2 AND $3 OR processed_block_number BETWEEN $2 AND $3)
+    UNION ALL
+    SELECT to_char(created_at, 'YYYY-MM-DD'), NULL, NULL
+    FROM campaigns WHERE chain = $1 AND block_number BETWEEN $2 AND $3`,
+    [network, fromBlock, toBlock]
+  );
+
+  return {
+    days: result.rows.map(row => row.day),
+    donors: result.rows.flatMap(row => [row.donor, row.relayer])
+  };
+}
+
+module.exports = {
+  statsDay,
+  refreshPlatformStats,
+  rangeStatsScope
+};
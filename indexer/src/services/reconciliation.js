@@ -46,7 +46,6 @@ async function reconcileCampaigns() {
       throw new Error('Main network provider or contract not available');
     }
     
-    const provider = providers[mainNetwork];
     const contract = contracts[mainNetwork];
     
     // Get all campaigns from the database
@@ -0,0 +1,432 @@
+// src/services/reindex.js
+const db = require('../db');
+const {
+  NETWORKS,
+  providers,
+  indexNetwork,
+  fetchRangeChanges,
+  fetchCampaignEvents,
+  applyRangeEvents,
+  confirmedBlockNumber,
+  refreshCampaignDetails
+} = require('./blockchain');
+const { removeBlockRange } = require('./reorg');
+const { refreshCampaignTotals } = require('./campaignTotals');
+const { promoteConfirmedRows } = require('./confirmations');
+const { correlateCrossChainDonations } = require('./crossChain');
+const { refreshPlatformStats } = require('./platformStats');
+const { applyUsernameChanges } = require('./usernames');
+const { createLogger, format, transports } = require('winston');
+
+// Constants
+const DIFF_SAMPLE_SIZE = 5; // Example rows reported per table and kind of change
+
+// Logger configuration
+const logger = createLogger({
+  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+  format: format.combine(
+    format.timestamp(),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'reindex' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.printf(({ level, message, timestamp, service, ...meta }) => {
+          const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+          return `${timestamp} [${service}] ${level}: ${message} ${metaStr}`;
+        })
+      )
+    }),
+    new transports.File({ filename: 'logs/reindex.log' })
+  ]
+});
+
+// Indexed tables compared before and after a replay, with the columns that identify a row.
+// Surrogate ids and bookkeeping timestamps change on every replay and are not compared.
+const SNAPSHOT_KEYS = {
+  campaigns: ['id'],
+  donations: ['chain', 'tx_hash', 'log_index'],
+  transactions: ['chain', 'tx_hash', 'log_index'],
+  withdrawals: ['id'],
+  remote_donations: ['chain', 'tx_hash', 'log_index'],
+  config_events: ['chain', 'tx_hash', 'log_index'],
+  usernames: ['address']
+};
+const IGNORED_COLUMNS = ['id', 'created_at', 'updated_at', 'remote_donation_id'];
+
+// Tables emptied by a full rebuild, campaigns are handled separately
+const DERIVED_TABLES = [
+  'donations',
+  'transactions',
+  'withdrawals',
+  'remote_donations',
+  'config_events',
+  'usernames',
+  'indexed_blocks',
+  'backfill_jobs',
+  'parked_events',
+  'daily_stats',
+  'donor_totals'
+];
+
+function mainNetworkName() {
+  return Object.keys(NETWORKS).find(name => NETWORKS[name].isMain);
+}
+
+// Run `fn` while holding the locks of the given networks and of the backfill
+// queue, so no worker writes to the same rows in between
+async function withIndexerLocks(networks, fn) {
+  const lock = await db.tryAdvisoryLocks([...networks.map(network => `indexer:${network}`), 'indexer:backfill']);
+  if (!lock) {
+    throw new Error(`A worker is indexing ${networks.join(', ')} or running backfills, stop it and try again`);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await lock.release();
+  }
+}
+
+async function getCursor(network) {
+  const state = await db.query('SELECT last_indexed_block FROM indexer_state WHERE chain = $1', [network]);
+  return state.rows.length > 0 ? parseInt(state.rows[0].last_indexed_block) : null;
+}
+
+/**
+ * Read the rows in scope of a replay, keyed per table. `scopes` maps a table
+ * to the WHERE clause and parameters selecting its rows.
+ */
+async function takeSnapshot(client, scopes) {
+  const snapshot = {};
+
+  for (const [table, { where, params }] of Object.entries(scopes)) {
+    const result = await client.query(`SELECT * FROM ${table} WHERE ${where}`, params);
+    snapshot[table] = new Map(result.rows.map(row => {
+      const key = SNAPSHOT_KEYS[table].map(column => row[column]).join(':');
+      const values = Object.fromEntries(Object.entries(row)
+        .filter(([column]) => !IGNORED_COLUMNS.includes(column))
+        .map(([column, value]) => [column, value instanceof Date ? value.toISOString() : value]));
+      return [key, values];
+    }));
+  }
+
+  return snapshot;
+}
+
+// Rows added, removed and changed between two snapshots, with a few examples of each
+function diffSnapshots(before, after) {
+  const diff = {};
+
+  for (const table of Object.keys(before)) {
+    const changes = { added: 0, removed: 0, changed: 0, samples: [] };
+    const sample = entry => {
+      if (changes.samples.length < DIFF_SAMPLE_SIZE * 3) {
+        changes.samples.push(entry);
+      }
+    };
+
+    for (const [key, row] of before[table]) {
+      const newRow = after[table].get(key);
+      if (!newRow) {
+        changes.removed++;
+        sample({ change: 'removed', key });
+        continue;
+      }
+
+      const columns = Object.keys(row).filter(column => String(row[column]) !== String(newRow[column]));
+      if (columns.length > 0) {
+        changes.changed++;
+        sample({
+          change: 'changed',
+          key,
+          columns: Object.fromEntries(columns.map(column => [column, { before: row[column], after: newRow[column] }]))
+        });
+      }
+    }
+
+    for (const key of after[table].keys()) {
+      if (!before[table].has(key)) {
+        changes.added++;
+        sample({ change: 'added', key });
+      }
+    }
+
+    diff[table] = changes;
+  }
+
+  return diff;
+}
+
+/**
+ * Delete and re-index blocks `fromBlock` to `toBlock` of a network from its
+ * logs. The range must already be behind the indexer cursor. Returns the
+ * differences between the stored and the re-indexed rows; with `dryRun`
+ * nothing is written.
+ */
+async function reindexRange(network, fromBlock, toBlock, { dryRun = false } = {}) {
+  if (!providers[network]) {
+    throw new Error(`Network ${network} is not configured`);
+  }
+  if (fromBlock > toBlock) {
+    throw new Error(`Invalid block range ${fromBlock}-${toBlock}`);
+  }
+
+  return withIndexerLocks([network], async () => {
+    const cursor = await getCursor(network);
+    if (cursor === null || toBlock > cursor) {
+      throw new Error(`${network} is only indexed up to block ${cursor}, blocks beyond it are left to the worker`);
+    }
+
+    logger.info(`${dryRun ? 'Previewing' : 'Running'} re-index of ${network} blocks ${fromBlock} to ${toBlock}`);
+
+    // RPC work happens before the transaction is opened
+    const chunks = [];
+    for (let start = fromBlock; start <= toBlock; start += providers[network].maxLogRange()) {
+      const end = Math.min(start + providers[network].maxLogRange() - 1, toBlock);
+      chunks.push(await fetchRangeChanges(network, start, end));
+    }
+    const confirmedBlock = await confirmedBlockNumber(network);
+
+    const replayedCampaignIds = chunks.flatMap(chunk => chunk.events.map(event => event.args.campaignId));
+    const storedCampaigns = await db.query(
+      `SELECT id FROM campaigns WHERE chain = $1 AND (block_number BETWEEN $2 AND $3 OR ended_block_number BETWEEN $2 AND $3)
+       UNION SELECT campaign_id FROM donations WHERE chain = $1 AND block_number BETWEEN $2 AND $3`,
+      [network, fromBlock, toBlock]
+    );
+    const campaignIds = [...new Set([...replayedCampaignIds, ...storedCampaigns.rows.map(row => row.id)])]
+      .filter(Boolean)
+      .map(String);
+
+    const range = [network, fromBlock, toBlock];
+    const scopes = {
+      campaigns: { where: 'id = ANY($1)', params: [campaignIds] },
+      donations: { where: '(chain = $1 AND block_number BETWEEN $2 AND $3) OR source_chain = $1', params: range },
+      transactions: {
+        where: `(chain = $1 AND block_number BETWEEN $2 AND $3)
+          OR (type = 'Donation' AND (chain, tx_hash) IN (SELECT chain, tx_hash FROM donations WHERE source_chain = $1))`,
+        params: range
+      },
+      withdrawals: {
+        where: 'chain = $1 AND (block_number BETWEEN $2 AND $3 OR processed_block_number BETWEEN $2 AND $3)',
+        params: range
+      },
+      remote_donations: {
+        where: 'chain = $1 AND (block_number BETWEEN $2 AND $3 OR relayed_block_number BETWEEN $2 AND $3)',
+        params: range
+      },
+      config_events: { where: 'chain = $1 AND block_number BETWEEN $2 AND $3', params: range },
+      usernames: { where: 'chain = $1 AND block_number BETWEEN $2 AND $3', params: range }
+    };
+
+    const diff = await db.transaction(async client => {
+      const before = await takeSnapshot(client, scopes);
+
+      const removed = await removeBlockRange(client, network, fromBlock, toBlock);
+      for (const chunk of chunks) {
+        await applyRangeEvents(client, network, chunk.events);
+        await applyUsernameChanges(client, network, chunk.usernameChanges);
+      }
+
+      // Edits that are no longer on chain leave the contract's current details behind
+      await refreshCampaignDetails(network, removed.editedCampaignIds, client);
+      await promoteConfirmedRows(network, confirmedBlock, client);
+      await correlateCrossChainDonations(client);
+
+      return diffSnapshots(before, await takeSnapshot(client, scopes));
+    }, { dryRun });
+
+    const events = chunks.reduce((sum, chunk) => sum + chunk.events.length, 0);
+    logger.info(`${dryRun ? 'Previewed' : 'Completed'} re-index of ${network} blocks ${fromBlock} to ${toBlock}`, { events });
+
+    return { network, fromBlock, toBlock, events, dryRun, diff };
+  });
+}
+
+/**
+ * Rebuild one campaign's history (creation, edits, donations and end) from
+ * the main chain's logs, up to the indexer cursor. Returns the differences
+ * between the stored and the rebuilt rows; with `dryRun` nothing is written.
+ */
+async function rebuildCampaign(campaignId, { dryRun = false } = {}) {
+  const network = mainNetworkName();
+  const id = String(campaignId);
+
+  return withIndexerLocks([network], async () => {
+    const cursor = await getCursor(network);
+    if (cursor === null) {
+      throw new Error(`${network} has not been indexed yet`);
+    }
+
+    // History starts at the stored creation block, or the deploy block for a missing campaign
+    const stored = await db.query('SELECT block_number FROM campaigns WHERE id = $1', [id]);
+    const fromBlock = stored.rows.length > 0 && stored.rows[0].block_number !== null ?
+      parseInt(stored.rows[0].block_number) : NETWORKS[network].deployBlock;
+    if (fromBlock === undefined) {
+      throw new Error(`Campaign ${id} is not indexed and ${network} has no deploy block to search from`);
+    }
+
+    logger.info(`${dryRun ? 'Previewing' : 'Running'} rebuild of campaign ${id} from ${network} blocks ${fromBlock} to ${cursor}`);
+
+    const events = await fetchCampaignEvents(id, fromBlock, cursor);
+    if (!events.some(event => event.name === 'CampaignCreated')) {
+      throw new Error(`No CampaignCreated event for campaign ${id} on ${network} between blocks ${fromBlock} and ${cursor}`);
+    }
+    const confirmedBlock = await confirmedBlockNumber(network);
+
+    const scopes = {
+      campaigns: { where: 'id = $1', params: [id] },
+      donations: { where: 'chain = $1 AND campaign_id = $2', params: [network, id] },
+      transactions: { where: 'chain = $1 AND campaign_id = $2', params: [network, id] }
+    };
+
+    const diff = await db.transaction(async client => {
+      const before = await takeSnapshot(client, scopes);
+
+      const deletedDonations = await client.query(
+        `DELETE FROM donations WHERE chain = $1 AND campaign_id = $2
+         RETURNING donor, to_char(timestamp, 'YYYY-MM-DD') AS day`,
+        [network, id]
+      );
+      await client.query('DELETE FROM transactions WHERE chain = $1 AND campaign_id = $2', [network, id]);
+      // The replay covers the campaign's whole history, parked events included
+      await client.query('DELETE FROM parked_events WHERE chain = $1 AND campaign_id = $2', [network, id]);
+      await client.query(
+        `UPDATE campaigns SET
+          ended = FALSE,
+          ended_block_number = NULL,
+          updated_at = NOW()
+        WHERE id = $1`,
+        [id]
+      );
+
+      await applyRangeEvents(client, network, events);
+
+      // A stored campaign keeps its row, bring its details up to date with the contract
+      await refreshCampaignDetails(network, [id], client);
+      await refreshCampaignTotals([id], client);
+      // Stats of donations the replay did not bring back
+      await refreshPlatformStats({
+        days: deletedDonations.rows.map(row => row.day),
+        donors: deletedDonations.rows.map(row => row.donor)
+      }, client);
+      await promoteConfirmedRows(network, confirmedBlock, client);
+      await correlateCrossChainDonations(client);
+
+      return diffSnapshots(before, await takeSnapshot(client, scopes));
+    }, { dryRun });
+
+    logger.info(`${dryRun ? 'Previewed' : 'Completed'} rebuild of campaign ${id}`, { events: events.length });
+
+    return { campaignId: id, network, fromBlock, toBlock: cursor, events: events.length, dryRun, diff };
+  });
+}
+
+/**
+ * Wipe everything derived from chain data and index every network again from
+ * its deploy block. Campaigns that off-chain data (wallets, direct donations)
+ * points at are kept and reset. With `dryRun` only reports what would be
+ * deleted and which block ranges would be indexed.
+ */
+async function rebuildAll({ dryRun = false } = {}) {
+  const networks = Object.keys(providers);
+  // Main chain first, deliveries are linked to their source once the remote chains follow
+  networks.sort((a, b) => NETWORKS[b].isMain - NETWORKS[a].isMain);
+
+  const missing = networks.filter(network => NETWORKS[network].deployBlock === undefined);
+  if (missing.length > 0) {
+    throw new Error(`A full rebuild needs a deploy block for ${missing.join(', ')}`);
+  }
+
+  return withIndexerLocks(networks, async () => {
+    const plan = { dryRun, tables: {}, networks: {} };
+
+    for (const table of DERIVED_TABLES) {
+      const result = await db.query(`SELECT COUNT(*) AS count FROM ${table}`);
+      plan.tables[table] = parseInt(result.rows[0].count);
+    }
+
+    const campaigns = await db.query(
+      `SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE EXISTS (SELECT 1 FROM campaign_wallets w WHERE w.campaign_id = c.id)
+          OR EXISTS (SELECT 1 FROM direct_donations d WHERE d.campaign_id = c.id)) AS kept
+      FROM campaigns c`
+    );
+    plan.tables.campaigns = parseInt(campaigns.rows[0].total) - parseInt(campaigns.rows[0].kept);
+    plan.keptCampaigns = parseInt(campaigns.rows[0].kept);
+
+    for (const network of networks) {
+      const head = await providers[network].getBlockNumber();
+      plan.networks[network] = {
+        cursor: await getCursor(network),
+        fromBlock: NETWORKS[network].deployBlock,
+        toBlock: head
+      };
+    }
+
+    if (dryRun) {
+      return plan;
+    }
+
+    logger.warn('Wiping indexed data for a full rebuild', plan.tables);
+
+    await db.transaction(async client => {
+      for (const table of DERIVED_TABLES) {
+        await client.query(`DELETE FROM ${table}`);
+      }
+
+      const orphaned = `NOT EXISTS (SELECT 1 FROM campaign_wallets w WHERE w.campaign_id = campaigns.id)
+        AND NOT EXISTS (SELECT 1 FROM direct_donations d WHERE d.campaign_id = campaigns.id)`;
+      await client.query(`DELETE FROM reconciliation_log WHERE campaign_id IN (SELECT id FROM campaigns WHERE ${orphaned})`);
+      await client.query(`DELETE FROM campaigns WHERE ${orphaned}`);
+      await client.query(
+        `UPDATE campaigns SET
+          amount_raised = 0,
+          amount_pending = 0,
+          donor_count = 0,
+          last_donation_at = NULL,
+          trending_score = 0,
+          ended = FALSE,
+          ended_block_number = NULL,
+          updated_at = NOW()`
+      );
+
+      for (const network of networks) {
+        await client.query(
+          `INSERT INTO indexer_state (chain, last_indexed_block, updated_at)
+           VALUES ($1, $2, NOW())
+           ON CONFLICT (chain) DO UPDATE SET
+             last_indexed_block = $2,
+             updated_at = NOW()`,
+          [network, NETWORKS[network].deployBlock - 1]
+        );
+      }
+    });
+
+    // The cursor moves with every chunk, an interrupted rebuild is finished by the worker
+    for (const network of networks) {
+      const { fromBlock, toBlock } = plan.networks[network];
+      logger.info(`Rebuilding ${network} from block ${fromBlock} to ${toBlock}`);
+      await indexNetwork(network, fromBlock, toBlock);
+    }
+
+    // Deliveries replayed before their remote chain's donations are linked now
+    await correlateCrossChainDonations();
+
+    logger.info('Full rebuild completed', { networks: plan.networks });
+
+    return plan;
+  });
+}
+
+module.exports = {
+  withIndexerLocks,
+  reindexRange,
+  rebuildCampaign,
+  rebuildAll
+};
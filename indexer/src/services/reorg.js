@@ -0,0 +1,306 @@
+// src/services/reorg.js
+const db = require('../db');
+const { refreshCampaignTotals } = require('./campaignTotals');
+const { refreshPlatformStats, rangeStatsScope } = require('./platformStats');
+const { createLogger, format, transports } = require('winston');
+
+// Logger configuration
+const logger = createLogger({
+  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+  format: format.combine(
+    format.timestamp(),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'reorg-detector' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.printf(({ level, message, timestamp, service, ...meta }) => {
+          const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+          return `${timestamp} [${service}] ${level}: ${message} ${metaStr}`;
+        })
+      )
+    }),
+    new transports.File({ filename: 'logs/reorg.log' })
+  ]
+});
+
+/**
+ * Store the hash of an indexed block and prune hashes that are already final.
+ * `block` is the `{ number, hash, parentHash }` header read before the block's
+ * logs, so the hash always belongs to the fork the rows were indexed from.
+ * Pass the client of an open transaction to record it with the block's data.
+ */
+async function recordBlockHash(network, block, finalityDepth, client = db) {
+  const blockNumber = block.number;
+
+  await client.query(
+    `INSERT INTO indexed_blocks (chain, block_number, block_hash, parent_hash)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (chain, block_number) DO UPDATE SET
+       block_hash = $3,
+       parent_hash = $4,
+       created_at = NOW()`,
+    [network, blockNumber, block.hash, block.parentHash]
+  );
+
+  // Anything deeper than the finality depth can no longer be reorged
+  await client.query(
+    'DELETE FROM indexed_blocks WHERE chain = $1 AND block_number < $2',
+    [network, blockNumber - finalityDepth]
+  );
+}
+
+/**
+ * Check whether the block we are about to index still builds on the last
+ * indexed block. Returns null when the chain is consistent, otherwise the
+ * highest block both our index and the canonical chain agree on.
+ */
+async function detectReorg(network, provider, fromBlock, finalityDepth) {
+  const lastIndexedBlock = fromBlock - 1;
+
+  const stored = await db.query(
+    'SELECT block_hash FROM indexed_blocks WHERE chain = $1 AND block_number = $2',
+    [network, lastIndexedBlock]
+  );
+
+  // Nothing recorded yet (first run or hashes pruned), nothing to compare against
+  if (stored.rows.length === 0) {
+    return null;
+  }
+
+  const nextBlock = await provider.getBlock(fromBlock);
+  if (!nextBlock || nextBlock.parentHash === stored.rows[0].block_hash) {
+    return null;
+  }
+
+  logger.warn(`Reorg detected on ${network}: block ${fromBlock} no longer builds on indexed block ${lastIndexedBlock}`, {
+    storedHash: stored.rows[0].block_hash,
+    parentHash: nextBlock.parentHash
+  });
+
+  // Walk back through the recorded hashes until we find one that is still canonical
+  const candidates = await db.query(
+    `SELECT block_number, block_hash FROM indexed_blocks
+     WHERE chain = $1 AND block_number < $2
+     ORDER BY block_number DESC`,
+    [network, lastIndexedBlock]
+  );
+
+  for (const candidate of candidates.rows) {
+    const blockNumber = parseInt(candidate.block_number);
+    const block = await provider.getBlock(blockNumber);
+
+    if (block && block.hash === candidate.block_hash) {
+      logger.info(`Common ancestor for ${network} found at block ${blockNumber}`);
+      return { commonAncestor: blockNumber, depth: lastIndexedBlock - blockNumber };
+    }
+  }
+
+  // No recorded block survived, fall back to rewinding the whole finality window
+  const commonAncestor = Math.max(0, lastIndexedBlock - finalityDepth);
+  logger.error(`No common ancestor found for ${network} within recorded hashes, rewinding to block ${commonAncestor}`);
+
+  return { commonAncestor, depth: lastIndexedBlock - commonAncestor };
+}
+
+/**
+ * Delete every row derived from blocks `fromBlock` to `toBlock` of a network
+ * and undo the updates those blocks made to older rows, using the client of an
+ * open transaction. Returns what was removed and which campaigns need their
+ * details re-read from the contract.
+ */
+async function removeBlockRange(client, network, fromBlock, toBlock = Number.MAX_SAFE_INTEGER) {
+  const statsScope = await rangeStatsScope(client, network, fromBlock, toBlock);
+
+  // Campaigns whose totals change once the orphaned donations are gone
+  const orphanedDonations = await client.query(
+    `SELECT DISTINCT campaign_id FROM donations
+     WHERE chain = $1 AND block_number BETWEEN $2 AND $3`,
+    [network, fromBlock, toBlock]
+  );
+
+  const deletedDonations = await client.query(
+    'DELETE FROM donations WHERE chain = $1 AND block_number BETWEEN $2 AND $3',
+    [network, fromBlock, toBlock]
+  );
+
+  // Edits cannot be undone from our own data, so report them for a refresh
+  const orphanedEdits = await client.query(
+    `SELECT DISTINCT campaign_id FROM transactions
+     WHERE chain = $1 AND block_number BETWEEN $2 AND $3 AND type = 'Campaign Edited'`,
+    [network, fromBlock, toBlock]
+  );
+
+  const deletedTransactions = await client.query(
+    'DELETE FROM transactions WHERE chain = $1 AND block_number BETWEEN $2 AND $3',
+    [network, fromBlock, toBlock]
+  );
+
+  // Withdrawals processed in orphaned blocks go back to requested
+  await client.query(
+    `UPDATE withdrawals SET
+      status = 'Requested',
+      processed_timestamp = NULL,
+      processed_tx_hash = NULL,
+      processed_block_number = NULL,
+      processed_log_index = NULL
+    WHERE chain = $1 AND processed_block_number BETWEEN $2 AND $3`,
+    [network, fromBlock, toBlock]
+  );
+
+  const deletedWithdrawals = await client.query(
+    'DELETE FROM withdrawals WHERE chain = $1 AND block_number BETWEEN $2 AND $3',
+    [network, fromBlock, toBlock]
+  );
+
+  // Deliveries linked to orphaned remote donations go back to the relaying contract
+  await client.query(
+    `UPDATE transactions t SET
+      user_address = d.relayer_address,
+      source_tx_hash = NULL
+    FROM donations d
+    JOIN remote_donations rd ON rd.id = d.remote_donation_id
+    WHERE rd.chain = $1 AND rd.block_number BETWEEN $2 AND $3
+      AND t.chain = d.chain AND t.tx_hash = d.tx_hash AND t.source_tx_hash = rd.tx_hash`,
+    [network, fromBlock, toBlock]
+  );
+
+  const unlinkedDonations = await client.query(
+    `UPDATE donations d SET
+      donor = d.relayer_address,
+      source_tx_hash = NULL,
+      remote_donation_id = NULL
+    FROM remote_donations rd
+    WHERE rd.id = d.remote_donation_id AND rd.chain = $1 AND rd.block_number BETWEEN $2 AND $3
+    RETURNING d.campaign_id`,
+    [network, fromBlock, toBlock]
+  );
+
+  // Remote donations relayed in orphaned blocks go back to pending
+  await client.query(
+    `UPDATE remote_donations SET
+      relay_status = 'pending',
+      dst_eid = NULL,
+      relayed_at = NULL,
+      relayed_tx_hash = NULL,
+      relayed_block_number = NULL,
+      lz_nonce = NULL
+    WHERE chain = $1 AND relayed_block_number BETWEEN $2 AND $3`,
+    [network, fromBlock, toBlock]
+  );
+
+  const deletedRemoteDonations = await client.query(
+    'DELETE FROM remote_donations WHERE chain = $1 AND block_number BETWEEN $2 AND $3',
+    [network, fromBlock, toBlock]
+  );
+
+  const deletedConfigEvents = await client.query(
+    'DELETE FROM config_events WHERE chain = $1 AND block_number BETWEEN $2 AND $3',
+    [network, fromBlock, toBlock]
+  );
+
+  // Events parked in orphaned blocks never happened
+  await client.query(
+    'DELETE FROM parked_events WHERE chain = $1 AND block_number BETWEEN $2 AND $3',
+    [network, fromBlock, toBlock]
+  );
+
+  // Names set in orphaned blocks are dropped, the re-indexed range sets them again
+  await client.query(
+    'DELETE FROM usernames WHERE chain = $1 AND block_number BETWEEN $2 AND $3',
+    [network, fromBlock, toBlock]
+  );
+
+  await client.query(
+    `UPDATE campaigns SET
+      ended = FALSE,
+      ended_block_number = NULL,
+      updated_at = NOW()
+    WHERE chain = $1 AND ended_block_number BETWEEN $2 AND $3`,
+    [network, fromBlock, toBlock]
+  );
+
+  // Campaigns created in the range are removed unless rows outside it or
+  // off-chain data (direct donation wallets) still hang off them
+  await client.query(
+    `DELETE FROM reconciliation_log
+     WHERE campaign_id IN (
+       SELECT id FROM campaigns WHERE chain = $1 AND block_number BETWEEN $2 AND $3
+     )`,
+    [network, fromBlock, toBlock]
+  );
+
+  const deletedCampaigns = await client.query(
+    `DELETE FROM campaigns c
+     WHERE c.chain = $1 AND c.block_number BETWEEN $2 AND $3
+       AND NOT EXISTS (SELECT 1 FROM donations d WHERE d.campaign_id = c.id)
+       AND NOT EXISTS (SELECT 1 FROM campaign_wallets w WHERE w.campaign_id = c.id)
+       AND NOT EXISTS (SELECT 1 FROM direct_donations d WHERE d.campaign_id = c.id)`,
+    [network, fromBlock, toBlock]
+  );
+
+  await refreshCampaignTotals([
+    ...orphanedDonations.rows.map(row => row.campaign_id),
+    ...unlinkedDonations.rows.map(row => row.campaign_id)
+  ], client);
+  await refreshPlatformStats(statsScope, client);
+
+  return {
+    donations: deletedDonations.rowCount,
+    transactions: deletedTransactions.rowCount,
+    withdrawals: deletedWithdrawals.rowCount,
+    remoteDonations: deletedRemoteDonations.rowCount,
+    configEvents: deletedConfigEvents.rowCount,
+    campaigns: deletedCampaigns.rowCount,
+    affectedCampaigns: orphanedDonations.rows.map(row => row.campaign_id),
+    editedCampaignIds: orphanedEdits.rows.map(row => row.campaign_id)
+  };
+}
+
+/**
+ * Remove every row derived from blocks after `commonAncestor` and move the
+ * indexer cursor back so those blocks are indexed again
+ */
+async function rollbackToBlock(network, commonAncestor) {
+  logger.warn(`Rolling back ${network} to block ${commonAncestor}`);
+
+  try {
+    const summary = await db.transaction(async client => {
+      const removed = await removeBlockRange(client, network, commonAncestor + 1);
+
+      await client.query(
+        'DELETE FROM indexed_blocks WHERE chain = $1 AND block_number > $2',
+        [network, commonAncestor]
+      );
+
+      await client.query(
+        `UPDATE indexer_state SET
+          last_indexed_block = $2,
+          updated_at = NOW()
+        WHERE chain = $1`,
+        [network, commonAncestor]
+      );
+
+      return removed;
+    });
+
+    const { editedCampaignIds, ...deleted } = summary;
+    logger.warn(`Rollback of ${network} to block ${commonAncestor} completed`, deleted);
+
+    return summary;
+  } catch (error) {
+    logger.error(`Rollback of ${network} to block ${commonAncestor} failed: ${error.message}`, { stack: error.stack });
+    throw error;
+  }
+}
+
+module.exports = {
+  recordBlockHash,
+  removeBlockRange,
+  detectReorg,
+  rollbackToBlock
+};
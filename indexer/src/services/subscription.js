@@ -0,0 +1,168 @@
+// src/services/subscription.js
+const ethers = require('ethers');
+const { NETWORKS, providers, eventTopics, indexPushedLogs, discardEventsAfter } = require('./blockchain');
+const { createLogger, format, transports } = require('winston');
+
+// Constants
+const STALE_HEAD_MS = parseInt(process.env.SUBSCRIPTION_STALE_MS) || 60000; // Silence after which a socket counts as dropped
+const RECONNECT_MIN_MS = 5000; // First reconnect delay, doubled after every failed attempt
+const RECONNECT_MAX_MS = 60000;
+
+// Logger configuration
+const logger = createLogger({
+  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+  format: format.combine(
+    format.timestamp(),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'subscription' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.printf(({ level, message, timestamp, service, ...meta }) => {
+          const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+          return `${timestamp} [${service}] ${level}: ${message} ${metaStr}`;
+        })
+      )
+    }),
+    new transports.File({ filename: 'logs/subscription.log' })
+  ]
+});
+
+/**
+ * Subscribe to new heads and contract logs of a network over its WebSocket
+ * endpoint. `onActivity` fires on every head, pushed log and state change so
+ * the network loop can wake up; the loop calls `flush` to apply what arrived.
+ * A dropped or silent socket is reconnected in the background, meanwhile
+ * `isConnected()` is false and the loop falls back to polling.
+ */
+function createSubscription(network, onActivity) {
+  const config = NETWORKS[network];
+  const topics = eventTopics(network);
+  const state = {
+    provider: null,
+    connected: false,
+    closed: false,
+    lastHeadAt: 0,
+    reconnectDelay: RECONNECT_MIN_MS,
+    reconnectTimer: null,
+    queue: [],
+    // Rows a previous process pushed ahead of the cursor cannot be verified any more
+    discardOnFlush: true,
+    // Blocks applied ahead of the cursor and the hash they had when pushed
+    pushedBlocks: new Map()
+  };
+
+  const handleDrop = (provider, reason) => {
+    // Late events of a socket that was already replaced are ignored
+    if (state.closed || state.provider !== provider) {
+      return;
+    }
+
+    logger.warn(`${network} subscription dropped (${reason}), polling until it reconnects in ${state.reconnectDelay / 1000}s`);
+
+    state.provider = null;
+    state.connected = false;
+    provider.destroy().catch(() => {});
+
+    state.reconnectTimer = setTimeout(connect, state.reconnectDelay);
+    state.reconnectDelay = Math.min(state.reconnectDelay * 2, RECONNECT_MAX_MS);
+    onActivity();
+  };
+
+  const connect = () => {
+    state.reconnectTimer = null;
+    if (state.closed) {
+      return;
+    }
+
+    const provider = new ethers.WebSocketProvider(config.wsRpc, config.chainId, { staticNetwork: true });
+    state.provider = provider;
+    state.lastHeadAt = Date.now();
+
+    provider.websocket.addEventListener('close', () => handleDrop(provider, 'socket closed'));
+    provider.websocket.addEventListener('error', error => handleDrop(provider, error.message || 'socket error'));
+
+    provider.on('block', blockNumber => {
+      if (!state.connected) {
+        logger.info(`${network} subscription connected at block ${blockNumber}`);
+        state.connected = true;
+        state.reconnectDelay = RECONNECT_MIN_MS;
+      }
+      state.lastHeadAt = Date.now();
+      onActivity();
+    }).catch(error => handleDrop(provider, error.message));
+
+    provider.on({ address: config.contractAddress, topics: [topics] }, log => {
+      state.queue.push(log);
+      onActivity();
+    }).catch(error => handleDrop(provider, error.message));
+  };
+
+  // Sockets can stall without closing, treat a long silence like a drop
+  const watchdog = setInterval(() => {
+    if (state.provider && Date.now() - state.lastHeadAt > STALE_HEAD_MS) {
+      handleDrop(state.provider, `no new head for ${STALE_HEAD_MS / 1000}s`);
+    }
+  }, STALE_HEAD_MS / 2);
+
+  /**
+   * Apply the logs pushed since the last call. Logs at or below the cursor
+   * are already indexed and skipped. Blocks pushed earlier that the cursor has
+   * now passed are checked against the canonical chain, their rows are
+   * discarded and indexed again if the block was orphaned. Returns true when
+   * that moved the cursor back.
+   */
+  const flush = async cursor => {
+    if (state.discardOnFlush) {
+      state.discardOnFlush = false;
+      await discardEventsAfter(network, cursor);
+    }
+
+    for (const [blockNumber, blockHash] of state.pushedBlocks) {
+      if (blockNumber > cursor) {
+        continue;
+      }
+
+      state.pushedBlocks.delete(blockNumber);
+      const block = await providers[network].getBlock(blockNumber);
+      if (block && block.hash !== blockHash) {
+        logger.warn(`Pushed block ${blockNumber} on ${network} was orphaned, re-indexing from it`);
+        await discardEventsAfter(network, blockNumber - 1);
+        state.pushedBlocks.clear();
+        return true;
+      }
+    }
+
+    const logs = state.queue.splice(0).filter(log => log.blockNumber > cursor);
+    if (logs.length > 0) {
+      logs.forEach(log => state.pushedBlocks.set(log.blockNumber, log.blockHash));
+      await indexPushedLogs(network, logs);
+    }
+
+    return false;
+  };
+
+  const close = async () => {
+    state.closed = true;
+    clearInterval(watchdog);
+    clearTimeout(state.reconnectTimer);
+    if (state.provider) {
+      await state.provider.destroy().catch(() => {});
+      state.provider = null;
+    }
+  };
+
+  connect();
+
+  return {
+    isConnected: () => state.connected,
+    flush,
+    close
+  };
+}
+
+module.exports = { createSubscription };
@@ -0,0 +1,314 @@
+// src/services/timestampBackfill.js
+const ethers = require('ethers');
+const db = require('../db');
+const mainChainABI = require('../config/mainChainABI.json');
+const { providers, NETWORKS } = require('./blockchain');
+const { statsDay, refreshPlatformStats } = require('./platformStats');
+const { refreshCampaignTotals } = require('./campaignTotals');
+const { withIndexerLocks } = require('./reindex');
+const { createLogger, format, transports } = require('winston');
+
+// Constants
+const BATCH_SIZE = 200; // Rows read from the database per query
+
+// Logger configuration
+const logger = createLogger({
+  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+  format: format.combine(
+    format.timestamp(),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'timestamp-backfill' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.printf(({ level, message, timestamp, service, ...meta }) => {
+          const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+          return `${timestamp} [${service}] ${level}: ${message} ${metaStr}`;
+        })
+      )
+    }),
+    new transports.File({ filename: 'logs/backfill.log' })
+  ]
+});
+
+const mainInterface = new ethers.Interface(mainChainABI);
+
+// Event behind each transaction type written by the indexer
+const TRANSACTION_EVENTS = {
+  'Campaign Created': 'CampaignCreated',
+  'Campaign Edited': 'CampaignEdited',
+  'Campaign Ended': 'CampaignEnded',
+  'Donation': 'DonationMade',
+  'Withdrawal Requested': 'WithdrawalRequested',
+  'Withdrawal Processed': 'WithdrawalProcessed'
+};
+
+// Stored amounts keep the token's 8 decimals, compare them as raw units
+function sameAmount(storedAmount, value) {
+  return storedAmount !== null && ethers.parseUnits(storedAmount, 8) === BigInt(value);
+}
+
+function sameAddress(stored, address) {
+  return stored !== null && stored.toLowerCase() === address.toLowerCase();
+}
+
+// Whether a decoded log is the one a transactions row was written for
+function matchesTransaction(row, args) {
+  switch (row.type) {
+    case 'Campaign Created':
+    case 'Campaign Edited':
+      return String(args.campaignId) === row.campaign_id;
+    case 'Campaign Ended':
+      return String(args.campaignId) === row.campaign_id && sameAmount(row.amount, args.finalStableValue);
+    case 'Donation':
+      return String(args.campaignId) === row.campaign_id && sameAmount(row.amount, args.netUSDValue);
+    default:
+      return sameAmount(row.amount, args.amount) && sameAddress(row.token, args.token);
+  }
+}
+
+// Rows to fix, where each one keeps its tx hash, block and log position, and
+// how to recognize its log. Rows of tables keyed by their log are deduplicated.
+const BACKFILL_TARGETS = [
+  {
+    name: 'campaigns',
+    table: 'campaigns',
+    initialCursor: '',
+    hashColumn: 'tx_hash',
+    blockColumn: 'block_number',
+    logIndexColumn: 'log_index',
+    timestampColumns: ['created_at', 'block_timestamp'],
+    columns: [],
+    pending: 'tx_hash IS NOT NULL AND block_timestamp IS NULL',
+    eventName: () => 'CampaignCreated',
+    matches: (row, args) => String(args.campaignId) === String(row.id)
+  },
+  {
+    name: 'donations',
+    table: 'donations',
+    initialCursor: 0,
+    hashColumn: 'tx_hash',
+    blockColumn: 'block_number',
+    logIndexColumn: 'log_index',
+    timestampColumns: ['timestamp', 'block_timestamp'],
+    columns: ['campaign_id', 'donor', 'amount'],
+    pending: 'block_timestamp IS NULL',
+    eventName: () => 'DonationMade',
+    // The donor may already be the correlated cross-chain donor, it is not compared
+    matches: (row, args) => String(args.campaignId) === row.campaign_id && sameAmount(row.amount, args.netUSDValue),
+    deduplicate: true
+  },
+  {
+    name: 'transactions',
+    table: 'transactions',
+    initialCursor: 0,
+    hashColumn: 'tx_hash',
+    blockColumn: 'block_number',
+    logIndexColumn: 'log_index',
+    timestampColumns: ['timestamp', 'block_timestamp'],
+    columns: ['type', 'campaign_id', 'amount', 'token'],
+    pending: 'block_timestamp IS NULL',
+    eventName: row => TRANSACTION_EVENTS[row.type],
+    matches: matchesTransaction,
+    deduplicate: true
+  },
+  {
+    name: 'withdrawal requests',
+    table: 'withdrawals',
+    initialCursor: '',
+    hashColumn: 'tx_hash',
+    blockColumn: 'block_number',
+    logIndexColumn: 'log_index',
+    timestampColumns: ['request_timestamp', 'block_timestamp'],
+    columns: [],
+    pending: 'block_timestamp IS NULL',
+    eventName: () => 'WithdrawalRequested',
+    matches: (row, args) => String(args.requestId) === String(row.id)
+  },
+  {
+    name: 'processed withdrawals',
+    table: 'withdrawals',
+    initialCursor: '',
+    hashColumn: 'processed_tx_hash',
+    blockColumn: 'processed_block_number',
+    logIndexColumn: 'processed_log_index',
+    timestampColumns: ['processed_timestamp'],
+    columns: [],
+    pending: 'processed_tx_hash IS NOT NULL AND processed_log_index IS NULL',
+    eventName: () => 'WithdrawalProcessed',
+    matches: (row, args) => String(args.requestId) === String(row.id)
+  }
+];
+
+/**
+ * Re-read the receipts of rows indexed before block timestamps were stored and
+ * stamp them with their real block number, block timestamp and log index. Each
+ * row is matched to the log with the same decoded contents that no other row
+ * claims yet. A row whose log is already claimed by a replayed copy is a
+ * duplicate and is deleted. Holds the indexer locks of every network, so it
+ * refuses to start while a worker is indexing.
+ */
+async function backfillBlockTimestamps() {
+  return withIndexerLocks(Object.keys(NETWORKS), stampRows);
+}
+
+async function stampRows() {
+  logger.info('Starting block timestamp backfill');
+
+  // Receipts and blocks are only cached for the batch being processed
+  const receipts = new Map();
+  const blocks = new Map();
+  const results = {};
+
+  const getReceipt = async (chain, txHash) => {
+    const key = `${chain}:${txHash}`;
+    if (!receipts.has(key)) {
+      receipts.set(key, await providers[chain].getTransactionReceipt(txHash));
+    }
+    return receipts.get(key);
+  };
+
+  const getBlockTimestamp = async (chain, blockNumber) => {
+    const key = `${chain}:${blockNumber}`;
+    if (!blocks.has(key)) {
+      const block = await providers[chain].getBlock(blockNumber);
+      blocks.set(key, block ? block.timestamp : null);
+    }
+    return blocks.get(key);
+  };
+
+  // Decoded logs of the contract in a receipt that match a row
+  const matchingLogs = (target, row, receipt) => {
+    const eventName = target.eventName(row);
+    if (!eventName) {
+      return [];
+    }
+
+    const fragment = mainInterface.getEvent(eventName);
+    const contractAddress = (NETWORKS[row.chain].contractAddress || '').toLowerCase();
+
+    return receipt.logs
+      .filter(log => log.address.toLowerCase() === contractAddress && log.topics[0] === fragment.topicHash)
+      .filter(log => target.matches(row, mainInterface.decodeEventLog(fragment, log.data, log.topics)));
+  };
+
+  for (const target of BACKFILL_TARGETS) {
+    let cursor = target.initialCursor;
+    let updated = 0;
+    let deleted = 0;
+    let errors = 0;
+
+    while (true) {
+      receipts.clear();
+      blocks.clear();
+
+      const pending = await db.query(
+        `SELECT id, chain, ${target.hashColumn} AS tx_hash, ${target.logIndexColumn} AS log_index,
+           to_char(${target.timestampColumns[0]}, 'YYYY-MM-DD') AS stats_day
+           ${target.columns.map(column => `, ${column}`).join('')}
+         FROM ${target.table}
+         WHERE ${target.pending} AND id > $1
+         ORDER BY id
+         LIMIT $2`,
+        [cursor, BATCH_SIZE]
+      );
+
+      if (pending.rows.length === 0) {
+        break;
+      }
+      cursor = pending.rows[pending.rows.length - 1].id;
+
+      // Rows moving to their real block time or deleted as duplicates change the stats
+      const statsDays = [];
+      const statsDonors = [];
+      const deduplicatedCampaigns = [];
+
+      for (const row of pending.rows) {
+        try {
+          if (!providers[row.chain]) {
+            throw new Error(`No provider for ${row.chain}`);
+          }
+
+          const receipt = await getReceipt(row.chain, row.tx_hash);
+          if (!receipt) {
+            throw new Error(`Receipt not found for ${row.tx_hash}`);
+          }
+
+          const timestamp = await getBlockTimestamp(row.chain, receipt.blockNumber);
+          if (timestamp === null) {
+            throw new Error(`Block ${receipt.blockNumber} not found on ${row.chain}`);
+          }
+
+          // Work out the log index of rows indexed before it was recorded
+          let logIndex = row.log_index;
+
+          if (logIndex === null) {
+            const candidates = matchingLogs(target, row, receipt);
+            if (candidates.length === 0) {
+              throw new Error(`No matching log in ${row.tx_hash}`);
+            }
+
+            const claimed = await db.query(
+              `SELECT ${target.logIndexColumn} AS log_index FROM ${target.table}
+               WHERE chain = $1 AND ${target.hashColumn} = $2 AND ${target.logIndexColumn} = ANY($3) AND id <> $4`,
+              [row.chain, row.tx_hash, candidates.map(log => log.index), row.id]
+            );
+            const claimedIndexes = new Set(claimed.rows.map(claimedRow => claimedRow.log_index));
+            const unclaimed = candidates.find(log => !claimedIndexes.has(log.index));
+
+            if (!unclaimed) {
+              if (!target.deduplicate) {
+                throw new Error(`Every matching log in ${row.tx_hash} belongs to another row`);
+              }
+
+              // A replay already indexed this log, the legacy row is its duplicate
+              await db.query(`DELETE FROM ${target.table} WHERE id = $1`, [row.id]);
+              statsDays.push(row.stats_day);
+              statsDonors.push(row.donor);
+              deduplicatedCampaigns.push(row.campaign_id);
+              deleted++;
+              continue;
+            }
+
+            logIndex = unclaimed.index;
+          }
+
+          const setTimestamps = target.timestampColumns
+            .map(column => `${column} = to_timestamp($2) AT TIME ZONE 'UTC'`)
+            .join(', ');
+
+          await db.query(
+            `UPDATE ${target.table} SET
+              ${target.blockColumn} = $1,
+              ${setTimestamps},
+              ${target.logIndexColumn} = $3
+            WHERE id = $4`,
+            [receipt.blockNumber, timestamp, logIndex, row.id]
+          );
+
+          statsDays.push(row.stats_day, statsDay(timestamp));
+          updated++;
+        } catch (error) {
+          errors++;
+          logger.error(`Error backfilling ${target.name} row ${row.id}: ${error.message}`);
+        }
+      }
+
+      if (target.table === 'donations') {
+        await refreshCampaignTotals(deduplicatedCampaigns);
+      }
+      await refreshPlatformStats({ days: statsDays, donors: statsDonors });
+    }
+
+    logger.info(`Backfilled ${updated} ${target.name}, deleted ${deleted} duplicates (${errors} errors)`);
+    results[target.name] = { updated, deleted, errors };
+  }
+
+  return results;
+}
+
+module.exports = { backfillBlockTimestamps };
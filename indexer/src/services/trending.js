@@ -0,0 +1,61 @@
+// src/services/trending.js
+const db = require('../db');
+const { createLogger, format, transports } = require('winston');
+
+// Constants
+const TRENDING_WINDOW_HOURS = 7 * 24; // Donations older than this no longer count towards the score
+const TRENDING_HALF_LIFE_HOURS = 24;  // A donation counts half as much after this long
+
+// Logger configuration
+const logger = createLogger({
+  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+  format: format.combine(
+    format.timestamp(),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'trending' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.printf(({ level, message, timestamp, service, ...meta }) => {
+          const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+          return `${timestamp} [${service}] ${level}: ${message} ${metaStr}`;
+        })
+      )
+    }),
+    new transports.File({ filename: 'logs/trending.log' })
+  ]
+});
+
+/**
+ * Recompute the trending score of every campaign from its recent confirmed
+ * donations. Each donation adds 1 + ln(1 + amount), so many donors outweigh a
+ * single large one, and its weight halves every TRENDING_HALF_LIFE_HOURS.
+ * Campaigns without recent donations fall back to 0. Returns the number of
+ * campaigns whose score was written.
+ */
+async function refreshTrendingScores() {
+  const result = await db.query(
+    `WITH scores AS (
+      SELECT campaign_id,
+        SUM((1 + LN(1 + amount::FLOAT8)) * POWER(0.5, EXTRACT(EPOCH FROM (NOW() AT TIME ZONE 'UTC') - timestamp) / 3600 / $2)) AS score
+      FROM donations
+      WHERE confirmation_status = 'confirmed' AND timestamp > (NOW() AT TIME ZONE 'UTC') - $1 * INTERVAL '1 hour'
+      GROUP BY campaign_id
+    )
+    UPDATE campaigns c SET trending_score = COALESCE(s.score, 0)
+    FROM campaigns current
+    LEFT JOIN scores s ON s.campaign_id = current.id
+    WHERE current.id = c.id AND (s.score IS NOT NULL OR current.trending_score <> 0)`,
+    [TRENDING_WINDOW_HOURS, TRENDING_HALF_LIFE_HOURS]
+  );
+
+  logger.debug(`Refreshed trending scores of ${result.rowCount} campaigns`);
+
+  return result.rowCount;
+}
+
+module.exports = { refreshTrendingScores };
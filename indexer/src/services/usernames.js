@@ -0,0 +1,223 @@
+// src/services/usernames.js
+const ethers = require('ethers');
+const db = require('../db');
+const { isUnsupportedMethodError } = require('./failoverProvider');
+const { createLogger, format, transports } = require('winston');
+
+// Constants
+const USERNAME_SCAN_MAX_BLOCKS = parseInt(process.env.USERNAME_SCAN_MAX_BLOCKS) || 200; // Largest range the opt-in block scan covers, larger ones read names from the contract
+const BLOCK_BATCH_SIZE = 20; // Blocks fetched in parallel while scanning
+
+// Logger configuration
+const logger = createLogger({
+  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+  format: format.combine(
+    format.timestamp(),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'usernames' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.printf(({ level, message, timestamp, service, ...meta }) => {
+          const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+          return `${timestamp} [${service}] ${level}: ${message} ${metaStr}`;
+        })
+      )
+    }),
+    new transports.File({ filename: 'logs/usernames.log' })
+  ]
+});
+
+// Providers known to offer no trace_filter, they fall back to block scans or current names
+const untracedProviders = new WeakSet();
+
+/**
+ * Find successful setUsername calls to the main contract in a block range with
+ * trace_filter, which also sees calls made by other contracts. Returns null
+ * when the provider offers no tracing.
+ */
+async function traceUsernameCalls(provider, contract, fromBlock, toBlock) {
+  if (typeof provider.send !== 'function' || untracedProviders.has(provider)) {
+    return null;
+  }
+
+  const contractAddress = (await contract.getAddress()).toLowerCase();
+  const selector = contract.interface.getFunction('setUsername').selector;
+
+  let traces;
+  try {
+    traces = await provider.send('trace_filter', [{
+      fromBlock: ethers.toQuantity(fromBlock),
+      toBlock: ethers.toQuantity(toBlock),
+      toAddress: [contractAddress]
+    }]);
+  } catch (error) {
+    if (!isUnsupportedMethodError(error)) {
+      throw error;
+    }
+    untracedProviders.add(provider);
+    logger.warn('RPC offers no trace_filter, usernames set through other contracts are missed and ' +
+      'ranges take the current names of their addresses unless the network enables usernameBlockScan');
+    return null;
+  }
+
+  // Only plain calls change the contract's storage, and only if neither they nor a caller reverted
+  const calls = traces.filter(trace =>
+    trace.type === 'call' && trace.action.callType === 'call' && !trace.error &&
+    trace.action.input.startsWith(selector)
+  );
+
+  const txHashes = [...new Set(calls.map(trace => trace.transactionHash))];
+  const txTraces = await Promise.all(txHashes.map(txHash => provider.send('trace_transaction', [txHash])));
+  const revertedPaths = new Map(txHashes.map((txHash, index) => [
+    txHash,
+    txTraces[index].filter(trace => trace.error).map(trace => trace.traceAddress)
+  ]));
+
+  const isReverted = trace => revertedPaths.get(trace.transactionHash).some(path =>
+    path.length <= trace.traceAddress.length && path.every((position, index) => trace.traceAddress[index] === position)
+  );
+
+  return calls
+    .filter(trace => !isReverted(trace))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.transactionPosition - b.transactionPosition)
+    .map(trace => ({
+      address: trace.action.from.toLowerCase(),
+      username: contract.interface.parseTransaction({ data: trace.action.input }).args.username,
+      txHash: trace.transactionHash,
+      blockNumber: trace.blockNumber
+    }));
+}
+
+/**
+ * Find successful setUsername calls sent straight to the main contract in a
+ * block range, by decoding every block's transactions. Calls made by other
+ * contracts are not visible this way. Costs one full-block request per block.
+ */
+async function scanUsernameCalls(provider, contract, fromBlock, toBlock) {
+  const contractAddress = (await contract.getAddress()).toLowerCase();
+  const selector = contract.interface.getFunction('setUsername').selector;
+  const calls = [];
+
+  for (let start = fromBlock; start <= toBlock; start += BLOCK_BATCH_SIZE) {
+    const blockNumbers = [];
+    for (let blockNumber = start; blockNumber <= Math.min(start + BLOCK_BATCH_SIZE - 1, toBlock); blockNumber++) {
+      blockNumbers.push(blockNumber);
+    }
+
+    const blocks = await Promise.all(blockNumbers.map(blockNumber => provider.getBlock(blockNumber, true)));
+
+    blocks.forEach((block, index) => {
+      if (!block) {
+        throw new Error(`Block ${blockNumbers[index]} not found while scanning for usernames`);
+      }
+
+      block.prefetchedTransactions
+        .filter(tx => tx.to && tx.to.toLowerCase() === contractAddress && tx.data.startsWith(selector))
+        .forEach(tx => {
+          const parsed = contract.interface.parseTransaction({ data: tx.data });
+          calls.push({
+            address: tx.from.toLowerCase(),
+            username: parsed.args.username,
+            txHash: tx.hash,
+            blockNumber: block.number
+          });
+        });
+    });
+  }
+
+  // Reverted calls (e.g. while the contract is paused) changed nothing
+  const receipts = await Promise.all(calls.map(call => provider.getTransactionReceipt(call.txHash)));
+  return calls.filter((call, index) => receipts[index] && receipts[index].status === 1);
+}
+
+// Current username of each address, read from the contract's `usernames` mapping
+async function readUsernames(contract, addresses, blockNumber) {
+  const unique = [...new Set(addresses.filter(Boolean).map(address => address.toLowerCase()))];
+  const names = await Promise.all(unique.map(address => contract.usernames(address)));
+
+  return unique.map((address, index) => ({
+    address,
+    username: names[index],
+    txHash: null,
+    blockNumber
+  }));
+}
+
+/**
+ * Username changes for a main chain block range. With trace_filter every
+ * setUsername call of the range is found, whoever sent it. Without tracing,
+ * networks with `blockScan` enabled scan small (realtime) ranges for calls
+ * sent straight to the contract. Otherwise only the current name of every
+ * address that appeared in the range's events is read: names set by others
+ * are missed there, and replayed history gets today's names.
+ */
+async function fetchUsernameChanges(provider, contract, fromBlock, toBlock, addresses, { blockScan = false } = {}) {
+  const traced = await traceUsernameCalls(provider, contract, fromBlock, toBlock);
+  if (traced) {
+    return traced;
+  }
+
+  if (blockScan && toBlock - fromBlock + 1 <= USERNAME_SCAN_MAX_BLOCKS) {
+    return scanUsernameCalls(provider, contract, fromBlock, toBlock);
+  }
+
+  const names = await readUsernames(contract, addresses, toBlock);
+
+  // An empty name read from the contract is only news if we knew a name before
+  return names.filter(change => change.username !== '');
+}
+
+/**
+ * Store username changes with the client of an open transaction. Changes are
+ * applied in block order and never overwrite a name set in a later block.
+ */
+async function applyUsernameChanges(client, network, changes) {
+  for (const change of changes) {
+    await client.query(
+      `INSERT INTO usernames (address, username, chain, tx_hash, block_number, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (address) DO UPDATE SET
+         username = EXCLUDED.username,
+         chain = EXCLUDED.chain,
+         tx_hash = EXCLUDED.tx_hash,
+         block_number = EXCLUDED.block_number,
+         updated_at = NOW()
+       WHERE usernames.block_number <= EXCLUDED.block_number`,
+      [change.address, change.username, network, change.txHash, change.blockNumber]
+    );
+  }
+
+  if (changes.length > 0) {
+    logger.info(`Stored ${changes.length} username changes from ${network}`);
+  }
+}
+
+/**
+ * Display names of a list of addresses as a Map of lowercase address to name.
+ * Addresses without a (non-empty) username are left out.
+ */
+async function getDisplayNames(addresses) {
+  const unique = [...new Set(addresses.filter(Boolean).map(address => address.toLowerCase()))];
+  if (unique.length === 0) {
+    return new Map();
+  }
+
+  const result = await db.query(
+    `SELECT address, username FROM usernames WHERE address = ANY($1) AND username <> ''`,
+    [unique]
+  );
+
+  return new Map(result.rows.map(row => [row.address, row.username]));
+}
+
+module.exports = {
+  fetchUsernameChanges,
+  applyUsernameChanges,
+  readUsernames,
+  getDisplayNames
+};
@@ -0,0 +1,205 @@
+// test/api.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ethers = require('ethers');
+const { startDatabase, resetDatabase } = require('./helpers/database');
+const { TestChain, useChains } = require('./helpers/chain');
+
+const MAIN_ADDRESS = '0x00000000000000000000000000000000000000aa';
+const REMOTE_ADDRESS = '0x00000000000000000000000000000000000000bb';
+const ENDPOINT_ADDRESS = '0x00000000000000000000000000000000000000ee';
+const CREATOR = '0x00000000000000000000000000000000000000c1';
+const DONOR = '0x00000000000000000000000000000000000000d1';
+const OTHER_DONOR = '0x00000000000000000000000000000000000000d2';
+
+const BASE_EID = 30184;
+
+process.env.POLYGON_CONTRACT_ADDRESS = MAIN_ADDRESS;
+process.env.POLYGON_CONFIRMATIONS = '10';
+process.env.BASE_CONTRACT_ADDRESS = REMOTE_ADDRESS;
+
+const usd = amount => ethers.parseUnits(String(amount), 8);
+
+const endpoint = new ethers.Interface([
+  'event PacketDelivered((uint32 srcEid, bytes32 sender, uint64 nonce) origin, address receiver)'
+]);
+
+// Receipt logs of a delivery from Base
+const deliveredFromBase = nonce => logIndex => [{
+  ...endpoint.encodeEventLog('PacketDelivered', [[BASE_EID, ethers.zeroPadValue(REMOTE_ADDRESS, 32), nonce], MAIN_ADDRESS]),
+  address: ENDPOINT_ADDRESS,
+  index: logIndex + 1
+}];
+
+describe('API', () => {
+  let main;
+  let server;
+  let baseUrl;
+
+  const get = async path => {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    await startDatabase();
+    await resetDatabase();
+
+    const blockchain = require('../src/services/blockchain');
+    main = new TestChain(require('../src/config/mainChainABI.json'), MAIN_ADDRESS);
+    useChains(blockchain, { polygon: main });
+
+    main.emit('CampaignCreated', [1, CREATOR], 2);
+    main.emit('CampaignCreated', [2, CREATOR], 3);
+    main.emit('CampaignCreated', [3, CREATOR], 4);
+    main.emit('DonationMade', [1, DONOR, usd(100)], 6);
+    main.emit('DonationMade', [1, OTHER_DONOR, usd(20)], 7);
+    main.emit('DonationMade', [1, REMOTE_ADDRESS, usd(5)], 8, { receiptLogs: deliveredFromBase(1) });
+    main.emit('DonationMade', [2, DONOR, usd(30)], 9);
+    main.emit('FeaturedCampaignSet', [2], 10);
+    main.head = 40;
+    await blockchain.indexNetwork('polygon', 1, 40);
+
+    const app = require('../src/api');
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  describe('campaign donations', () => {
+    it('clamps limit and page instead of failing on out-of-range values', async () => {
+      const negative = await get('/api/campaigns/1/donations?limit=-5&page=-1');
+      assert.equal(negative.status, 200);
+      assert.deepEqual(negative.body.pagination, { total: 3, page: 1, limit: 1, totalPages: 3 });
+      assert.equal(negative.body.donations.length, 1);
+
+      const huge = await get('/api/campaigns/1/donations?limit=100000');
+      assert.equal(huge.body.pagination.limit, 100);
+    });
+
+    it('rejects sort names it does not define, inherited ones included', async () => {
+      for (const sort of ['constructor', 'toString', '__proto__', 'sideways']) {
+        const response = await get(`/api/campaigns/1/donations?sort=${sort}`);
+        assert.equal(response.status, 400, sort);
+      }
+      assert.equal((await get('/api/campaigns/1/donations?sort=newest&sort=oldest')).status, 400);
+
+      const largest = await get('/api/campaigns/1/donations?sort=largest');
+      assert.deepEqual(largest.body.donations.map(donation => donation.amount), [100, 20, 5]);
+    });
+
+    it('filters by the chain the donor gave on', async () => {
+      const base = await get('/api/campaigns/1/donations?chain=base');
+      const polygon = await get('/api/campaigns/1/donations?chain=polygon');
+
+      assert.deepEqual(base.body.donations.map(donation => [donation.amount, donation.chain]), [[5, 'polygon']]);
+      assert.equal(polygon.body.pagination.total, 2);
+    });
+
+    it('clamps the top donors limit', async () => {
+      const response = await get('/api/campaigns/1/top-donors?limit=-5');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.length, 1);
+      assert.equal(response.body[0].donor, DONOR);
+    });
+  });
+
+  describe('stats time series', () => {
+    it('rejects intervals it does not define, inherited and repeated ones included', async () => {
+      for (const query of ['interval=constructor', 'interval=toString', 'interval=hasOwnProperty', 'interval=day&interval=week']) {
+        const response = await get(`/api/stats/timeseries?${query}`);
+        assert.equal(response.status, 400, query);
+      }
+    });
+
+    it('returns a bucket for every day of the range', async () => {
+      const response = await get('/api/stats/timeseries?interval=day&from=2023-11-13&to=2023-11-15');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.series.map(bucket => [bucket.date, bucket.donationCount, bucket.campaignsCreated]), [
+        ['2023-11-13', 0, 0],
+        ['2023-11-14', 4, 3],
+        ['2023-11-15', 0, 0]
+      ]);
+    });
+  });
+
+  describe('campaign search', () => {
+    it('clamps limit and page instead of failing on out-of-range values', async () => {
+      const response = await get('/api/campaigns/search?query=campaign&limit=-1&page=0');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.pagination, { total: 3, page: 1, limit: 1, totalPages: 3 });
+      assert.equal(response.body.campaigns.length, 1);
+    });
+
+    it('selects campaigns by the chain their donors gave on', async () => {
+      const ids = async chain => (await get(`/api/campaigns/search?chain=${chain}`)).body.campaigns
+        .map(campaign => campaign.id)
+        .sort();
+
+      assert.deepEqual(await ids('base'), ['1']);
+      assert.deepEqual(await ids('polygon'), ['1', '2']);
+      assert.deepEqual(await ids('arbitrum'), []);
+    });
+  });
+
+  describe('campaign listing', () => {
+    it('rejects sort names it does not define, inherited and repeated ones included', async () => {
+      for (const query of ['sort=constructor', 'sort=toString', 'sort=__proto__', 'sort=newest&sort=oldest']) {
+        const response = await get(`/api/campaigns?${query}`);
+        assert.equal(response.status, 400, query);
+      }
+    });
+
+    it('clamps limit and page instead of failing on out-of-range values', async () => {
+      const negative = await get('/api/campaigns?limit=-1&page=0');
+      assert.equal(negative.status, 200);
+      assert.deepEqual(negative.body.pagination, { total: 3, page: 1, limit: 1, totalPages: 3 });
+
+      const huge = await get('/api/campaigns?limit=100000');
+      assert.equal(huge.body.pagination.limit, 100);
+    });
+
+    it('sorts by amount raised and by donor count', async () => {
+      const ids = async sort => (await get(`/api/campaigns?sort=${sort}`)).body.campaigns.map(campaign => campaign.id);
+
+      assert.deepEqual(await ids('most_raised'), ['1', '2', '3']);
+      assert.deepEqual(await ids('most_donors'), ['1', '2', '3']);
+    });
+  });
+
+  describe('featured campaign', () => {
+    it('serves the indexed campaign while the index keeps up', async () => {
+      const response = await get('/api/campaigns/featured');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.campaign.id, '2');
+      assert.equal(response.body.source, 'index');
+    });
+
+    it('reads the contract when the index lags far behind the head', async () => {
+      main.head = 1000;
+      main.contract.featuredCampaignId = async () => 3n;
+      const response = await get('/api/campaigns/featured');
+
+      assert.equal(response.body.campaign.id, '3');
+      assert.equal(response.body.source, 'contract');
+    });
+
+    it('falls back to the indexed campaign when the RPC fails', async () => {
+      main.head = 1000;
+      main.contract.featuredCampaignId = async () => {
+        throw new Error('could not detect network');
+      };
+      const response = await get('/api/campaigns/featured');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.campaign.id, '2');
+      assert.equal(response.body.source, 'index');
+    });
+  });
+});
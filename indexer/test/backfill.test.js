@@ -0,0 +1,110 @@
+// test/backfill.test.js
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ethers = require('ethers');
+const { startDatabase, resetDatabase, indexedRows } = require('./helpers/database');
+const { TestChain, useChains } = require('./helpers/chain');
+
+const MAIN_ADDRESS = '0x00000000000000000000000000000000000000aa';
+const CREATOR = '0x00000000000000000000000000000000000000c1';
+const DONOR = '0x00000000000000000000000000000000000000d1';
+const TOKEN = '0x00000000000000000000000000000000000000e1';
+
+process.env.POLYGON_CONTRACT_ADDRESS = MAIN_ADDRESS;
+process.env.POLYGON_CONFIRMATIONS = '10';
+
+const usd = amount => ethers.parseUnits(String(amount), 8);
+
+describe('backfill queue', () => {
+  let db;
+  let blockchain;
+  let backfill;
+  let main;
+
+  const jobs = async () => (await db.query(
+    'SELECT status, next_block, attempts, last_error FROM backfill_jobs ORDER BY id'
+  )).rows;
+
+  const parkedEvents = async () => (await db.query(
+    'SELECT block_number, event FROM parked_events ORDER BY block_number, log_index'
+  )).rows.map(row => [Number(row.block_number), row.event.name]);
+
+  before(async () => {
+    await startDatabase();
+    db = require('../src/db');
+    blockchain = require('../src/services/blockchain');
+    backfill = require('../src/services/backfill');
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    main = new TestChain(require('../src/config/mainChainABI.json'), MAIN_ADDRESS);
+    main.maxLogRange = 5;
+    useChains(blockchain, { polygon: main });
+
+    main.emit('CampaignCreated', [1, CREATOR], 5);
+    main.emit('WithdrawalRequested', [7, CREATOR, usd(40), TOKEN, 137], 12);
+    main.emit('DonationMade', [1, DONOR, usd(100)], 25);
+    main.emit('CampaignEdited', [1], 26);
+    main.emit('WithdrawalProcessed', [7, CREATOR, usd(40), TOKEN, 137], 28);
+    main.head = 40;
+  });
+
+  it('parks events that arrive before the skipped blocks they depend on', async () => {
+    await backfill.enqueueBackfill('polygon', 1, 19);
+    await blockchain.indexNetwork('polygon', 20, 40);
+    const { donations, withdrawals } = await indexedRows();
+
+    assert.deepEqual(await parkedEvents(), [[25, 'DonationMade'], [26, 'CampaignEdited'], [28, 'WithdrawalProcessed']]);
+    assert.deepEqual(donations, []);
+    assert.deepEqual(withdrawals, []);
+  });
+
+  it('indexes the queued range and then applies the parked events in order', async () => {
+    await backfill.enqueueBackfill('polygon', 1, 19);
+    await blockchain.indexNetwork('polygon', 20, 40);
+
+    const { chunksProcessed } = await backfill.processBackfillJobs({ maxChunks: 100 });
+    const backfilled = await indexedRows();
+
+    assert.equal(chunksProcessed, 4);
+    assert.deepEqual(await jobs(), [{ status: 'completed', next_block: '20', attempts: 0, last_error: null }]);
+    assert.deepEqual(await parkedEvents(), []);
+
+    await resetDatabase();
+    await blockchain.indexNetwork('polygon', 1, 40);
+
+    assert.deepEqual(backfilled, await indexedRows());
+    assert.equal(backfilled.withdrawals[0].status, 'Processed');
+  });
+
+  it('stops after the chunk budget of a run and resumes where it left off', async () => {
+    await backfill.enqueueBackfill('polygon', 1, 19);
+
+    assert.equal((await backfill.processBackfillJobs({ maxChunks: 2 })).chunksProcessed, 2);
+    assert.deepEqual((await jobs()).map(job => [job.status, job.next_block]), [['running', '11']]);
+
+    assert.equal((await backfill.processBackfillJobs({ maxChunks: 2 })).chunksProcessed, 2);
+    assert.deepEqual((await jobs()).map(job => [job.status, job.next_block]), [['completed', '20']]);
+  });
+
+  it('keeps a failing job queued and parks it as failed after repeated errors', async () => {
+    await backfill.enqueueBackfill('polygon', 1, 19);
+    main.provider.getLogs = async () => {
+      throw new Error('missing trie node');
+    };
+
+    await backfill.processBackfillJobs();
+    assert.deepEqual((await jobs()).map(job => [job.status, job.attempts]), [['pending', 1]]);
+
+    for (let run = 0; run < 4; run++) {
+      await backfill.processBackfillJobs();
+    }
+    const [job] = await jobs();
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, 5);
+    assert.match(job.last_error, /missing trie node/);
+    assert.equal((await backfill.processBackfillJobs()).chunksProcessed, 0);
+  });
+});
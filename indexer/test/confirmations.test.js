@@ -0,0 +1,86 @@
+// test/confirmations.test.js
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ethers = require('ethers');
+const { startDatabase, resetDatabase, indexedRows } = require('./helpers/database');
+const { TestChain, useChains } = require('./helpers/chain');
+
+const MAIN_ADDRESS = '0x00000000000000000000000000000000000000aa';
+const CREATOR = '0x00000000000000000000000000000000000000c1';
+const DONOR = '0x00000000000000000000000000000000000000d1';
+const LATE_DONOR = '0x00000000000000000000000000000000000000d2';
+
+process.env.POLYGON_CONTRACT_ADDRESS = MAIN_ADDRESS;
+process.env.POLYGON_CONFIRMATIONS = '10';
+
+const usd = amount => ethers.parseUnits(String(amount), 8);
+
+describe('confirmation promotion', () => {
+  let db;
+  let blockchain;
+  let main;
+
+  const statuses = async table => (await db.query(
+    `SELECT block_number, confirmation_status FROM ${table} ORDER BY block_number, log_index`
+  )).rows.map(row => [Number(row.block_number), row.confirmation_status]);
+
+  before(async () => {
+    await startDatabase();
+    db = require('../src/db');
+    blockchain = require('../src/services/blockchain');
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    main = new TestChain(require('../src/config/mainChainABI.json'), MAIN_ADDRESS);
+    useChains(blockchain, { polygon: main });
+
+    main.emit('CampaignCreated', [1, CREATOR], 3);
+    main.emit('DonationMade', [1, DONOR, usd(100)], 8);
+    main.emit('DonationMade', [1, LATE_DONOR, usd(50)], 35);
+    main.head = 40;
+  });
+
+  it('keeps rows inside the confirmation window pending and out of the totals', async () => {
+    await blockchain.indexNetwork('polygon', 1, 40);
+    const { campaigns, donorTotals, dailyStats } = await indexedRows();
+
+    assert.deepEqual(await statuses('donations'), [[8, 'confirmed'], [35, 'pending']]);
+    assert.deepEqual(await statuses('transactions'), [[3, 'confirmed'], [8, 'confirmed'], [35, 'pending']]);
+    assert.equal(Number(campaigns[0].amount_raised), 100);
+    assert.equal(Number(campaigns[0].amount_pending), 50);
+    assert.deepEqual(donorTotals.map(row => row.donor), [DONOR]);
+    assert.equal(dailyStats.reduce((sum, row) => sum + Number(row.donation_count), 0), 1);
+  });
+
+  it('promotes pending rows once the head moves past their window', async () => {
+    await blockchain.indexNetwork('polygon', 1, 40);
+
+    main.head = 45;
+    await blockchain.indexNetwork('polygon', 41, 45);
+    assert.deepEqual(await statuses('donations'), [[8, 'confirmed'], [35, 'confirmed']]);
+    const promoted = await indexedRows();
+
+    // The same chain indexed once everything was final
+    await resetDatabase();
+    await blockchain.indexNetwork('polygon', 1, 45);
+
+    assert.deepEqual(promoted, await indexedRows());
+    assert.equal(Number(promoted.campaigns[0].amount_raised), 150);
+    assert.equal(Number(promoted.campaigns[0].amount_pending), 0);
+    assert.deepEqual(promoted.donorTotals.map(row => row.donor), [DONOR, LATE_DONOR]);
+  });
+
+  it('drops pending rows a reorg orphans without touching the totals', async () => {
+    await blockchain.indexNetwork('polygon', 1, 40);
+
+    main.reorg(32);
+    main.head = 45;
+    await blockchain.indexNetwork('polygon', 41, 45);
+    const { campaigns, donations } = await indexedRows();
+
+    assert.equal(donations.length, 1);
+    assert.equal(Number(campaigns[0].amount_raised), 100);
+    assert.equal(Number(campaigns[0].amount_pending), 0);
+  });
+});
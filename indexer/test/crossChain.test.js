@@ -0,0 +1,170 @@
+// test/crossChain.test.js
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ethers = require('ethers');
+const { startDatabase, resetDatabase } = require('./helpers/database');
+const { TestChain, useChains } = require('./helpers/chain');
+
+const MAIN_ADDRESS = '0x00000000000000000000000000000000000000aa';
+// The same FunditRemote address on every remote chain
+const REMOTE_ADDRESS = '0x00000000000000000000000000000000000000bb';
+const ENDPOINT_ADDRESS = '0x00000000000000000000000000000000000000ee';
+const CREATOR = '0x00000000000000000000000000000000000000c1';
+const ALICE = '0x00000000000000000000000000000000000000a1';
+const BOB = '0x00000000000000000000000000000000000000b1';
+
+const POLYGON_EID = 30109;
+const BASE_EID = 30184;
+const ARBITRUM_EID = 30110;
+
+process.env.POLYGON_CONTRACT_ADDRESS = MAIN_ADDRESS;
+process.env.POLYGON_CONFIRMATIONS = '10';
+process.env.BASE_CONTRACT_ADDRESS = REMOTE_ADDRESS;
+process.env.ARBITRUM_CONTRACT_ADDRESS = REMOTE_ADDRESS;
+
+const usd = amount => ethers.parseUnits(String(amount), 8);
+
+const endpoint = new ethers.Interface([
+  'event PacketSent(bytes encodedPayload, bytes options, address sendLibrary)',
+  'event PacketDelivered((uint32 srcEid, bytes32 sender, uint64 nonce) origin, address receiver)'
+]);
+
+// Receipt logs of a delivery: the endpoint reports the packet after `lzReceive` emitted the donation
+const deliveredFrom = (srcEid, nonce) => logIndex => [{
+  ...endpoint.encodeEventLog('PacketDelivered', [[srcEid, ethers.zeroPadValue(REMOTE_ADDRESS, 32), nonce], MAIN_ADDRESS]),
+  address: ENDPOINT_ADDRESS,
+  index: logIndex + 1
+}];
+
+// Receipt logs of a relay from Base: the endpoint reports the encoded packet it sent
+const sentFromBase = nonce => logIndex => [{
+  ...endpoint.encodeEventLog('PacketSent', [
+    ethers.solidityPacked(
+      ['uint8', 'uint64', 'uint32', 'bytes32', 'uint32', 'bytes32', 'bytes32'],
+      [1, nonce, BASE_EID, ethers.zeroPadValue(REMOTE_ADDRESS, 32), POLYGON_EID, ethers.zeroPadValue(MAIN_ADDRESS, 32), ethers.id(`guid-${nonce}`)]
+    ),
+    '0x',
+    ENDPOINT_ADDRESS
+  ]),
+  address: ENDPOINT_ADDRESS,
+  index: logIndex + 1
+}];
+
+describe('cross-chain correlation', () => {
+  let db;
+  let blockchain;
+  let main;
+  let base;
+
+  const donations = async () => (await db.query(
+    `SELECT LOWER(d.donor) AS donor, d.amount, d.source_chain, rd.chain AS remote_chain, rd.donation_id
+     FROM donations d LEFT JOIN remote_donations rd ON rd.id = d.remote_donation_id
+     ORDER BY d.block_number, d.log_index`
+  )).rows;
+
+  before(async () => {
+    await startDatabase();
+    db = require('../src/db');
+    blockchain = require('../src/services/blockchain');
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    main = new TestChain(require('../src/config/mainChainABI.json'), MAIN_ADDRESS);
+    base = new TestChain(require('../src/config/remoteChainABI.json'), REMOTE_ADDRESS);
+    useChains(blockchain, { polygon: main, base });
+
+    main.emit('CampaignCreated', [1, CREATOR], 2);
+    base.emit('DonationMade', [0, 1, ALICE, usd(10)], 5);
+    base.emit('DonationMade', [1, 1, BOB, usd(10)], 7);
+    main.head = 40;
+    base.head = 40;
+  });
+
+  it('pairs deliveries with the relay that sent their packet', async () => {
+    base.emit('DonationRelayed', [0, POLYGON_EID], 5, { receiptLogs: sentFromBase(1) });
+    base.emit('DonationRelayed', [1, POLYGON_EID], 7, { receiptLogs: sentFromBase(2) });
+    main.emit('DonationMade', [1, REMOTE_ADDRESS, usd(10)], 20, { receiptLogs: deliveredFrom(BASE_EID, 1) });
+    main.emit('DonationMade', [1, REMOTE_ADDRESS, usd(10)], 21, { receiptLogs: deliveredFrom(BASE_EID, 2) });
+
+    await blockchain.indexBlockRange('base', 1, 10);
+    await blockchain.indexBlockRange('polygon', 1, 30);
+
+    const rows = await donations();
+    assert.deepEqual(rows.map(row => [row.donor, row.source_chain, row.remote_chain, row.donation_id]), [
+      [ALICE, 'base', 'base', '0'],
+      [BOB, 'base', 'base', '1']
+    ]);
+
+    const donors = await db.query('SELECT donor FROM donor_totals ORDER BY donor');
+    assert.deepEqual(donors.rows.map(row => row.donor), [ALICE, BOB]);
+
+    const users = await db.query(
+      "SELECT LOWER(user_address) AS user_address FROM transactions WHERE type = 'Donation' ORDER BY block_number"
+    );
+    assert.deepEqual(users.rows.map(row => row.user_address), [ALICE, BOB]);
+  });
+
+  it('tells equal donations relayed in one block apart by nonce, not by donation id', async () => {
+    // Bob's donation is relayed first, so its packet carries the lower nonce
+    base.emit('DonationRelayed', [1, POLYGON_EID], 8, { receiptLogs: sentFromBase(1) });
+    base.emit('DonationRelayed', [0, POLYGON_EID], 8, { receiptLogs: sentFromBase(2) });
+    main.emit('DonationMade', [1, REMOTE_ADDRESS, usd(10)], 20, { receiptLogs: deliveredFrom(BASE_EID, 1) });
+    main.emit('DonationMade', [1, REMOTE_ADDRESS, usd(10)], 21, { receiptLogs: deliveredFrom(BASE_EID, 2) });
+
+    await blockchain.indexBlockRange('base', 1, 10);
+    await blockchain.indexBlockRange('polygon', 1, 30);
+
+    const rows = await donations();
+    assert.deepEqual(rows.map(row => [row.donor, row.donation_id]), [[BOB, '1'], [ALICE, '0']]);
+  });
+
+  it('falls back to send order for relays indexed without a nonce', async () => {
+    base.emit('DonationRelayed', [0, POLYGON_EID], 5);
+    base.emit('DonationRelayed', [1, POLYGON_EID], 7);
+    main.emit('DonationMade', [1, REMOTE_ADDRESS, usd(10)], 20, { receiptLogs: deliveredFrom(BASE_EID, 1) });
+    main.emit('DonationMade', [1, REMOTE_ADDRESS, usd(10)], 21, { receiptLogs: deliveredFrom(BASE_EID, 2) });
+
+    await blockchain.indexBlockRange('base', 1, 10);
+    await blockchain.indexBlockRange('polygon', 1, 30);
+
+    const rows = await donations();
+    assert.deepEqual(rows.map(row => [row.donor, row.donation_id]), [[ALICE, '0'], [BOB, '1']]);
+  });
+
+  it('takes the source chain from the endpoint id, not the shared remote address', async () => {
+    base.emit('DonationRelayed', [0, POLYGON_EID], 5, { receiptLogs: sentFromBase(1) });
+    main.emit('DonationMade', [1, REMOTE_ADDRESS, usd(10)], 20, { receiptLogs: deliveredFrom(ARBITRUM_EID, 1) });
+    main.emit('DonationMade', [1, REMOTE_ADDRESS, usd(10)], 21, { receiptLogs: deliveredFrom(BASE_EID, 1) });
+
+    await blockchain.indexBlockRange('base', 1, 10);
+    await blockchain.indexBlockRange('polygon', 1, 30);
+
+    const rows = await donations();
+    assert.deepEqual(rows.map(row => [row.donor, row.source_chain, row.remote_chain]), [
+      [REMOTE_ADDRESS, 'arbitrum', null],
+      [ALICE, 'base', 'base']
+    ]);
+  });
+
+  it('links new deliveries behind more unmatched ones than a page holds', async () => {
+    base.emit('DonationRelayed', [0, POLYGON_EID], 5, { receiptLogs: sentFromBase(1) });
+    await blockchain.indexBlockRange('base', 1, 10);
+    await blockchain.indexBlockRange('polygon', 1, 10);
+
+    // Deliveries whose remote chain is not indexed that far yet
+    await db.query(
+      `INSERT INTO donations (campaign_id, donor, amount, timestamp, chain, tx_hash, block_number, log_index,
+         source_chain, relayer_address)
+       SELECT '1', $1, 10, NOW(), 'polygon', 'unmatched-' || n, 4, n, 'arbitrum', $1
+       FROM generate_series(1, 600) AS n`,
+      [REMOTE_ADDRESS]
+    );
+
+    main.emit('DonationMade', [1, REMOTE_ADDRESS, usd(10)], 20, { receiptLogs: deliveredFrom(BASE_EID, 1) });
+    await blockchain.indexBlockRange('polygon', 11, 30);
+
+    const linked = await db.query('SELECT LOWER(donor) AS donor FROM donations WHERE remote_donation_id IS NOT NULL');
+    assert.deepEqual(linked.rows.map(row => row.donor), [ALICE]);
+  });
+});
@@ -0,0 +1,115 @@
+// test/failoverProvider.test.js
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startDatabase, resetDatabase } = require('./helpers/database');
+const { TestChain, useChains } = require('./helpers/chain');
+
+const MAIN_ADDRESS = '0x00000000000000000000000000000000000000aa';
+const CREATOR = '0x00000000000000000000000000000000000000c1';
+
+process.env.POLYGON_CONTRACT_ADDRESS = MAIN_ADDRESS;
+
+// Two plans of one provider: same host, different keys and range limits
+const SMALL_PLAN_URL = 'https://rpc.example.com/v2/small-key';
+const LARGE_PLAN_URL = 'https://rpc.example.com/v2/large-key';
+
+// Endpoint answering eth_getLogs for ranges up to `rangeLimit` blocks
+function stubEndpoint(endpoint, rangeLimit) {
+  endpoint.calls = [];
+  endpoint.provider = {
+    send: async () => '0x89',
+    getBlockNumber: async () => 100000,
+    _perform: async req => {
+      const span = parseInt(req.filter.toBlock, 16) - parseInt(req.filter.fromBlock, 16) + 1;
+      endpoint.calls.push(span);
+      if (span > rangeLimit) {
+        throw new Error(`query exceeds max block range ${rangeLimit}`);
+      }
+      return [];
+    },
+    destroy: () => {}
+  };
+}
+
+const getLogs = (provider, fromBlock, toBlock) => provider._perform({
+  method: 'getLogs',
+  filter: { fromBlock: `0x${fromBlock.toString(16)}`, toBlock: `0x${toBlock.toString(16)}` }
+});
+
+describe('RPC range limits', () => {
+  let FailoverProvider;
+  let isRangeLimitError;
+
+  before(async () => {
+    await startDatabase();
+    ({ FailoverProvider, isRangeLimitError } = require('../src/services/failoverProvider'));
+  });
+
+  beforeEach(resetDatabase);
+
+  it('tells range and result-size errors from rate limits', () => {
+    [
+      'query returned more than 10000 results',
+      'Log response size exceeded',
+      'eth_getLogs is limited to a 10,000 range',
+      'exceed maximum block range: 1000',
+      'block range is too wide'
+    ].forEach(message => assert.equal(isRangeLimitError(new Error(message)), true, message));
+
+    [
+      'exceeded the rate limit',
+      'Your app has exceeded its compute units per second capacity',
+      'Monthly capacity limit exceeded'
+    ].forEach(message => assert.equal(isRangeLimitError(new Error(message)), false, message));
+  });
+
+  it('halves the range of an endpoint that refuses it and fails over for the request', async () => {
+    const provider = new FailoverProvider('polygon', [SMALL_PLAN_URL, LARGE_PLAN_URL], 137);
+    const [small, large] = provider.endpoints;
+    stubEndpoint(small, 300);
+    stubEndpoint(large, 10000);
+
+    await getLogs(provider, 1, 1000);
+
+    assert.deepEqual(small.calls, [1000]);
+    assert.deepEqual(large.calls, [1000]);
+    assert.equal(small.maxLogRange, 500);
+    assert.equal(small.consecutiveFailures, 0);
+  });
+
+  it('keeps learned ranges per network and endpoint URL, not per host', async () => {
+    const provider = new FailoverProvider('polygon', [SMALL_PLAN_URL, LARGE_PLAN_URL], 137);
+    stubEndpoint(provider.endpoints[0], 300);
+    stubEndpoint(provider.endpoints[1], 10000);
+    await getLogs(provider, 1, 1000);
+
+    const restarted = new FailoverProvider('polygon', [LARGE_PLAN_URL, SMALL_PLAN_URL], 137);
+    const otherNetwork = new FailoverProvider('base', [SMALL_PLAN_URL], 8453);
+    await restarted.loadRangeLimits();
+    await otherNetwork.loadRangeLimits();
+
+    assert.deepEqual(restarted.endpoints.map(endpoint => endpoint.maxLogRange), [10000, 500]);
+    assert.equal(otherNetwork.endpoints[0].maxLogRange, 10000);
+  });
+
+  it('splits a refused block range until every piece is accepted', async () => {
+    const blockchain = require('../src/services/blockchain');
+    const main = new TestChain(require('../src/config/mainChainABI.json'), MAIN_ADDRESS);
+    useChains(blockchain, { polygon: main });
+
+    main.emit('CampaignCreated', [1, CREATOR], 3);
+    main.emit('CampaignCreated', [2, CREATOR], 64);
+    main.emit('CampaignCreated', [3, CREATOR], 100);
+    main.head = 200;
+    main.maxLogRange = 100;
+    main.logRangeLimit = 30;
+
+    const { events } = await blockchain.fetchRangeChanges('polygon', 1, 100);
+    const accepted = main.getLogsCalls.filter(([fromBlock, toBlock]) => toBlock - fromBlock + 1 <= 30);
+
+    assert.deepEqual(events.map(event => event.args.campaignId), ['1', '2', '3']);
+    assert.equal(accepted[0][0], 1);
+    assert.equal(accepted[accepted.length - 1][1], 100);
+    accepted.slice(1).forEach(([fromBlock], index) => assert.equal(fromBlock, accepted[index][1] + 1));
+  });
+});
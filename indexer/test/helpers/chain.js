@@ -0,0 +1,137 @@
+// test/helpers/chain.js
+const ethers = require('ethers');
+
+const GENESIS_TIMESTAMP = 1700000000;
+const BLOCK_TIME = 12;
+
+/**
+ * In-memory chain answering the calls the indexer makes through its provider
+ * and contract. Events are encoded on the fly, so a reorg simply replaces the
+ * blocks from a height on with a new fork and drops their events.
+ */
+class TestChain {
+  constructor(abi, address) {
+    this.interface = new ethers.Interface(abi);
+    this.address = address;
+    this.head = 0;
+    this.events = [];
+    this.forks = [0];
+    this.receiptLogs = new Map();
+    this.maxLogRange = 1000;
+    this.logRangeLimit = Infinity;
+    this.getLogsCalls = [];
+
+    this.provider = {
+      maxLogRange: () => this.maxLogRange,
+      getBlockNumber: async () => this.head,
+      // Head the failover provider last saw, never considered recent here
+      bestBlockNumber: () => this.head,
+      headUpdatedAt: 0,
+      getBlock: async blockNumber => this.block(blockNumber),
+      getLogs: async filter => this.getLogs(filter),
+      getTransactionReceipt: async txHash => ({
+        status: 1,
+        logs: this.receiptLogs.get(txHash) || []
+      })
+    };
+
+    this.contract = {
+      interface: this.interface,
+      getAddress: async () => this.address,
+      usernames: async () => '',
+      featuredCampaignId: async () => 0n,
+      campaigns: async campaignId => this.campaign(campaignId)
+    };
+  }
+
+  // Fork a block belongs to, the latest fork starting at or below it
+  forkOf(blockNumber) {
+    let fork = 0;
+    this.forks.forEach((fromBlock, index) => {
+      if (fromBlock <= blockNumber) {
+        fork = index;
+      }
+    });
+    return fork;
+  }
+
+  blockHash(blockNumber) {
+    return ethers.id(`fork-${this.forkOf(blockNumber)}-block-${blockNumber}`);
+  }
+
+  block(blockNumber) {
+    return {
+      number: blockNumber,
+      hash: this.blockHash(blockNumber),
+      parentHash: this.blockHash(blockNumber - 1),
+      timestamp: GENESIS_TIMESTAMP + blockNumber * BLOCK_TIME,
+      prefetchedTransactions: []
+    };
+  }
+
+  // Add an event in a new transaction of its block, returns the transaction hash
+  emit(name, args, blockNumber, { receiptLogs } = {}) {
+    const logIndex = this.events.filter(event => event.blockNumber === blockNumber).length;
+    const transactionHash = ethers.id(`fork-${this.forkOf(blockNumber)}-block-${blockNumber}-log-${logIndex}`);
+
+    this.events.push({ name, args, blockNumber, logIndex, transactionHash });
+    this.head = Math.max(this.head, blockNumber);
+    if (receiptLogs) {
+      this.receiptLogs.set(transactionHash, receiptLogs(logIndex));
+    }
+    return transactionHash;
+  }
+
+  // Replace every block from `fromBlock` on with a new fork without events
+  reorg(fromBlock) {
+    this.forks.push(fromBlock);
+    this.events = this.events.filter(event => event.blockNumber < fromBlock);
+  }
+
+  // Refuses ranges over `logRangeLimit` blocks the way RPC providers do, whatever `maxLogRange` claims
+  getLogs(filter) {
+    this.getLogsCalls.push([filter.fromBlock, filter.toBlock]);
+    if (filter.toBlock - filter.fromBlock + 1 > this.logRangeLimit) {
+      throw new Error(`block range is too large, limited to ${this.logRangeLimit} blocks`);
+    }
+
+    const topics = filter.topics[0];
+    return this.events
+      .filter(event => event.blockNumber >= filter.fromBlock && event.blockNumber <= filter.toBlock)
+      .map(event => ({
+        ...this.interface.encodeEventLog(event.name, event.args),
+        address: this.address,
+        blockNumber: event.blockNumber,
+        blockHash: this.blockHash(event.blockNumber),
+        transactionHash: event.transactionHash,
+        index: event.logIndex
+      }))
+      .filter(log => topics.includes(log.topics[0]));
+  }
+
+  campaign(campaignId) {
+    return {
+      name: `Campaign ${campaignId}`,
+      target: ethers.parseUnits('1000', 8),
+      description: '',
+      socialLink: '',
+      imageId: 0n,
+      creator: ethers.ZeroAddress,
+      ended: false,
+      totalStable: 0n
+    };
+  }
+}
+
+// Plug test chains into the indexer in place of the configured RPC endpoints
+function useChains(blockchain, chains) {
+  Object.entries(chains).forEach(([network, chain]) => {
+    blockchain.providers[network] = chain.provider;
+    blockchain.contracts[network] = chain.contract;
+  });
+}
+
+module.exports = {
+  TestChain,
+  useChains
+};
@@ -0,0 +1,80 @@
+// test/helpers/database.js
+const { PGlite } = require('@electric-sql/pglite');
+const { pg_trgm } = require('@electric-sql/pglite/contrib/pg_trgm');
+const { PGLiteSocketServer } = require('@electric-sql/pglite-socket');
+
+/**
+ * Tests run against the Postgres in TEST_DATABASE_URL, whose tables they empty,
+ * or else against an in-memory PGlite served over the wire protocol, so the
+ * real `pg` driver is used either way. Call it before anything loads src/db,
+ * which reads DATABASE_URL once.
+ */
+async function startDatabase() {
+  if (process.env.TEST_DATABASE_URL) {
+    process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+  } else {
+    const server = new PGLiteSocketServer({
+      db: new PGlite({ extensions: { pg_trgm } }),
+      port: 0,
+      maxConnections: 20
+    });
+    await server.start();
+    process.env.DATABASE_URL = `postgres://postgres@${server.getServerConn()}/postgres?sslmode=disable`;
+  }
+
+  const { runMigrations } = require('../../src/db/migrations');
+  await runMigrations();
+}
+
+// Empty every table except the migration log
+async function resetDatabase() {
+  const db = require('../../src/db');
+  const tables = await db.query(
+    `SELECT tablename FROM pg_tables WHERE schemaname = 'public' AND tablename <> 'migrations'`
+  );
+  await db.query(`TRUNCATE ${tables.rows.map(row => `"${row.tablename}"`).join(', ')} RESTART IDENTITY CASCADE`);
+}
+
+// Everything the indexer derives from chain data, without ids and bookkeeping
+// timestamps, so two ways of indexing the same chain can be compared
+async function indexedRows() {
+  const db = require('../../src/db');
+  const select = async text => (await db.query(text)).rows;
+
+  return {
+    campaigns: await select(
+      `SELECT id, name, target_amount, amount_raised, amount_pending, donor_count, ended, chain, block_number
+       FROM campaigns ORDER BY id`
+    ),
+    donations: await select(
+      `SELECT chain, tx_hash, log_index, campaign_id, donor, amount, block_number, timestamp,
+         source_chain, source_tx_hash, relayer_address, confirmation_status
+       FROM donations ORDER BY chain, block_number, log_index`
+    ),
+    transactions: await select(
+      `SELECT chain, tx_hash, log_index, type, user_address, campaign_id, amount, target_amount, block_number, timestamp
+       FROM transactions ORDER BY chain, block_number, log_index`
+    ),
+    withdrawals: await select(
+      `SELECT id, status, amount, block_number, processed_block_number, processed_tx_hash, processed_log_index
+       FROM withdrawals ORDER BY id`
+    ),
+    remoteDonations: await select(
+      `SELECT chain, donation_id, campaign_id, donor, amount, relay_status, relayed_block_number
+       FROM remote_donations ORDER BY chain, donation_id`
+    ),
+    dailyStats: await select(
+      `SELECT day, chain, donation_count, amount_raised, campaigns_created, withdrawals_processed
+       FROM daily_stats ORDER BY day, chain`
+    ),
+    donorTotals: await select(
+      'SELECT donor, donation_count, total_donated FROM donor_totals ORDER BY donor'
+    )
+  };
+}
+
+module.exports = {
+  startDatabase,
+  resetDatabase,
+  indexedRows
+};
@@ -0,0 +1,79 @@
+// test/ingestion.test.js
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ethers = require('ethers');
+const { startDatabase, resetDatabase, indexedRows } = require('./helpers/database');
+const { TestChain, useChains } = require('./helpers/chain');
+
+const MAIN_ADDRESS = '0x00000000000000000000000000000000000000aa';
+const CREATOR = '0x00000000000000000000000000000000000000c1';
+const DONOR = '0x00000000000000000000000000000000000000d1';
+const TOKEN = '0x00000000000000000000000000000000000000e1';
+
+process.env.POLYGON_CONTRACT_ADDRESS = MAIN_ADDRESS;
+process.env.POLYGON_CONFIRMATIONS = '10';
+
+const usd = amount => ethers.parseUnits(String(amount), 8);
+
+describe('idempotent ingestion', () => {
+  let blockchain;
+  let main;
+
+  before(async () => {
+    await startDatabase();
+    blockchain = require('../src/services/blockchain');
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    main = new TestChain(require('../src/config/mainChainABI.json'), MAIN_ADDRESS);
+    useChains(blockchain, { polygon: main });
+
+    main.emit('CampaignCreated', [1, CREATOR], 3);
+    main.emit('DonationMade', [1, DONOR, usd(100)], 8);
+    // Two equal donations in one block are told apart by their log index
+    main.emit('DonationMade', [1, DONOR, usd(25)], 15);
+    main.emit('DonationMade', [1, DONOR, usd(25)], 15);
+    main.emit('WithdrawalRequested', [7, CREATOR, usd(40), TOKEN, 137], 18);
+    main.emit('WithdrawalProcessed', [7, CREATOR, usd(40), TOKEN, 137], 22);
+    main.emit('CampaignEdited', [1], 24);
+    main.head = 40;
+  });
+
+  it('re-ingesting a range leaves every row as it was', async () => {
+    await blockchain.indexBlockRange('polygon', 1, 30);
+    const once = await indexedRows();
+
+    await blockchain.indexBlockRange('polygon', 1, 30);
+    const twice = await indexedRows();
+
+    assert.deepEqual(twice, once);
+    assert.equal(once.donations.length, 3);
+    assert.equal(Number(once.campaigns[0].amount_raised), 150);
+    assert.equal(Number(once.donorTotals[0].donation_count), 3);
+  });
+
+  it('overlapping ranges add only the events they have not seen', async () => {
+    await blockchain.indexBlockRange('polygon', 1, 16);
+    await blockchain.indexBlockRange('polygon', 10, 30);
+    const overlapping = await indexedRows();
+
+    await resetDatabase();
+    await blockchain.indexBlockRange('polygon', 1, 30);
+
+    assert.deepEqual(overlapping, await indexedRows());
+  });
+
+  it('replaying chunk by chunk gives the same rows as one pass', async () => {
+    main.maxLogRange = 4;
+    await blockchain.indexBlockRange('polygon', 1, 30);
+    await blockchain.indexBlockRange('polygon', 1, 30);
+    const chunked = await indexedRows();
+
+    await resetDatabase();
+    main.maxLogRange = 1000;
+    await blockchain.indexBlockRange('polygon', 1, 30);
+
+    assert.deepEqual(chunked, await indexedRows());
+  });
+});
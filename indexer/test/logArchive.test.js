@@ -0,0 +1,138 @@
+// test/logArchive.test.js
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+const { startDatabase, resetDatabase, indexedRows } = require('./helpers/database');
+const { TestChain, useChains } = require('./helpers/chain');
+
+const MAIN_ADDRESS = '0x00000000000000000000000000000000000000aa';
+const REMOTE_ADDRESS = '0x00000000000000000000000000000000000000bb';
+const ENDPOINT_ADDRESS = '0x00000000000000000000000000000000000000ee';
+const CREATOR = '0x00000000000000000000000000000000000000c1';
+const DONOR = '0x00000000000000000000000000000000000000d1';
+const REMOTE_DONOR = '0x00000000000000000000000000000000000000a1';
+const TOKEN = '0x00000000000000000000000000000000000000e1';
+
+const POLYGON_EID = 30109;
+const BASE_EID = 30184;
+
+process.env.POLYGON_CONTRACT_ADDRESS = MAIN_ADDRESS;
+process.env.POLYGON_CONFIRMATIONS = '10';
+process.env.BASE_CONTRACT_ADDRESS = REMOTE_ADDRESS;
+process.env.BASE_CONFIRMATIONS = '10';
+process.env.ARCHIVE_BLOCKS_PER_FILE = '20';
+
+const usd = amount => ethers.parseUnits(String(amount), 8);
+
+const endpoint = new ethers.Interface([
+  'event PacketSent(bytes encodedPayload, bytes options, address sendLibrary)',
+  'event PacketDelivered((uint32 srcEid, bytes32 sender, uint64 nonce) origin, address receiver)'
+]);
+
+const endpointLog = (name, args) => logIndex => [{
+  ...endpoint.encodeEventLog(name, args),
+  address: ENDPOINT_ADDRESS,
+  index: logIndex + 1
+}];
+
+describe('log archives', () => {
+  let db;
+  let blockchain;
+  let logArchive;
+  let main;
+  let base;
+  let dir;
+
+  before(async () => {
+    await startDatabase();
+    db = require('../src/db');
+    blockchain = require('../src/services/blockchain');
+    logArchive = require('../src/services/logArchive');
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fundit-archive-'));
+
+    main = new TestChain(require('../src/config/mainChainABI.json'), MAIN_ADDRESS);
+    base = new TestChain(require('../src/config/remoteChainABI.json'), REMOTE_ADDRESS);
+    useChains(blockchain, { polygon: main, base });
+
+    main.emit('CampaignCreated', [1, CREATOR], 3);
+    main.emit('DonationMade', [1, DONOR, usd(100)], 8);
+    main.emit('WithdrawalRequested', [7, CREATOR, usd(40), TOKEN, 137], 18);
+    main.emit('WithdrawalProcessed', [7, CREATOR, usd(40), TOKEN, 137], 22);
+    main.emit('DonationMade', [1, REMOTE_ADDRESS, usd(10)], 26, {
+      receiptLogs: endpointLog('PacketDelivered', [[BASE_EID, ethers.zeroPadValue(REMOTE_ADDRESS, 32), 1], MAIN_ADDRESS])
+    });
+    main.emit('CampaignEnded', [1, usd(110)], 35);
+    main.head = 50;
+
+    base.emit('DonationMade', [0, 1, REMOTE_DONOR, usd(10)], 4);
+    base.emit('DonationRelayed', [0, POLYGON_EID], 6, {
+      receiptLogs: endpointLog('PacketSent', [
+        ethers.solidityPacked(
+          ['uint8', 'uint64', 'uint32', 'bytes32', 'uint32', 'bytes32', 'bytes32'],
+          [1, 1, BASE_EID, ethers.zeroPadValue(REMOTE_ADDRESS, 32), POLYGON_EID, ethers.zeroPadValue(MAIN_ADDRESS, 32), ethers.id('guid')]
+        ),
+        '0x',
+        ENDPOINT_ADDRESS
+      ])
+    });
+    base.head = 50;
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Stand-ins that fail any RPC call, an import must not make one
+  const withoutRpc = () => {
+    const offline = () => {
+      throw new Error('RPC access during import');
+    };
+    const chain = { provider: new Proxy({}, { get: () => offline }), contract: new Proxy({}, { get: () => offline }) };
+    useChains(blockchain, { polygon: chain, base: chain });
+  };
+
+  it('rebuilds the same rows from archives as indexing over RPC, without RPC access', async () => {
+    const empty = await indexedRows();
+    const polygonFiles = await logArchive.exportArchives('polygon', 1, 40, dir);
+    const baseFiles = await logArchive.exportArchives('base', 1, 40, dir);
+
+    // Exporting writes nothing to the database
+    assert.deepEqual(await indexedRows(), empty);
+    assert.equal(polygonFiles.length, 2);
+    assert.equal(baseFiles.length, 2);
+
+    withoutRpc();
+    const summary = await logArchive.importArchives(dir);
+    const imported = await indexedRows();
+    const cursors = await db.query('SELECT chain, last_indexed_block FROM indexer_state ORDER BY chain');
+
+    assert.deepEqual(summary.polygon, { files: 2, skipped: 0, events: 6, lastBlock: 40 });
+    assert.deepEqual(cursors.rows.map(row => [row.chain, Number(row.last_indexed_block)]), [['base', 40], ['polygon', 40]]);
+
+    await resetDatabase();
+    useChains(blockchain, { polygon: main, base });
+    await blockchain.indexNetwork('polygon', 1, 40);
+    await blockchain.indexNetwork('base', 1, 40);
+
+    assert.deepEqual(imported, await indexedRows());
+    assert.equal(imported.donations[1].donor.toLowerCase(), REMOTE_DONOR);
+    assert.equal(imported.withdrawals[0].status, 'Processed');
+  });
+
+  it('skips archives the cursor has passed when run again', async () => {
+    await logArchive.exportArchives('polygon', 1, 40, dir);
+
+    withoutRpc();
+    await logArchive.importArchives(dir, ['polygon']);
+    const once = await indexedRows();
+    const summary = await logArchive.importArchives(dir, ['polygon']);
+
+    assert.deepEqual(summary.polygon, { files: 0, skipped: 2, events: 0, lastBlock: 40 });
+    assert.deepEqual(await indexedRows(), once);
+  });
+});
@@ -0,0 +1,75 @@
+// test/reindex.test.js
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ethers = require('ethers');
+const { startDatabase, resetDatabase, indexedRows } = require('./helpers/database');
+const { TestChain, useChains } = require('./helpers/chain');
+
+const MAIN_ADDRESS = '0x00000000000000000000000000000000000000aa';
+const CREATOR = '0x00000000000000000000000000000000000000c1';
+const DONOR = '0x00000000000000000000000000000000000000d1';
+const MISSED_DONOR = '0x00000000000000000000000000000000000000d2';
+
+process.env.POLYGON_CONTRACT_ADDRESS = MAIN_ADDRESS;
+process.env.POLYGON_CONFIRMATIONS = '10';
+
+const usd = amount => ethers.parseUnits(String(amount), 8);
+
+describe('re-index dry runs', () => {
+  let db;
+  let blockchain;
+  let reindex;
+  let main;
+
+  const cursor = async () => (await db.query(
+    'SELECT last_indexed_block FROM indexer_state WHERE chain = $1', ['polygon']
+  )).rows.map(row => Number(row.last_indexed_block));
+
+  before(async () => {
+    await startDatabase();
+    db = require('../src/db');
+    blockchain = require('../src/services/blockchain');
+    reindex = require('../src/services/reindex');
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    main = new TestChain(require('../src/config/mainChainABI.json'), MAIN_ADDRESS);
+    useChains(blockchain, { polygon: main });
+
+    main.emit('CampaignCreated', [1, CREATOR], 3);
+    main.emit('DonationMade', [1, DONOR, usd(100)], 8);
+    main.head = 60;
+    await blockchain.indexNetwork('polygon', 1, 40);
+
+    // A donation the index missed
+    main.emit('DonationMade', [1, MISSED_DONOR, usd(25)], 15);
+  });
+
+  it('reports what a range re-index would change and leaves the database untouched', async () => {
+    const stored = await indexedRows();
+    const result = await reindex.reindexRange('polygon', 1, 40, { dryRun: true });
+
+    assert.equal(result.dryRun, true);
+    assert.equal(result.events, 3);
+    assert.equal(result.diff.donations.added, 1);
+    assert.equal(result.diff.campaigns.changed, 1);
+    assert.deepEqual(await indexedRows(), stored);
+    assert.deepEqual(await cursor(), [40]);
+
+    // The same replay for real writes what the dry run reported
+    const applied = await reindex.reindexRange('polygon', 1, 40);
+    assert.deepEqual(applied.diff, result.diff);
+    assert.equal(Number((await indexedRows()).campaigns[0].amount_raised), 125);
+  });
+
+  it('reports what a campaign rebuild would change and leaves the database untouched', async () => {
+    const stored = await indexedRows();
+    const result = await reindex.rebuildCampaign(1, { dryRun: true });
+
+    assert.equal(result.dryRun, true);
+    assert.equal(result.diff.donations.added, 1);
+    assert.deepEqual(await indexedRows(), stored);
+    assert.deepEqual(await cursor(), [40]);
+  });
+});
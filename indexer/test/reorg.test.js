@@ -0,0 +1,105 @@
+// test/reorg.test.js
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ethers = require('ethers');
+const { startDatabase, resetDatabase, indexedRows } = require('./helpers/database');
+const { TestChain, useChains } = require('./helpers/chain');
+
+const MAIN_ADDRESS = '0x00000000000000000000000000000000000000aa';
+const CREATOR = '0x00000000000000000000000000000000000000c1';
+const DONOR = '0x00000000000000000000000000000000000000d1';
+const OTHER_DONOR = '0x00000000000000000000000000000000000000d2';
+const TOKEN = '0x00000000000000000000000000000000000000e1';
+
+process.env.POLYGON_CONTRACT_ADDRESS = MAIN_ADDRESS;
+process.env.POLYGON_CONFIRMATIONS = '10';
+
+const usd = amount => ethers.parseUnits(String(amount), 8);
+
+describe('reorg rollback', () => {
+  let db;
+  let blockchain;
+  let reorg;
+  let main;
+
+  before(async () => {
+    await startDatabase();
+    db = require('../src/db');
+    blockchain = require('../src/services/blockchain');
+    reorg = require('../src/services/reorg');
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    main = new TestChain(require('../src/config/mainChainABI.json'), MAIN_ADDRESS);
+    main.maxLogRange = 5;
+    useChains(blockchain, { polygon: main });
+
+    main.emit('CampaignCreated', [1, CREATOR], 3);
+    main.emit('DonationMade', [1, DONOR, usd(100)], 8);
+    main.emit('WithdrawalRequested', [7, CREATOR, usd(40), TOKEN, 137], 12);
+    main.emit('DonationMade', [1, OTHER_DONOR, usd(50)], 27);
+    main.emit('WithdrawalProcessed', [7, CREATOR, usd(40), TOKEN, 137], 28);
+    main.emit('CampaignEnded', [1, usd(150)], 29);
+  });
+
+  it('leaves the same rows as indexing only the new fork', async () => {
+    await blockchain.indexNetwork('polygon', 1, 30);
+
+    main.reorg(26);
+    main.emit('DonationMade', [1, DONOR, usd(70)], 27);
+    main.head = 40;
+    await blockchain.indexNetwork('polygon', 31, 40);
+    const afterRollback = await indexedRows();
+
+    await resetDatabase();
+    await blockchain.indexNetwork('polygon', 1, 40);
+    const fromScratch = await indexedRows();
+
+    assert.deepEqual(afterRollback, fromScratch);
+    assert.equal(afterRollback.donations.length, 2);
+    assert.equal(afterRollback.withdrawals[0].status, 'Requested');
+    assert.equal(afterRollback.campaigns[0].ended, false);
+  });
+
+  it('moves the cursor back to the common ancestor', async () => {
+    await blockchain.indexNetwork('polygon', 1, 30);
+
+    const summary = await reorg.rollbackToBlock('polygon', 25);
+    const state = await db.query("SELECT last_indexed_block FROM indexer_state WHERE chain = 'polygon'");
+    const hashes = await db.query("SELECT MAX(block_number) AS block_number FROM indexed_blocks WHERE chain = 'polygon'");
+
+    assert.equal(summary.donations, 1);
+    assert.equal(summary.transactions, 3);
+    assert.equal(Number(state.rows[0].last_indexed_block), 25);
+    assert.equal(Number(hashes.rows[0].block_number), 25);
+  });
+
+  it('reverts updates orphaned blocks made to older rows', async () => {
+    await blockchain.indexNetwork('polygon', 1, 30);
+
+    const removed = await db.transaction(client => reorg.removeBlockRange(client, 'polygon', 26, 30));
+    const { campaigns, withdrawals, donorTotals } = await indexedRows();
+
+    assert.deepEqual(removed.affectedCampaigns, ['1']);
+    assert.equal(removed.campaigns, 0);
+    assert.equal(campaigns[0].ended, false);
+    assert.equal(Number(campaigns[0].amount_raised), 100);
+    assert.equal(withdrawals[0].status, 'Requested');
+    assert.equal(withdrawals[0].processed_block_number, null);
+    assert.equal(withdrawals[0].processed_log_index, null);
+    assert.deepEqual(donorTotals.map(row => row.donor), [DONOR]);
+  });
+
+  it('removes campaigns created in the range once nothing refers to them', async () => {
+    await blockchain.indexNetwork('polygon', 1, 30);
+
+    const removed = await db.transaction(client => reorg.removeBlockRange(client, 'polygon', 1));
+    const rows = await indexedRows();
+
+    assert.equal(removed.campaigns, 1);
+    assert.deepEqual(rows.campaigns, []);
+    assert.deepEqual(rows.transactions, []);
+    assert.deepEqual(rows.dailyStats, []);
+  });
+});
@@ -2,14 +2,25 @@
 require('dotenv').config();
 const db = require('./src/db');
 const blockchainService = require('./src/services/blockchain');
+const { enqueueBackfill, processBackfillJobs, getBackfillStatus } = require('./src/services/backfill');
+const { createSubscription } = require('./src/services/subscription');
+const { refreshTrendingScores } = require('./src/services/trending');
+const { startMetricsServer } = require('./src/services/metrics');
 
 // Block processing configuration
-const CATCHUP_BATCH_SIZE = 5000;   // Larger batch size when catching up
+const CATCHUP_CHUNKS = 5;          // Block ranges per run when catching up, each as large as the provider allows
 const REALTIME_BATCH_SIZE = 100;   // Smaller batch size for frequent updates
 const RECENT_HISTORY_BLOCKS = 100000;  // How far back to jump if needed
-const MAX_ACCEPTABLE_GAP = 500000; // Gap threshold for jump-ahead
+const MAX_ACCEPTABLE_GAP = 500000; // Gap threshold for jump-ahead, skipped blocks are backfilled
 const REALTIME_THRESHOLD = 200;    // Consider caught up if within this many blocks
 
+// Daemon configuration
+const BACKFILL_INTERVAL_MS = parseInt(process.env.BACKFILL_INTERVAL_MS) || 30000; // Pause between backfill passes
+const TRENDING_INTERVAL_MS = parseInt(process.env.TRENDING_INTERVAL_MS) || 300000; // Pause between trending score refreshes
+const ERROR_BACKOFF_MS = 30000;    // Pause after a failed run before a loop tries again
+const SUBSCRIBED_POLL_MS = parseInt(process.env.SUBSCRIBED_POLL_INTERVAL_MS) || 60000; // Safety poll while new heads arrive over a socket
+const METRICS_PORT = parseInt(process.env.WORKER_METRICS_PORT) || 9101; // Prometheus /metrics of the daemon
+
 // Logging configuration - change to false for production
 const VERBOSE_LOGGING = process.env.NODE_ENV !== 'production';
 const LOG_STATS_ONLY = !VERBOSE_LOGGING;
@@ -33,6 +44,10 @@ let totalNetworksProcessed = 0;
 let networksInRealtimeMode = 0;
 let startTime;
 
+// Daemon state
+let shuttingDown = false;
+const sleepers = new Map(); // Wake function of every pending sleep, and the network it belongs to
+
 // Initialize blockchain service
 function initializeServices() {
   log('Initializing blockchain service...');
@@ -47,6 +62,106 @@ function initializeServices() {
     return false;
   }
 }
+
+// Index the next block range of a single network
+async function processNetwork(network) {
+  const { NETWORKS, providers, indexNetwork } = blockchainService;
+  const config = NETWORKS[network];
+  const provider = providers[network];
+  
+  // Get last indexed block
+  const state = await db.query('SELECT last_indexed_block FROM indexer_state WHERE chain = $1', [network]);
+  const lastIndexedBlock = state.rows.length > 0 ? parseInt(state.rows[0].last_indexed_block) : undefined;
+  
+  const currentBlock = await provider.getBlockNumber();
+  
+  // Determine starting block
+  let fromBlock;
+  let realtimeMode = false;
+  
+  if (lastIndexedBlock !== undefined) {
+    // Normal case - continue from the next block
+    fromBlock = lastIndexedBlock + 1;
+  } else if (config.deployBlock !== undefined) {
+    // First time indexing this chain - start from the contract deployment
+    fromBlock = config.deployBlock;
+    log(`${network}: First-time indexing, starting from deploy block ${fromBlock}`, 'info', true);
+  } else {
+    // First time indexing this chain without a deploy block - start from recent history
+    fromBlock = Math.max(1, currentBlock - RECENT_HISTORY_BLOCKS);
+    log(`${network}: First-time indexing without a deploy block, starting from block ${fromBlock}`, 'info', true);
+  }
+  
+  // Calculate gap between current and next block to index
+  const gap = currentBlock - fromBlock + 1;
+  
+  // If gap is very small, we're in realtime mode
+  if (gap <= REALTIME_THRESHOLD) {
+    realtimeMode = true;
+  }
+  
+  // If gap is too large, queue the skipped blocks for backfill and jump ahead to recent blocks
+  if (gap > MAX_ACCEPTABLE_GAP) {
+    const jumpTo = Math.max(1, currentBlock - RECENT_HISTORY_BLOCKS);
+    
+    log(`${network}: Gap too large (${gap} blocks). Jumping ahead from block ${fromBlock} to ${jumpTo}, skipped blocks queued for backfill`, 'info', true);
+    
+    // The skipped blocks are queued in the same transaction as the jump, so neither can happen alone
+    await db.transaction(async client => {
+      await enqueueBackfill(network, fromBlock, jumpTo - 1, client);
+      
+      await client.query(
+        `INSERT INTO indexer_state (chain, last_indexed_block, updated_at)
+         VALUES ($1, $2, NOW())
+         ON CONFLICT (chain) DO UPDATE SET
+           last_indexed_block = $2,
+           updated_at = NOW()`,
+        [network, jumpTo - 1]
+      );
+    });
+    
+    fromBlock = jumpTo;
+  }
+  
+  // Safety check - don't go beyond current block
+  if (fromBlock > currentBlock) {
+    log(`${network}: No new blocks to index`, 'info', VERBOSE_LOGGING);
+    return { blocksProcessed: 0, eventsProcessed: 0, realtimeMode: true, caughtUp: true, lastIndexedBlock: fromBlock - 1 };
+  }
+  
+  // Choose appropriate batch size based on how close we are to the current block
+  const batchSize = realtimeMode ? REALTIME_BATCH_SIZE : provider.maxLogRange() * CATCHUP_CHUNKS;
+  
+  log(`${network}: ${realtimeMode ? 'REALTIME' : 'CATCHUP'} mode, last indexed: ${lastIndexedBlock !== undefined ? lastIndexedBlock : 'none'}, current: ${currentBlock}`, 'info', VERBOSE_LOGGING);
+  
+  // Calculate batch size and end block
+  const blocksToProcess = Math.min(currentBlock - fromBlock + 1, batchSize);
+  const toBlock = fromBlock + blocksToProcess - 1;
+  
+  // Only log the range if verbose or processing significant blocks
+  if (VERBOSE_LOGGING || blocksToProcess > 10) {
+    log(`${network}: Indexing from block ${fromBlock} to ${toBlock} (${blocksToProcess} blocks)`, 'info', VERBOSE_LOGGING);
+  }
+  
+  // Index the network
+  const result = await indexNetwork(network, fromBlock, toBlock);
+  const networkEvents = Object.values(result.eventsProcessed).reduce((sum, count) => sum + count, 0);
+  
+  // Log only if events were found (important info)
+  if (networkEvents > 0) {
+    log(`${network}: Processed ${networkEvents} events in ${blocksToProcess} blocks`, 'info', true);
+  }
+  
+  return {
+    blocksProcessed: blocksToProcess,
+    eventsProcessed: networkEvents,
+    realtimeMode,
+    caughtUp: toBlock >= currentBlock,
+    lastIndexedBlock: result.lastBlock
+  };
+}
+
+// One-shot mode: index every network once, one after the other
 async function processNetworks() {
   startTime = Date.now();
   log('Starting indexing process...', 'info', LOG_STATS_ONLY);
@@ -64,127 +179,52 @@ async function processNetworks() {
       throw new Error('Failed to initialize services');
     }
     
-    // Get last indexed blocks
-    const result = await db.query('SELECT chain, last_indexed_block FROM indexer_state');
-    const lastIndexedBlocks = {};
-    
-    result.rows.forEach(row => {
-      lastIndexedBlocks[row.chain] = parseInt(row.last_indexed_block);
-    });
-    
     // Process each network
-    const { NETWORKS, providers, indexNetwork } = blockchainService;
-    const networkCount = Object.keys(NETWORKS).length;
-    let networksProcessed = 0;
+    const { NETWORKS, providers } = blockchainService;
     
-    for (const [network, config] of Object.entries(NETWORKS)) {
+    for (const network of Object.keys(NETWORKS)) {
       // Skip networks without providers
       if (!providers[network]) {
         log(`Provider for ${network} is not available, skipping...`, 'info', VERBOSE_LOGGING);
         continue;
       }
       
-      // For non-main chains, skip completely since we only care about main chain events
-      if (!config.isMain) {
-        log(`${network} is not the main chain, skipping completely`, 'info', VERBOSE_LOGGING);
-        networksProcessed++;
+      // Another worker (e.g. a running daemon) may own this chain
+      const lock = await db.tryAdvisoryLock(`indexer:${network}`);
+      if (!lock) {
+        log(`${network}: Being indexed by another worker, skipping`, 'info', true);
         continue;
       }
       
       try {
-        const provider = providers[network];
-        const currentBlock = await provider.getBlockNumber();
-        
-        // Determine starting block
-        let fromBlock;
-        let jumpedAhead = false;
-        let realtimeMode = false;
-        
-        if (lastIndexedBlocks[network] !== undefined) {
-          // Calculate gap between current and last indexed
-          const gap = currentBlock - lastIndexedBlocks[network];
-          
-          // If gap is very small, we're in realtime mode
-          if (gap <= REALTIME_THRESHOLD) {
-            realtimeMode = true;
-            networksInRealtimeMode++;
-          }
-          
-          // If gap is too large, jump ahead to more recent blocks
-          if (gap > MAX_ACCEPTABLE_GAP) {
-            const oldFromBlock = lastIndexedBlocks[network] + 1;
-            fromBlock = Math.max(1, currentBlock - RECENT_HISTORY_BLOCKS);
-            jumpedAhead = true;
-            
-            log(`${network}: Gap too large (${gap} blocks). Jumping ahead from block ${oldFromBlock} to ${fromBlock}`, 'info', true);
-            
-            // Update the last indexed block in database to reflect our jump
-            await db.query(
-              'UPDATE indexer_state SET last_indexed_block = $1, updated_at = NOW() WHERE chain = $2',
-              [fromBlock - 1, network]
-            );
-          } else {
-            // Normal case - continue from the next block
-            fromBlock = lastIndexedBlocks[network] + 1;
-          }
-        } else {
-          // First time indexing this chain - start from recent history
-          fromBlock = Math.max(1, currentBlock - RECENT_HISTORY_BLOCKS);
-          log(`${network}: First-time indexing, starting from block ${fromBlock}`, 'info', true);
-        }
-        
-        // Safety check - don't go beyond current block
-        if (fromBlock > currentBlock) {
-          log(`${network}: No new blocks to index`, 'info', VERBOSE_LOGGING);
-          networksProcessed++;
-          continue;
-        }
-        
-        // Choose appropriate batch size based on how close we are to the current block
-        const batchSize = realtimeMode ? REALTIME_BATCH_SIZE : CATCHUP_BATCH_SIZE;
-        
-        log(`${network}: ${realtimeMode ? 'REALTIME' : 'CATCHUP'} mode, last indexed: ${lastIndexedBlocks[network] || 'none'}, current: ${currentBlock}`, 'info', VERBOSE_LOGGING);
-        
-        // Calculate batch size and end block
-        const blocksToProcess = Math.min(currentBlock - fromBlock + 1, batchSize);
-        const toBlock = fromBlock + blocksToProcess - 1;
-        
-        // Only log the range if verbose or processing significant blocks
-        if (VERBOSE_LOGGING || blocksToProcess > 10) {
-          log(`${network}: Indexing from block ${fromBlock} to ${toBlock} (${blocksToProcess} blocks)`, 'info', VERBOSE_LOGGING);
-        }
-        
-        // Index the network
-        const metrics = await indexNetwork(network, fromBlock, toBlock);
+        const result = await processNetwork(network);
         
         // Update stats
-        totalBlocksProcessed += blocksToProcess;
-        if (metrics && metrics.eventsProcessed) {
-          const networkEvents = 
-            (metrics.eventsProcessed.campaigns || 0) + 
-            (metrics.eventsProcessed.donations || 0) + 
-            (metrics.eventsProcessed.withdrawals || 0);
-          totalEventsProcessed += networkEvents;
-          
-          // Log only if events were found (important info)
-          if (networkEvents > 0) {
-            log(`${network}: Processed ${networkEvents} events in ${blocksToProcess} blocks`, 'info', true);
-          }
+        totalBlocksProcessed += result.blocksProcessed;
+        totalEventsProcessed += result.eventsProcessed;
+        if (result.realtimeMode) {
+          networksInRealtimeMode++;
+        }
+        if (result.blocksProcessed > 0) {
+          totalNetworksProcessed++;
         }
-        
-        networksProcessed++;
-        totalNetworksProcessed++;
       } catch (networkError) {
         log(`Error processing ${network}: ${networkError.message}`, 'error', true);
         if (VERBOSE_LOGGING) {
           log(networkError.stack, 'error');
         }
+      } finally {
+        await lock.release();
       }
     }
     
+    // Spend the rest of the run on queued backfill ranges
+    const backfillChunks = await processBackfill();
+    await processTrending();
+    
     // Log a summary of what was done - always log this
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    log(`Indexing completed: Processed ${totalBlocksProcessed} blocks across ${totalNetworksProcessed} networks in ${duration}s (${networksInRealtimeMode} in realtime mode, ${totalEventsProcessed} events found)`, 'info', true);
+    log(`Indexing completed: Processed ${totalBlocksProcessed} blocks across ${totalNetworksProcessed} networks in ${duration}s (${networksInRealtimeMode} in realtime mode, ${totalEventsProcessed} events found, ${backfillChunks} backfill chunks)`, 'info', true);
     
   } catch (error) {
     log(`Indexing process failed: ${error.message}`, 'error', true);
@@ -195,6 +235,215 @@ async function processNetworks() {
   }
 }
 
+// Low-priority pass over the backfill queue, runs after realtime indexing
+async function processBackfill() {
+  let lock = null;
+  
+  try {
+    lock = await db.tryAdvisoryLock('indexer:backfill');
+    if (!lock) {
+      log('Backfill: being processed by another worker, skipping', 'info', VERBOSE_LOGGING);
+      return 0;
+    }
+    
+    const { chunksProcessed } = await processBackfillJobs();
+    if (chunksProcessed > 0) {
+      log(`Backfill: processed ${chunksProcessed} chunks`, 'info', VERBOSE_LOGGING);
+    }
+    return chunksProcessed;
+  } catch (error) {
+    log(`Backfill failed: ${error.message}`, 'error', true);
+    if (VERBOSE_LOGGING) {
+      log(error.stack, 'error');
+    }
+    return 0;
+  } finally {
+    await releaseLock(lock, 'Backfill');
+  }
+}
+
+// Refresh the trending scores campaign listings sort by, one worker at a time
+async function processTrending() {
+  let lock = null;
+  
+  try {
+    lock = await db.tryAdvisoryLock('indexer:trending');
+    if (!lock) {
+      log('Trending: being refreshed by another worker, skipping', 'info', VERBOSE_LOGGING);
+      return;
+    }
+    
+    await refreshTrendingScores();
+  } catch (error) {
+    log(`Trending refresh failed: ${error.message}`, 'error', true);
+    if (VERBOSE_LOGGING) {
+      log(error.stack, 'error');
+    }
+  } finally {
+    await releaseLock(lock, 'Trending');
+  }
+}
+
+// Release a lock taken by one of the passes above without failing the pass
+async function releaseLock(lock, label) {
+  if (!lock) {
+    return;
+  }
+  try {
+    await lock.release();
+  } catch (error) {
+    log(`${label}: Failed to release lock: ${error.message}`, 'error', true);
+  }
+}
+
+// Wait for `ms`, cut short when the daemon starts shutting down or `network` is woken
+function sleep(ms, network = null) {
+  return new Promise(resolve => {
+    const wake = () => {
+      clearTimeout(timer);
+      sleepers.delete(wake);
+      resolve();
+    };
+    const timer = setTimeout(wake, ms);
+    sleepers.set(wake, network);
+  });
+}
+
+// Cut the current sleep of a network's loop short
+function wakeNetwork(network) {
+  sleepers.forEach((sleeper, wake) => {
+    if (sleeper === network) {
+      wake();
+    }
+  });
+}
+
+// Keep one network indexed until shutdown. The network's advisory lock is held
+// for as long as the loop runs, a second daemon waits until it is released.
+// Networks with a WebSocket endpoint are woken by new heads and pushed logs,
+// and poll on their usual interval whenever the socket is down.
+async function runNetworkLoop(network) {
+  const { pollInterval, wsRpc } = blockchainService.NETWORKS[network];
+  let lock = null;
+  let subscription = null;
+  
+  while (!shuttingDown) {
+    try {
+      if (lock && lock.lost) {
+        log(`${network}: Lost indexing lock, reacquiring`, 'error', true);
+        lock = null;
+        if (subscription) {
+          await subscription.close();
+          subscription = null;
+        }
+      }
+      
+      if (!lock) {
+        lock = await db.tryAdvisoryLock(`indexer:${network}`);
+        if (!lock) {
+          log(`${network}: Being indexed by another worker, waiting`, 'info', VERBOSE_LOGGING);
+          await sleep(pollInterval);
+          continue;
+        }
+        log(`${network}: Acquired indexing lock`, 'info', true);
+      }
+      
+      // Only the lock holder subscribes, pushed logs are applied by this loop alone
+      if (wsRpc && !subscription) {
+        subscription = createSubscription(network, () => wakeNetwork(network));
+      }
+      
+      const result = await processNetwork(network);
+      
+      // Keep going without a pause until the chain head is reached
+      if (!result.caughtUp) {
+        continue;
+      }
+      
+      // Orphaned pushed blocks move the cursor back, index them again right away
+      if (subscription && await subscription.flush(result.lastIndexedBlock)) {
+        continue;
+      }
+      
+      await sleep(subscription && subscription.isConnected() ? SUBSCRIBED_POLL_MS : pollInterval, network);
+    } catch (error) {
+      log(`Error processing ${network}: ${error.message}`, 'error', true);
+      if (VERBOSE_LOGGING) {
+        log(error.stack, 'error');
+      }
+      await sleep(ERROR_BACKOFF_MS);
+    }
+  }
+  
+  if (subscription) {
+    await subscription.close();
+  }
+  if (lock) {
+    await lock.release();
+  }
+  log(`${network}: Loop stopped`, 'info', true);
+}
+
+// Work off the backfill queue next to the realtime loops
+async function runBackfillLoop() {
+  while (!shuttingDown) {
+    const chunksProcessed = await processBackfill();
+    
+    // Pause only when the queue had nothing to do
+    if (chunksProcessed === 0) {
+      await sleep(BACKFILL_INTERVAL_MS);
+    }
+  }
+  log('Backfill loop stopped', 'info', true);
+}
+
+// Keep trending scores current as donations age
+async function runTrendingLoop() {
+  while (!shuttingDown) {
+    await processTrending();
+    await sleep(TRENDING_INTERVAL_MS);
+  }
+  log('Trending loop stopped', 'info', true);
+}
+
+function requestShutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  log(`${signal} received, finishing current ranges before shutting down`, 'info', true);
+  sleepers.forEach((network, wake) => wake());
+}
+
+// Daemon mode: every network runs its own loop with its own polling interval
+async function runDaemon() {
+  log('Starting indexer daemon...', 'info', true);
+  
+  const initialized = initializeServices();
+  if (!initialized) {
+    throw new Error('Failed to initialize services');
+  }
+  
+  process.on('SIGTERM', () => requestShutdown('SIGTERM'));
+  process.on('SIGINT', () => requestShutdown('SIGINT'));
+  
+  const { NETWORKS, providers } = blockchainService;
+  const networks = Object.keys(NETWORKS).filter(network => providers[network]);
+  
+  log(`Indexing ${networks.length} networks: ${networks.join(', ')}`, 'info', true);
+  
+  const metricsServer = startMetricsServer(METRICS_PORT);
+  
+  await Promise.all([
+    ...networks.map(network => runNetworkLoop(network)),
+    runBackfillLoop(),
+    runTrendingLoop()
+  ]);
+  
+  metricsServer.close();
+  log('Indexer daemon stopped', 'info', true);
+}
+
 // Get chain-specific stats for frontend display
 async function getIndexerStatus() {
   try {
@@ -212,8 +461,11 @@ async function getIndexerStatus() {
       };
     });
     
+    // Get backfill progress
+    const backfillStatus = await getBackfillStatus();
+    
     // Get current block for each chain
-    for (const [network, config] of Object.entries(NETWORKS)) {
+    for (const network of Object.keys(NETWORKS)) {
       if (!providers[network]) continue;
       
       try {
@@ -228,11 +480,16 @@ async function getIndexerStatus() {
           lastUpdated: lastIndexed.lastUpdated,
           syncStatus: lastIndexed.lastBlock > 0 ? 
             ((lastIndexed.lastBlock / currentBlock) * 100).toFixed(2) + '%' : '0%',
-          isRealtime: blocksRemaining <= REALTIME_THRESHOLD
+          isRealtime: blocksRemaining <= REALTIME_THRESHOLD,
+          backfill: backfillStatus[network] || null,
+          rpcEndpoints: providers[network].getHealth()
         };
       } catch (error) {
         log(`Error getting status for ${network}: ${error.message}`, 'error', true);
-        status[network] = { error: error.message };
+        status[network] = {
+          error: error.message,
+          rpcEndpoints: providers[network].getHealth()
+        };
       }
     }
     
@@ -243,9 +500,11 @@ async function getIndexerStatus() {
   }
 }
 
-// Run if executed directly
+// Run if executed directly, `--daemon` keeps indexing until SIGTERM
 if (require.main === module) {
-  processNetworks()
+  const daemonMode = process.argv.includes('--daemon') || process.env.WORKER_MODE === 'daemon';
+  
+  (daemonMode ? runDaemon() : processNetworks())
     .then(() => {
       log('Worker execution complete', 'info', LOG_STATS_ONLY);
       process.exit(0);
@@ -258,5 +517,9 @@ if (require.main === module) {
 
 module.exports = { 
   processNetworks,
+  processNetwork,
+  processBackfill,
+  processTrending,
+  runDaemon,
   getIndexerStatus
 };
\ No newline at end of file